@@ -3,14 +3,19 @@
 // Uses x402 Bazaar APIs for content generation (dogfooding)
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
+import crypto from 'crypto';
+import fs from 'fs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 dotenv.config({ path: join(__dirname, '.env') });
 
 import { config } from './config.js';
-import { getSpending, getBalance } from './lib/x402-client.js';
+import { getSpending, getBalance, getOrphanedPayments, resumeOrphanedPayments } from './lib/x402-client.js';
+import { withSpendContext } from './lib/ledger.js';
+import { hasWallet, getSignerStatus, importKey, unlockKeystore, promptPassphrase } from './lib/signers.js';
+import { estimateStrategy, formatEstimate, refusalReason } from './lib/cost-estimator.js';
 import { sendPreview, sendImage, waitForApproval, postToChannel, sendReport } from './lib/platforms/telegram.js';
 import * as discord from './lib/platforms/discord.js';
 import * as twitter from './lib/platforms/twitter.js';
@@ -18,20 +23,61 @@ import * as reddit from './lib/platforms/reddit.js';
 import * as devto from './lib/platforms/devto.js';
 import * as linkedin from './lib/platforms/linkedin.js';
 import * as farcaster from './lib/platforms/farcaster.js';
+import { parseContentKey, postLocalized } from './lib/languages.js';
+import { lintContents, formatIssues } from './lib/content-lint.js';
+import { generateUnique, recordPublished } from './lib/dedupe.js';
+import { imagesFor, imageFor } from './lib/visuals.js';
+import { getStrategy, listStrategies, resolveOptions } from './lib/strategy-registry.js';
+import { recordFeatured } from './lib/news.js';
+import { recordTemplateUse } from './lib/templates.js';
 
-// ─── Strategy loader ──────────────────────────────────────────────
-async function loadStrategy(name) {
-  const strategies = {
-    'daily-stats': () => import('./strategies/daily-stats.js'),
-    'new-api': () => import('./strategies/new-api.js'),
-    'weekly-recap': () => import('./strategies/weekly-recap.js'),
-  };
-  if (!strategies[name]) throw new Error(`Unknown strategy: ${name}. Available: ${Object.keys(strategies).join(', ')}`);
-  return strategies[name]();
+// ─── Strategy list ────────────────────────────────────────────────
+async function printStrategies() {
+  const { strategies, invalid } = await listStrategies();
+  console.log('Strategies:');
+  for (const s of strategies) {
+    console.log(`  ${s.name.padEnd(16)} ${s.description}${s.source === 'plugin' ? ' (plugin)' : ''}`);
+    for (const [key, spec] of Object.entries(s.options)) {
+      const def = spec.default !== undefined && spec.default !== '' ? ` [default: ${spec.default}]` : '';
+      const choices = spec.enum ? ` {${spec.enum.join('|')}}` : '';
+      console.log(`    ${key} (${spec.type}${spec.required ? ', required' : ''})${choices}${spec.description ? ` — ${spec.description}` : ''}${def}`);
+    }
+  }
+  console.log('\nSet options with --opt key=value (repeatable) or --options file.json');
+  if (invalid.length) {
+    console.log('\nInvalid modules (not runnable):');
+    invalid.forEach(i => console.log(`  ${i.file}\n    ${i.errors.join('\n    ')}`));
+  }
+}
+
+// Strategy options: `--options file.json`, then each `--opt key=value` on top.
+// Values stay strings here; resolveOptions() types them against the schema.
+function parseOptionArgs(args) {
+  const raw = {};
+  const file = args.find((_, i) => args[i - 1] === '--options');
+  if (file) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(resolve(file), 'utf-8'));
+    } catch (e) {
+      throw new Error(`Cannot read options file ${file}: ${e.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error(`Options file ${file} must hold a JSON object`);
+    Object.assign(raw, parsed);
+  }
+  args.forEach((arg, i) => {
+    if (args[i - 1] !== '--opt') return;
+    const eq = arg.indexOf('=');
+    if (eq < 1) throw new Error(`--opt expects key=value, got "${arg}"`);
+    raw[arg.slice(0, eq)] = arg.slice(eq + 1);
+  });
+  return raw;
 }
 
 // ─── Publish to all platforms ─────────────────────────────────────
-async function publishAll(contents, imageUrl) {
+// `media`: the strategy result's { imageUrl, imageAlt, visuals } — each network
+// gets its own card size (lib/visuals.js)
+async function publishAll(contents, media) {
   const results = {};
 
   // Discord — auto-post (low risk)
@@ -44,14 +90,35 @@ async function publishAll(contents, imageUrl) {
   if (contents.telegram) {
     try {
       const tg = contents.telegram;
-      const res = await postToChannel(tg.text || tg, tg.imageUrl || imageUrl);
+      const res = await postToChannel(tg, tg.imageUrl || imageFor(media, 'telegram'));
       results.telegram_channel = { success: !!res?.ok, message: res?.ok ? 'Posted' : 'Failed' };
     } catch (e) { results.telegram_channel = { success: false, message: e.message }; }
   }
 
+  // Extra channels in other languages ("telegram:fr", "discord:es") — same risk level as above
+  for (const key of Object.keys(contents).filter(k => k.includes(':'))) {
+    const content = contents[key];
+    try {
+      switch (parseContentKey(key).platform) {
+        case 'discord':
+          results[key] = await postLocalized(key, url => discord.post(content, url));
+          break;
+        case 'telegram':
+          results[key] = await postLocalized(key, async channel => {
+            const res = await postToChannel(content, content.imageUrl || imageFor(media, key), channel);
+            return { success: !!res?.ok, message: res?.ok ? `Posted to ${channel}` : `Failed (${channel})` };
+          });
+          break;
+      }
+    } catch (e) { results[key] = { success: false, message: e.message }; }
+  }
+
   // Twitter — auto if configured, otherwise generate-only
   if (contents.twitter) {
-    try { results.twitter = await twitter.post(contents.twitter, imageUrl); }
+    try {
+      const { urls, alts } = imagesFor(media, 'twitter');
+      results.twitter = await twitter.post(contents.twitter, urls, alts);
+    }
     catch (e) { results.twitter = { success: false, message: e.message, manualPost: true }; }
   }
 
@@ -63,7 +130,10 @@ async function publishAll(contents, imageUrl) {
 
   // LinkedIn
   if (contents.linkedin) {
-    try { results.linkedin = await linkedin.post(typeof contents.linkedin === 'string' ? contents.linkedin : contents.linkedin.text); }
+    try {
+      const { urls: [url], alts: [alt] } = imagesFor(media, 'linkedin');
+      results.linkedin = await linkedin.post(typeof contents.linkedin === 'string' ? contents.linkedin : contents.linkedin.text, url, alt);
+    }
     catch (e) { results.linkedin = { success: false, message: e.message, manualPost: true }; }
   }
 
@@ -75,25 +145,92 @@ async function publishAll(contents, imageUrl) {
 
   // Farcaster
   if (contents.farcaster) {
-    try { results.farcaster = await farcaster.post(typeof contents.farcaster === 'string' ? contents.farcaster : contents.farcaster.text); }
+    try { results.farcaster = await farcaster.post(typeof contents.farcaster === 'string' ? contents.farcaster : contents.farcaster.text, imagesFor(media, 'farcaster').urls); }
     catch (e) { results.farcaster = { success: false, message: e.message, manualPost: true }; }
   }
 
   return results;
 }
 
+// ─── Budget summary (rolling windows from the spend ledger) ───────
+function printBudget() {
+  const spending = getSpending();
+  console.log('\nBudget:');
+  for (const [window, w] of Object.entries(spending.windows)) {
+    console.log(`  ${window.padEnd(8)} ${w.spent.toFixed(4)} / ${w.cap} USDC spent`);
+  }
+  console.log(`  this run ${spending.sessionSpent.toFixed(4)} USDC`);
+  const c = spending.cache;
+  console.log(`  cache    ${c.sessionHits} hits this run, ${c.sessionSavedUsdc.toFixed(4)} USDC saved (${c.hits} hits / ${c.savedUsdc.toFixed(4)} USDC all-time)`);
+  return spending;
+}
+
 // ─── Main ─────────────────────────────────────────────────────────
 async function main() {
   const args = process.argv.slice(2);
   const strategyFlag = args.find((_, i) => args[i - 1] === '--strategy') || 'daily-stats';
   const previewOnly = args.includes('--preview');
+  const estimateOnly = args.includes('--estimate');
   const autoApprove = args.includes('--auto');
   const skipApproval = args.includes('--skip-approval');
+  const force = args.includes('--force'); // publish even if the lint blocks
+
+  if (args.includes('--list-strategies')) {
+    await printStrategies();
+    return;
+  }
+
+  // Payment journal maintenance — list or replay payments left by a crashed run
+  if (args.includes('--orphans')) {
+    const orphans = getOrphanedPayments();
+    console.log(`Orphaned payments: ${orphans.length}`);
+    orphans.forEach(o => console.log(`  ${o.id}  ${o.status.padEnd(9)} ${o.amount} USDC → ${o.url}${o.txHash ? `  tx ${o.txHash}` : ''}`));
+    return;
+  }
+  if (args.includes('--resume-orphans')) {
+    const results = await resumeOrphanedPayments();
+    results.forEach(r => console.log(`  ${r.success ? 'OK' : 'FAIL'} ${r.id} ${r.url}${r.message ? ` — ${r.message}` : ''}`));
+    console.log(`Resumed ${results.filter(r => r.success).length}/${results.length} orphaned payments`);
+    return;
+  }
+
+  // Encrypt a raw key into the keystore — the agent then never needs AGENT_PRIVATE_KEY again.
+  // An existing keystore is only replaced (and backed up) with --overwrite.
+  if (args.includes('--import-key')) {
+    const overwrite = args.includes('--overwrite');
+    if (fs.existsSync(config.signer.keystorePath) && !overwrite) {
+      throw new Error(`A keystore already exists at ${config.signer.keystorePath} — add --overwrite to replace it (it is backed up first)`);
+    }
+    const key = process.env.AGENT_PRIVATE_KEY || await promptPassphrase('Private key: ');
+    if (!key) throw new Error('No private key given (set AGENT_PRIVATE_KEY or run in a terminal)');
+    const secret = await promptPassphrase('New keystore passphrase: ');
+    if (!secret || secret !== await promptPassphrase('Repeat passphrase: ')) throw new Error('Passphrases empty or do not match');
+    const address = importKey(key, secret, { overwrite });
+    console.log(`Keystore written to ${config.signer.keystorePath} for ${address}`);
+    console.log('Remove AGENT_PRIVATE_KEY from .env and set AGENT_SIGNER=keystore');
+    return;
+  }
+
+  // Bad strategy names and options fail here, before any passphrase prompt
+  const strategy = await getStrategy(strategyFlag);
+  const options = resolveOptions(strategy, parseOptionArgs(args));
+
+  // Unlock the keystore once per run; the passphrase stays in memory
+  if (config.signer.type === 'keystore' && !hasWallet() && getSignerStatus().configured) {
+    const secret = await promptPassphrase();
+    if (secret) {
+      const account = await unlockKeystore(secret);
+      console.log(`Wallet unlocked: ${account.address}`);
+    } else {
+      console.log('Keystore locked (no terminal) — paid calls will fall back to local content');
+    }
+  }
 
   console.log(`\n========================================`);
   console.log(`  x402 Community Agent`);
   console.log(`  Strategy: ${strategyFlag}`);
   console.log(`  Preview: ${previewOnly}, Auto: ${autoApprove}`);
+  if (Object.keys(options).length) console.log(`  Options: ${JSON.stringify(options)}`);
   console.log(`========================================\n`);
 
   // List enabled platforms
@@ -102,34 +239,67 @@ async function main() {
     .map(([k]) => k);
   console.log(`Platforms enabled: ${enabled.length > 0 ? enabled.join(', ') : 'none (generate-only mode)'}\n`);
 
+  // Finish any payment a previous run signed but never settled
+  if (hasWallet() && getOrphanedPayments().length > 0) {
+    const resumed = await resumeOrphanedPayments();
+    console.log(`Resumed ${resumed.filter(r => r.success).length}/${resumed.length} orphaned payments\n`);
+  }
+
+  // Price the run from live 402 quotes before spending anything
+  const estimate = await estimateStrategy(strategy, options, { preview: previewOnly });
+  console.log(`Estimated cost for ${strategyFlag}:\n${formatEstimate(estimate)}\n`);
+  if (estimateOnly) return;
+  if (!estimate.affordable) throw new Error(refusalReason(estimate));
+
   // Execute strategy
   console.log(`Running strategy: ${strategyFlag}...`);
-  const strategy = await loadStrategy(strategyFlag);
-  const { contents, stats, imageUrl } = await strategy.execute();
+  const runId = crypto.randomUUID();
+  // Duplicates of recent posts: rerun with the next template, or drop those platforms
+  const result = await withSpendContext(
+    { strategy: strategyFlag, runId },
+    () => (previewOnly ? strategy.execute(options) : generateUnique(ctx => strategy.execute(options, ctx), strategyFlag))
+  );
+  const { contents, imageUrl } = result;
+  for (const d of result.duplicates || []) console.log(`Skipped ${d.platform}: duplicate — ${d.reason}`);
+  if (!Object.keys(contents).length) {
+    console.log('\nNothing new to publish.');
+    return;
+  }
 
   console.log(`\nContent generated for: ${Object.keys(contents).join(', ')}`);
   if (imageUrl) console.log(`Image: ${imageUrl}`);
 
+  // Pre-publish lint — blocked posts stop here, flagged ones always need approval
+  const lint = await withSpendContext({ strategy: strategyFlag, runId }, () => lintContents(result));
+  if (lint.issues.length) console.log(`\nLint: ${lint.status}\n${formatIssues(lint)}`);
+
   // Preview mode — just show content and exit
   if (previewOnly) {
     console.log('\n--- PREVIEW MODE ---\n');
     for (const [platform, content] of Object.entries(contents)) {
       console.log(`=== ${platform.toUpperCase()} ===`);
-      console.log(typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+      if (Array.isArray(content)) content.forEach((post, i) => console.log(`[${i + 1}/${content.length}] ${post}\n`));
+      else console.log(typeof content === 'string' ? content : JSON.stringify(content, null, 2));
       console.log('');
     }
-    const spending = getSpending();
-    console.log(`\nBudget: ${spending.spent.toFixed(4)} / ${config.maxBudget} USDC spent`);
+    printBudget();
     return;
   }
 
-  // Send preview to Telegram admin
-  await sendPreview(contents);
+  if (lint.status === 'blocked' && !force) {
+    console.log('\nBlocked by the pre-publish lint — fix the content or rerun with --force.');
+    await sendPreview({ 'blocked-by-lint': formatIssues(lint) });
+    printBudget();
+    return;
+  }
+
+  // Send preview to Telegram admin, with the lint's reasons if any
+  await sendPreview(lint.issues.length ? { ...contents, lint: formatIssues(lint) } : contents);
   if (imageUrl) await sendImage(imageUrl, 'Generated visual for this post');
 
-  // Wait for approval (unless auto or skip-approval)
+  // Wait for approval (unless auto or skip-approval — flagged content always waits)
   let approval = 'approved';
-  if (!autoApprove && !skipApproval) {
+  if ((!autoApprove && !skipApproval) || lint.status !== 'ok') {
     approval = await waitForApproval(300_000); // 5 min timeout
   }
 
@@ -140,7 +310,10 @@ async function main() {
 
   // Publish to all platforms
   console.log('\nPublishing to all platforms...');
-  const results = await publishAll(contents, imageUrl);
+  const results = await publishAll(contents, result);
+  recordPublished(contents, { ...results, telegram: results.telegram_channel }, { strategy: strategyFlag, template: result.template });
+  recordFeatured(result.stories, results);
+  recordTemplateUse(strategyFlag, result.template, results);
 
   // Report results
   console.log('\n--- Results ---');
@@ -167,8 +340,7 @@ async function main() {
   await sendReport(results);
 
   // Budget summary
-  const spending = getSpending();
-  console.log(`\nBudget: ${spending.spent.toFixed(4)} / ${config.maxBudget} USDC spent`);
+  const spending = printBudget();
   console.log(`Payments: ${spending.payments.length}`);
   spending.payments.forEach(p => console.log(`  ${p.amount} USDC → ${p.endpoint}`));
 
@@ -5,23 +5,132 @@ import { dirname, join } from 'path';
 const __cfgFilename = fileURLToPath(import.meta.url);
 const __cfgDirname = dirname(__cfgFilename);
 dotenv.config({ path: join(__cfgDirname, '.env') });
+// Runtime state (ledger, journals, history, media…); tests point it at a temp dir
+const __dataDir = process.env.AGENT_DATA_DIR || join(__cfgDirname, 'data');
+
+// EVM networks the agent can pay on, keyed by x402 network name (USDC has 6 decimals on all)
+const NETWORKS = {
+  base: { chainId: 8453, usdcAddress: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', explorerUrl: 'https://basescan.org' },
+  'base-sepolia': { chainId: 84532, usdcAddress: '0x036CbD53842c5426634e7929541eC2318f3dCF7e', explorerUrl: 'https://sepolia.basescan.org' },
+  avalanche: { chainId: 43114, usdcAddress: '0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E', explorerUrl: 'https://snowtrace.io' },
+  'avalanche-fuji': { chainId: 43113, usdcAddress: '0x5425890298aed601595a70AB815c96711a31Bc65', explorerUrl: 'https://testnet.snowtrace.io' },
+  polygon: { chainId: 137, usdcAddress: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', explorerUrl: 'https://polygonscan.com' },
+  'polygon-amoy': { chainId: 80002, usdcAddress: '0x41E94Eb019C0762f9Bfcf9Fb1E58725BfB0e7582', explorerUrl: 'https://amoy.polygonscan.com' },
+  // Anvil / Hardhat devnet — deploy a mock USDC and set USDC_ADDRESS
+  local: { chainId: 31337, usdcAddress: '', explorerUrl: '', rpcUrl: 'http://127.0.0.1:8545' },
+};
+
+// Env overrides apply to the network selected at startup
+const envNetwork = process.env.X402_NETWORK || 'base';
+if (NETWORKS[envNetwork]) {
+  const net = NETWORKS[envNetwork];
+  if (process.env.X402_RPC_URL) net.rpcUrl = process.env.X402_RPC_URL;
+  if (process.env.USDC_ADDRESS) net.usdcAddress = process.env.USDC_ADDRESS;
+  if (process.env.EXPLORER_URL) net.explorerUrl = process.env.EXPLORER_URL;
+}
 
 export const config = {
   // x402 Bazaar API
   serverUrl: process.env.X402_SERVER_URL || 'https://x402-api.onrender.com',
+  // Spend caps over rolling windows (24h / 7d / 30d), enforced from the ledger in data/
   maxBudget: parseFloat(process.env.MAX_BUDGET_USDC || '0.50'),
+  maxWeeklyBudget: parseFloat(process.env.MAX_WEEKLY_BUDGET_USDC || '2.50'),
+  maxMonthlyBudget: parseFloat(process.env.MAX_MONTHLY_BUDGET_USDC || '8.00'),
+  dataDir: __dataDir,
 
-  // Wallet (Base mainnet)
-  chain: 'base',
-  usdcAddress: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-  explorerUrl: 'https://basescan.org',
+  // Payment policy — limits on what a 402 response can make the agent pay
+  paymentPolicy: {
+    allowedRecipients: (process.env.X402_ALLOWED_RECIPIENTS || '')
+      .split(',').map(a => a.trim().toLowerCase()).filter(Boolean),
+    maxPricePerCall: parseFloat(process.env.X402_MAX_PRICE_PER_CALL || '0.10'),
+    endpointMaxPrices: {
+      '/api/summarize': 0.02,
+      '/api/translate': 0.02,
+      '/api/sentiment': 0.02,
+      '/api/search': 0.02,
+      '/api/news': 0.02,
+      '/api/image': 0.10,
+    },
+    catalogPath: '/api/services',
+    priceTolerance: parseFloat(process.env.X402_PRICE_TOLERANCE || '0.10'), // 10% over catalog price
+  },
 
-  // Content
+  // HTTP layer for x402 calls — the Bazaar sleeps on Render, so cold starts are slow
+  http: {
+    defaultTimeoutMs: parseInt(process.env.X402_TIMEOUT_MS || '15000', 10),
+    timeoutsMs: {
+      '/api/public-stats': 8000,
+      '/api/services': 8000,
+      '/api/summarize': 30000,
+      '/api/image': 60000,
+    },
+    retries: parseInt(process.env.X402_RETRIES || '2', 10),
+    backoffBaseMs: 500,
+    backoffMaxMs: 8000,
+    // After N consecutive failures, calls fail fast (local fallbacks) until the cooldown ends
+    breaker: { failureThreshold: 3, cooldownMs: 60000 },
+  },
+
+  // Generated images archived by content hash; served by the dashboard at /media/<id>.
+  // Set MEDIA_PUBLIC_URL to the dashboard's public address so networks can fetch embeds.
+  media: {
+    dir: join(__dataDir, 'media'),
+    publicBaseUrl: (process.env.MEDIA_PUBLIC_URL || `http://localhost:${process.env.DASHBOARD_PORT || 3500}`).replace(/\/$/, ''),
+    maxBytes: 10 * 1024 * 1024,
+  },
+
+  // Post templates: defaults ship in templates/<strategy>.json; dashboard edits are
+  // saved to data/templates/ and take precedence. `recentHistory` uses per strategy are kept.
+  templates: {
+    dir: join(__cfgDirname, 'templates'),
+    overrideDir: join(__dataDir, 'templates'),
+    recentHistory: 20,
+  },
+
+  // Cache of paid responses (data/response-cache.json) — TTL 0 disables caching for an endpoint
+  cache: {
+    enabled: process.env.X402_CACHE !== 'false',
+    maxBytes: 5 * 1024 * 1024,
+    defaultTtlSeconds: 3600,
+    ttlSeconds: {
+      '/api/summarize': 86400,
+      '/api/translate': 30 * 86400,
+      '/api/sentiment': 7 * 86400,
+      '/api/search': 3600,
+      '/api/news': 3600,
+      '/api/image': 1800, // DALL-E URLs expire quickly
+    },
+  },
+
+  // Wallet network — chain/usdcAddress/explorerUrl are set by setNetwork() below
+  networks: NETWORKS,
+  chain: null,
+  usdcAddress: null,
+  explorerUrl: null,
+  // Networks the agent will pay on when a server offers several (primary first)
+  acceptNetworks: (process.env.X402_ACCEPT_NETWORKS || '')
+    .split(',').map(n => n.trim()).filter(Boolean),
+
+  // Payment signer: env (raw AGENT_PRIVATE_KEY), keystore (encrypted), remote (signing daemon)
+  signer: {
+    type: process.env.AGENT_SIGNER || (process.env.AGENT_PRIVATE_KEY ? 'env' : 'keystore'),
+    keystorePath: process.env.AGENT_KEYSTORE || join(__dataDir, 'agent-keystore.json'),
+    remoteUrl: process.env.AGENT_SIGNER_URL || '',
+    remoteToken: process.env.AGENT_SIGNER_TOKEN || '',
+  },
+
+  // Content — templates and prompts are written in sourceLanguage; targets posting in
+  // another language (defaultLanguage, or a platform's own `language`) get translations
+  sourceLanguage: process.env.SOURCE_LANGUAGE || 'en',
   defaultLanguage: process.env.DEFAULT_LANGUAGE || 'en',
   generateImages: process.env.GENERATE_IMAGES !== 'false',
   projectName: 'x402 Bazaar',
   projectUrl: 'https://x402bazaar.org',
   projectDescription: 'The first autonomous API marketplace for AI agents — pay-per-call with USDC via x402 protocol',
+  // Figures about the project that posts quote: {{name}} in templates, and numbers the lint accepts
+  projectFacts: {
+    revenueShare: 95, // % of each call's price paid to the API creator
+  },
 
   // Platforms enabled (auto-detected from env vars)
   platforms: {
@@ -30,10 +139,15 @@ export const config = {
       botToken: process.env.TELEGRAM_BOT_TOKEN,
       adminChatId: process.env.TELEGRAM_CHAT_ID,
       channelId: process.env.TELEGRAM_CHANNEL_ID,
+      parseMode: process.env.TELEGRAM_PARSE_MODE === 'HTML' ? 'HTML' : 'MarkdownV2',
+      language: process.env.TELEGRAM_LANGUAGE || '',
+      channels: process.env.TELEGRAM_CHANNELS || '', // extra channels per language: "fr=@x402_fr, es=@x402_es"
     },
     discord: {
       enabled: !!process.env.DISCORD_WEBHOOK_URL,
       webhookUrl: process.env.DISCORD_WEBHOOK_URL,
+      language: process.env.DISCORD_LANGUAGE || '',
+      webhooks: process.env.DISCORD_WEBHOOKS || '', // extra webhooks per language: "fr=https://discord.com/api/webhooks/…"
     },
     twitter: {
       enabled: !!process.env.TWITTER_API_KEY,
@@ -82,15 +196,121 @@ export const config = {
     sunday: [],
   },
 
+  // Strategy modules (lib/strategy-registry.js): strategies/ plus an optional
+  // directory of plugins with the same contract, outside the repo
+  strategies: {
+    pluginDir: process.env.STRATEGY_PLUGIN_DIR || null,
+  },
+
+  // Post visuals: 'cards' (stat cards rendered locally, free), 'ai' (paid /api/image,
+  // only while generateImages is on), 'both' or 'none'. Each strategy has its own
+  // default; `mode` overrides them all, `strategies[name]` overrides one.
+  visuals: {
+    mode: process.env.VISUALS || null,
+    strategies: {},
+  },
+
+  // Stat cards (lib/stat-cards.js): pixel size per network's feed aspect ratio
+  cards: {
+    formats: {
+      default: [1200, 675],
+      twitter: [1200, 675],
+      linkedin: [1200, 627],
+      discord: [1200, 675],
+      telegram: [1280, 720],
+      farcaster: [1200, 800],
+    },
+    sparklineDays: 30,
+    theme: {
+      background: '#06080f',
+      panel: '#161f30',
+      track: '#1e293b',
+      text: '#f1f5f9',
+      muted: '#64748b',
+      accent: '#FF9900',
+      good: '#22c55e',
+      bad: '#ef4444',
+    },
+  },
+
+  // Stats snapshots (lib/stats-history.js): one per fetchStats(), at most every
+  // minIntervalMinutes; older than detailedDays, one per day
+  statsHistory: {
+    minIntervalMinutes: 10,
+    detailedDays: 30,
+    retentionDays: 400,
+  },
+
+  // Catalog watch (lib/catalog-watch.js): the dashboard scheduler diffs the Bazaar's
+  // service list every intervalMinutes (0 = off) and queues new-api announcements.
+  // batchFrom or more services found in one check go out as a single announcement.
+  catalogWatch: {
+    intervalMinutes: parseInt(process.env.CATALOG_WATCH_MINUTES || '30', 10),
+    batchFrom: parseInt(process.env.CATALOG_BATCH_FROM || '3', 10),
+    keepChanges: 200,
+  },
+
+  // News digest (lib/news.js): stories featured in a published digest are left out
+  // of the next ones for rememberDays
+  newsDigest: {
+    rememberDays: 60,
+  },
+
+  // Pre-publish checks (lib/content-lint.js) — each rule 'block', 'flag' (needs approval) or 'off'
+  lint: {
+    enabled: process.env.LINT_ENABLED !== 'false',
+    rules: {
+      length: process.env.LINT_LENGTH || 'block',
+      numbers: process.env.LINT_NUMBERS || 'block',
+      forbidden: process.env.LINT_FORBIDDEN || 'block',
+      links: process.env.LINT_LINKS || 'flag',
+      sentiment: process.env.LINT_SENTIMENT || 'flag',
+    },
+    forbiddenPhrases: (process.env.LINT_FORBIDDEN_PHRASES || 'guaranteed returns,financial advice,risk-free,get rich,to the moon,not a scam')
+      .split(',').map(p => p.trim()).filter(Boolean),
+    numbers: {
+      ignoreBelow: 10, // small counts ("top 5", "3 steps") aren't checked
+      allow: [],
+      tolerance: 0.01, // relative, on top of the rounding the text shows
+    },
+    sentiment: {
+      rejectLabels: ['negative'],
+      minScore: parseFloat(process.env.LINT_MIN_SENTIMENT || '-0.2'),
+    },
+    linkTimeoutMs: 8000,
+  },
+
+  // Duplicate detection (lib/dedupe.js) against what was published in the last windowDays
+  dedupe: {
+    enabled: process.env.DEDUPE_ENABLED !== 'false',
+    windowDays: parseInt(process.env.DEDUPE_WINDOW_DAYS || '14', 10),
+    similarity: parseFloat(process.env.DEDUPE_SIMILARITY || '0.8'), // trigram overlap, numbers masked
+    onDuplicate: process.env.DEDUPE_ACTION === 'skip' ? 'skip' : 'regenerate',
+    maxRegenerations: 2, // then the duplicate platforms are skipped
+  },
+
   // Platform-specific content limits
+  // counting: how the network measures length (see lib/text-length.js)
   limits: {
-    twitter: { maxChars: 280, maxImages: 4 },
-    reddit: { maxTitleChars: 300, maxBodyChars: 40000 },
-    linkedin: { maxChars: 3000 },
-    discord: { maxChars: 2000 },
-    telegram: { maxChars: 4096 },
-    devto: { maxChars: 50000 },
-    farcaster: { maxChars: 320 },
-    hn: { maxTitleChars: 80 },
+    twitter: { maxChars: 280, maxImages: 4, counting: 'twitter' },
+    reddit: { maxTitleChars: 300, maxBodyChars: 40000, counting: 'codepoints' },
+    linkedin: { maxChars: 3000, counting: 'utf16' },
+    discord: { maxChars: 2000, maxEmbedChars: 4096, counting: 'utf16' },
+    telegram: { maxChars: 4096, maxCaptionChars: 1024, counting: 'utf16' },
+    devto: { maxChars: 50000, maxTitleChars: 150, counting: 'codepoints' },
+    farcaster: { maxChars: 320, counting: 'utf8' }, // 320 bytes, not characters
+    hn: { maxTitleChars: 80, counting: 'codepoints' },
   },
 };
+
+// Select the primary payment network
+export function setNetwork(name) {
+  const net = NETWORKS[name];
+  if (!net) throw new Error(`Unknown network "${name}". Available: ${Object.keys(NETWORKS).join(', ')}`);
+  config.chain = name;
+  config.usdcAddress = net.usdcAddress;
+  config.explorerUrl = net.explorerUrl;
+  if (!process.env.X402_ACCEPT_NETWORKS) config.acceptNetworks = [name];
+}
+
+setNetwork(envNetwork);
@@ -11,8 +11,14 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 dotenv.config({ path: join(__dirname, '.env') });
 
-import { config } from './config.js';
-import { getSpending } from './lib/x402-client.js';
+import { config, setNetwork } from './config.js';
+import { getSpending, clientEvents, getOrphanedPayments, resumeOrphanedPayment, resumeOrphanedPayments } from './lib/x402-client.js';
+import { withSpendContext, assignQueueItems } from './lib/ledger.js';
+import { estimateStrategy } from './lib/cost-estimator.js';
+import { getCircuitState } from './lib/http.js';
+import { assetIdFromUrl, assetUrl, readAsset } from './lib/media-store.js';
+import { listTemplateSets, loadTemplateSet, saveTemplateSet, resetTemplateSet, validateTemplateSet, pickTemplate, recordTemplateUse, recentTemplates, templateVars, composeFromTemplate } from './lib/templates.js';
+import { hasWallet, getSignerStatus, setSigner, importKey, unlockKeystore, lockSigner } from './lib/signers.js';
 import { fetchStats, generateText, generateImage, adaptForTwitter, adaptForLinkedIn, adaptForDiscord, adaptForTelegram, adaptForFarcaster, adaptForHN, adaptForReddit, adaptForDevTo } from './lib/content-gen.js';
 import { sendPreview, sendImage, postToChannel, sendReport } from './lib/platforms/telegram.js';
 import * as discord from './lib/platforms/discord.js';
@@ -21,9 +27,17 @@ import * as reddit from './lib/platforms/reddit.js';
 import * as devto from './lib/platforms/devto.js';
 import * as linkedin from './lib/platforms/linkedin.js';
 import * as farcaster from './lib/platforms/farcaster.js';
+import { parseContentKey, postLocalized } from './lib/languages.js';
+import { lintContents, formatIssues } from './lib/content-lint.js';
+import { generateUnique, findDuplicates, recordPublished } from './lib/dedupe.js';
+import { METRICS, series, weekOverWeek } from './lib/stats-history.js';
+import { imagesFor } from './lib/visuals.js';
+import { getStrategy, hasStrategy, listStrategies, resolveOptions } from './lib/strategy-registry.js';
+import { checkCatalog, loadCatalog, announcementsFor, markAnnounced } from './lib/catalog-watch.js';
+import { recordFeatured } from './lib/news.js';
 
 const PORT = process.env.DASHBOARD_PORT || 3500;
-const DATA_DIR = join(__dirname, 'data');
+const DATA_DIR = config.dataDir;
 const SETTINGS_FILE = join(DATA_DIR, 'agent-config.json');
 const HISTORY_FILE = join(DATA_DIR, 'publication-history.json');
 const QUEUE_FILE = join(DATA_DIR, 'publication-queue.json');
@@ -34,16 +48,21 @@ let queue = [];
 let schedulerInterval = null;
 let schedulerRunning = false;
 let lastSchedulerCheck = null;
+let lastCatalogCheck = 0;
 
 // Default settings structure
 const DEFAULT_SETTINGS = {
   wallet: {
-    privateKey: '',
-    maxBudget: 0.50
+    signer: 'keystore',
+    remoteUrl: '',
+    network: 'base',
+    maxBudget: 0.50,
+    maxWeeklyBudget: 2.50,
+    maxMonthlyBudget: 8.00
   },
   platforms: {
-    telegram: { enabled: false, autoPublish: false, botToken: '', adminChatId: '', channelId: '' },
-    discord: { enabled: false, autoPublish: false, webhookUrl: '' },
+    telegram: { enabled: false, autoPublish: false, botToken: '', adminChatId: '', channelId: '', language: '', channels: '' },
+    discord: { enabled: false, autoPublish: false, webhookUrl: '', language: '', webhooks: '' },
     twitter: { enabled: false, autoPublish: false, apiKey: '', apiSecret: '', accessToken: '', accessSecret: '' },
     reddit: { enabled: false, autoPublish: false, clientId: '', clientSecret: '', username: '', password: '', subreddits: ['artificial', 'webdev', 'SideProject'] },
     devto: { enabled: false, autoPublish: false, apiKey: '' },
@@ -53,7 +72,8 @@ const DEFAULT_SETTINGS = {
   },
   content: {
     generateImages: true,
-    defaultLanguage: 'fr',
+    visuals: '', // '' = each strategy's choice, or cards / ai / both / none for all
+    defaultLanguage: 'en', // templates are written in English — other languages cost a translation
     projectName: 'x402 Bazaar',
     projectUrl: 'https://x402bazaar.org'
   },
@@ -88,12 +108,29 @@ function loadSettings() {
     try {
       const saved = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf-8'));
       // Merge with env vars (env takes priority)
-      if (process.env.AGENT_PRIVATE_KEY) {
-        saved.wallet.privateKey = process.env.AGENT_PRIVATE_KEY;
+      // Raw keys are never kept in settings — import them into the keystore instead
+      if (saved.wallet.privateKey) {
+        delete saved.wallet.privateKey;
+        addLog('error', 'Clé privée en clair retirée des réglages — importez-la dans le keystore');
+      }
+      if (process.env.AGENT_SIGNER) {
+        saved.wallet.signer = process.env.AGENT_SIGNER;
+      }
+      if (process.env.AGENT_SIGNER_URL) {
+        saved.wallet.remoteUrl = process.env.AGENT_SIGNER_URL;
+      }
+      if (process.env.X402_NETWORK) {
+        saved.wallet.network = process.env.X402_NETWORK;
       }
       if (process.env.MAX_BUDGET_USDC) {
         saved.wallet.maxBudget = parseFloat(process.env.MAX_BUDGET_USDC);
       }
+      if (process.env.MAX_WEEKLY_BUDGET_USDC) {
+        saved.wallet.maxWeeklyBudget = parseFloat(process.env.MAX_WEEKLY_BUDGET_USDC);
+      }
+      if (process.env.MAX_MONTHLY_BUDGET_USDC) {
+        saved.wallet.maxMonthlyBudget = parseFloat(process.env.MAX_MONTHLY_BUDGET_USDC);
+      }
       // Merge platform configs from env
       if (process.env.TELEGRAM_BOT_TOKEN) {
         saved.platforms.telegram.botToken = process.env.TELEGRAM_BOT_TOKEN;
@@ -103,6 +140,13 @@ function loadSettings() {
       if (process.env.DISCORD_WEBHOOK_URL) {
         saved.platforms.discord.webhookUrl = process.env.DISCORD_WEBHOOK_URL;
       }
+      // Per-channel languages (see lib/languages.js)
+      for (const [platform, key, env] of [
+        ['telegram', 'language', 'TELEGRAM_LANGUAGE'], ['telegram', 'channels', 'TELEGRAM_CHANNELS'],
+        ['discord', 'language', 'DISCORD_LANGUAGE'], ['discord', 'webhooks', 'DISCORD_WEBHOOKS'],
+      ]) {
+        if (process.env[env]) saved.platforms[platform][key] = process.env[env];
+      }
       if (process.env.TWITTER_API_KEY) {
         saved.platforms.twitter.apiKey = process.env.TWITTER_API_KEY;
         saved.platforms.twitter.apiSecret = process.env.TWITTER_API_SECRET || saved.platforms.twitter.apiSecret;
@@ -130,6 +174,9 @@ function loadSettings() {
       if (process.env.GENERATE_IMAGES !== undefined) {
         saved.content.generateImages = process.env.GENERATE_IMAGES !== 'false';
       }
+      if (process.env.VISUALS) {
+        saved.content.visuals = process.env.VISUALS;
+      }
 
       applySettingsToConfig(saved);
       addLog('info', 'Settings loaded from file');
@@ -143,6 +190,7 @@ function loadSettings() {
 
 function saveSettings(settings) {
   try {
+    if (settings.wallet) delete settings.wallet.privateKey;
     fs.writeFileSync(SETTINGS_FILE, JSON.stringify(settings, null, 2), 'utf-8');
     applySettingsToConfig(settings);
     addLog('info', 'Settings saved');
@@ -157,15 +205,16 @@ function saveSettings(settings) {
 const SENSITIVE_KEYS = new Set([
   'privateKey', 'botToken', 'apiKey', 'apiSecret',
   'accessToken', 'accessSecret', 'clientId', 'clientSecret',
-  'password', 'mnemonic', 'webhookUrl',
+  'password', 'mnemonic', 'webhookUrl', 'webhooks',
 ]);
 
 function sanitizeConfigForFrontend(settings) {
   const safe = JSON.parse(JSON.stringify(settings));
-  // Remove wallet private key entirely
+  // Wallet — expose signer state, never key material
   if (safe.wallet) {
     safe.wallet.privateKey = undefined;
-    safe.wallet.configured = !!settings.wallet.privateKey;
+    safe.wallet.configured = hasWallet();
+    safe.wallet.signerStatus = getSignerStatus();
   }
   // Strip all sensitive platform credentials
   if (safe.platforms) {
@@ -190,9 +239,18 @@ function sanitizeConfigForFrontend(settings) {
 
 function applySettingsToConfig(settings) {
   // Update runtime config
+  if (settings.wallet.network && settings.wallet.network !== config.chain) {
+    setNetwork(settings.wallet.network);
+  }
+  if (settings.wallet.signer) {
+    setSigner({ type: settings.wallet.signer, remoteUrl: settings.wallet.remoteUrl || undefined });
+  }
   config.maxBudget = settings.wallet.maxBudget;
+  config.maxWeeklyBudget = settings.wallet.maxWeeklyBudget ?? config.maxWeeklyBudget;
+  config.maxMonthlyBudget = settings.wallet.maxMonthlyBudget ?? config.maxMonthlyBudget;
   config.defaultLanguage = settings.content.defaultLanguage;
   config.generateImages = settings.content.generateImages;
+  config.visuals.mode = settings.content.visuals || null;
   config.projectName = settings.content.projectName;
   config.projectUrl = settings.content.projectUrl;
 
@@ -249,16 +307,41 @@ function saveQueue() {
   } catch (e) { addLog('error', `Failed to save queue: ${e.message}`); }
 }
 
+// Blocked by the pre-publish lint: held until someone approves it anyway.
+// Flagged: never auto-published, whatever the platform settings say.
+function lintStatus(lint, autoPublish) {
+  if (lint?.status === 'blocked') return 'blocked';
+  return autoPublish && lint?.status !== 'flagged' ? 'pending' : 'awaiting_approval';
+}
+
+// Admin preview on Telegram, with the lint's reasons when there are any
+function previewContents({ contents, lint }) {
+  return lint?.issues.length ? { ...contents, lint: formatIssues(lint) } : contents;
+}
+
 function createQueueItem(strategy, previewResult, platforms, autoPublish = false) {
+  // A platform's extra channels in other languages ("telegram:fr") go out with it
+  const keys = Object.keys(previewResult.contents || {});
+  const lint = previewResult.lint || { status: 'ok', issues: [] };
   return {
     id: crypto.randomUUID(),
     strategy,
     contents: previewResult.contents,
+    languages: previewResult.languages || {},
+    template: previewResult.template || null,
+    duplicates: previewResult.duplicates || [], // platforms dropped as already published
     stats: previewResult.stats,
     imageUrl: previewResult.imageUrl || null,
-    platforms,
+    imageAsset: assetIdFromUrl(previewResult.imageUrl), // archived copy in data/media
+    imageAlt: previewResult.imageAlt || null,
+    visuals: previewResult.visuals || null, // per-network stat cards and/or the AI picture
+    stories: previewResult.stories || null, // news-digest: marked as featured once published
+    platforms: platforms
+      .flatMap(p => [p, ...keys.filter(k => parseContentKey(k).platform === p && k !== p)])
+      .filter(p => !(previewResult.skipped || []).includes(p)),
     autoPublish,
-    status: autoPublish ? 'pending' : 'awaiting_approval',
+    lint,
+    status: lintStatus(lint, autoPublish),
     retryCount: 0,
     nextRetry: null,
     createdAt: new Date().toISOString(),
@@ -343,13 +426,61 @@ async function schedulerTick() {
     }
   }
 
+  const { intervalMinutes } = config.catalogWatch;
+  if (intervalMinutes > 0 && Date.now() - lastCatalogCheck >= intervalMinutes * 60_000) {
+    lastCatalogCheck = Date.now();
+    await watchCatalog(settings).catch(e => addLog('error', `Catalogue: vérification échouée — ${e.message}`));
+  }
+
   await processRetryQueue(settings);
 }
 
-async function executeScheduledStrategy(strategyName, settings) {
+// Diff the Bazaar catalog and queue a new-api run per announcement (batched by announcementsFor).
+// Services whose run didn't go through stay pending for the next check.
+async function watchCatalog(settings) {
+  const result = await checkCatalog();
+  if (result.baseline) addLog('info', `Catalogue: référence enregistrée (${result.total} services)`);
+  for (const s of result.added) addLog('info', `Catalogue: nouvelle API ${s.name} (${s.endpoint})`);
+  for (const s of result.removed) addLog('info', `Catalogue: API retirée ${s.name} (${s.endpoint})`);
+  for (const s of result.repriced) addLog('info', `Catalogue: ${s.name} passe de ${s.previousPrice} à ${s.price} USDC`);
+  const announcements = announcementsFor(result.pending);
+  let announced = 0;
+  for (const { endpoints, options } of announcements) {
+    addLog('info', `Catalogue: annonce ${options.apiName}`);
+    if (await executeScheduledStrategy('new-api', settings, options)) {
+      markAnnounced(endpoints);
+      announced++;
+    } else {
+      addLog('info', `Catalogue: ${options.apiName} reste à annoncer — nouvel essai à la prochaine vérification`);
+    }
+  }
+  return { ...result, announcements: announcements.length, announced };
+}
+
+// → true once the run went through (content queued, or nothing new to post)
+async function executeScheduledStrategy(strategyName, settings, input = {}) {
+  const runId = crypto.randomUUID();
   try {
-    const mod = await import(`./strategies/${strategyName}.js`);
-    const result = await mod.execute({});
+    const mod = await getStrategy(strategyName);
+    const options = resolveOptions(mod, input);
+    const estimate = await estimateStrategy(mod, options);
+    if (!estimate.affordable) {
+      addLog('error', estimate.unknown.length
+        ? `Strategy ${strategyName} annulée: coût inconnu pour ${estimate.unknown.join(', ')}`
+        : `Strategy ${strategyName} annulée: coût estimé ${estimate.total.toFixed(4)} USDC > budget restant ${estimate.remaining.toFixed(4)} USDC`);
+      return false;
+    }
+    const result = await withSpendContext({ strategy: strategyName, runId }, async () => {
+      const r = await generateUnique(ctx => mod.execute(options, ctx), strategyName);
+      return { ...r, lint: await lintContents(r) };
+    });
+    for (const d of result.duplicates) addLog('info', `${strategyName}: ${d.platform} ignoré — doublon (${d.reason})`);
+    if (!Object.keys(result.contents).length) {
+      addLog('info', `Strategy ${strategyName}: rien de nouveau à publier`);
+      return true;
+    }
+    if (result.lint.issues.length) addLog(result.lint.status === 'ok' ? 'info' : 'error', `Lint ${strategyName} (${result.lint.status}): ${result.lint.issues.map(i => `${i.platform} ${i.message}`).join('; ')}`);
+    const itemIds = [];
 
     const autoPlatforms = [];
     const manualPlatforms = [];
@@ -366,52 +497,69 @@ async function executeScheduledStrategy(strategyName, settings) {
     if (autoPlatforms.length > 0) {
       const item = createQueueItem(strategyName, result, autoPlatforms, true);
       queue.push(item);
+      itemIds.push(item.id);
       saveQueue();
-      addLog('info', `Auto-publish: ${autoPlatforms.join(', ')}`);
-      await publishQueueItem(item);
+      if (item.status === 'pending') {
+        addLog('info', `Auto-publish: ${autoPlatforms.join(', ')}`);
+        await publishQueueItem(item);
+      } else {
+        addLog('info', `Auto-publish suspendu par le lint (${result.lint.status}): ${autoPlatforms.join(', ')}`);
+        await sendPreview(previewContents(result)).catch(() => {});
+      }
     }
 
     if (manualPlatforms.length > 0) {
       const item = createQueueItem(strategyName, result, manualPlatforms, false);
       queue.push(item);
+      itemIds.push(item.id);
       saveQueue();
       addLog('info', `En attente d'approbation: ${manualPlatforms.join(', ')}`);
-      await sendPreview(result.contents).catch(() => {});
+      await sendPreview(previewContents(result)).catch(() => {});
     }
 
+    assignQueueItems(runId, itemIds);
+
     if (autoPlatforms.length === 0 && manualPlatforms.length === 0) {
       addLog('info', 'Aucune plateforme activée — contenu généré sans publication');
     }
+    return true;
   } catch (e) {
     addLog('error', `Strategy ${strategyName} échouée: ${e.message}`);
+    return false;
   }
 }
 
 async function publishQueueItem(item) {
   item.status = 'publishing';
   saveQueue();
+  // Post the archived image, not the generator's URL (expired by approval/retry time)
+  if (item.imageAsset) item.imageUrl = assetUrl(item.imageAsset);
 
   for (const platform of item.platforms) {
     const content = item.contents[platform];
     if (!content) continue;
     try {
       let result;
-      switch (platform) {
+      switch (parseContentKey(platform).platform) {
         case 'discord':
-          result = await discord.post(content); break;
+          result = await postLocalized(platform, url => discord.post(content, url)); break;
         case 'telegram':
-          result = await postToChannel(content.text || content, content.imageUrl || item.imageUrl)
-            .then(r => ({ success: !!r?.ok, message: r?.ok ? 'Publié' : 'Échec' })); break;
-        case 'twitter':
-          result = await twitter.post(typeof content === 'string' ? content : content.text || JSON.stringify(content), item.imageUrl); break;
+          result = await postLocalized(platform, channel => postToChannel(content, content.imageUrl || item.imageUrl, channel)
+            .then(r => ({ success: !!r?.ok, message: r?.ok ? 'Publié' : 'Échec' }))); break;
+        case 'twitter': {
+          const { urls, alts } = imagesFor(item, platform);
+          result = await twitter.post(content, urls, alts); break;
+        }
         case 'reddit':
           result = await reddit.post(content); break;
-        case 'linkedin':
-          result = await linkedin.post(typeof content === 'string' ? content : content.text || JSON.stringify(content)); break;
+        case 'linkedin': {
+          const { urls: [url], alts: [alt] } = imagesFor(item, platform);
+          result = await linkedin.post(typeof content === 'string' ? content : content.text || JSON.stringify(content), url, alt); break;
+        }
         case 'devto':
           result = await devto.post(content); break;
         case 'farcaster':
-          result = await farcaster.post(typeof content === 'string' ? content : content.text || JSON.stringify(content)); break;
+          result = await farcaster.post(typeof content === 'string' ? content : content.text || JSON.stringify(content), imagesFor(item, platform).urls); break;
         default:
           result = { success: false, message: 'Plateforme inconnue' };
       }
@@ -436,7 +584,8 @@ async function publishQueueItem(item) {
     item.status = 'failed';
     const settings = loadCurrentSettings();
     const maxRetries = settings.scheduler?.retryMax || 3;
-    if (item.retryCount < maxRetries) {
+    // Duplicates are rejected for good — only other failures are worth a retry
+    if (item.retryCount < maxRetries && Object.values(item.results).some(r => !r.duplicate)) {
       item.status = 'retry';
       const delays = settings.scheduler?.retryDelays || [5, 30, 60];
       const delayMin = delays[Math.min(item.retryCount, delays.length - 1)];
@@ -448,6 +597,9 @@ async function publishQueueItem(item) {
 
   history.push({ time: new Date().toISOString(), strategy: item.strategy, results: item.results, auto: item.autoPublish });
   saveHistory();
+  recordPublished(item.contents, item.results, { strategy: item.strategy, template: item.template });
+  recordFeatured(item.stories, item.results);
+  recordTemplateUse(item.strategy, item.template, item.results);
   saveQueue();
   await sendReport(item.results).catch(() => {});
 }
@@ -459,7 +611,7 @@ async function processRetryQueue(settings) {
   for (const item of retryItems) {
     addLog('info', `Retry: ${item.strategy} (tentative ${item.retryCount})`);
     const failedPlatforms = Object.entries(item.results)
-      .filter(([_, r]) => !r.success)
+      .filter(([_, r]) => !r.success && !r.duplicate)
       .map(([p]) => p);
     item.platforms = failedPlatforms;
     item.results = {};
@@ -475,10 +627,8 @@ function isRedacted(val) {
 
 function mergeSettings(existing, incoming) {
   const merged = JSON.parse(JSON.stringify(incoming));
-  // Wallet
-  if (isRedacted(merged.wallet?.privateKey)) {
-    merged.wallet.privateKey = existing.wallet?.privateKey || '';
-  }
+  // Wallet — keys go through /api/wallet/import, never through settings
+  if (merged.wallet) delete merged.wallet.privateKey;
   // Platforms — preserve sensitive fields if redacted
   if (merged.platforms && existing.platforms) {
     for (const [name, platCfg] of Object.entries(merged.platforms)) {
@@ -624,13 +774,16 @@ async function handleApi(req, res) {
     const spending = getSpending();
     return json(res, {
       platforms,
-      budget: { max: config.maxBudget, spent: spending.spent, remaining: spending.remaining },
-      walletConfigured: !!process.env.AGENT_PRIVATE_KEY,
+      budget: { max: config.maxBudget, spent: spending.spent, remaining: spending.remaining, windows: spending.windows, cache: spending.cache },
+      walletConfigured: hasWallet(),
+      signer: getSignerStatus(),
+      network: { name: config.chain, available: Object.keys(config.networks), accept: config.acceptNetworks },
+      upstream: getCircuitState(),
       logsCount: logs.length,
       historyCount: history.length,
       scheduler: { running: schedulerRunning, lastCheck: lastSchedulerCheck },
       queueLength: queue.length,
-      pendingApproval: queue.filter(q => q.status === 'awaiting_approval').length,
+      pendingApproval: queue.filter(q => ['awaiting_approval', 'blocked'].includes(q.status)).length,
     });
   }
 
@@ -642,6 +795,16 @@ async function handleApi(req, res) {
     } catch (e) { return json(res, { error: e.message }, 500); }
   }
 
+  // GET /api/stats/history?days=30 — daily series per metric + week-over-week deltas
+  if (path === '/api/stats/history' && req.method === 'GET') {
+    const days = Math.min(Math.max(parseInt(url.searchParams.get('days') || '30', 10) || 30, 1), 400);
+    return json(res, {
+      days,
+      series: Object.fromEntries(METRICS.map(m => [m, series(m, { days })])),
+      week: weekOverWeek(),
+    });
+  }
+
   // GET /api/settings — read settings
   if (path === '/api/settings' && req.method === 'GET') {
     const settings = fs.existsSync(SETTINGS_FILE)
@@ -657,6 +820,11 @@ async function handleApi(req, res) {
     if (!body || typeof body !== 'object') {
       return json(res, { error: 'Invalid settings object' }, 400);
     }
+    // Scheduled strategies must exist — a typo would only fail at run time
+    const scheduled = Object.values(body.schedule || {}).flat().map(e => (typeof e === 'string' ? e : e?.strategy));
+    const unknown = [];
+    for (const name of new Set(scheduled)) if (!await hasStrategy(name)) unknown.push(name);
+    if (unknown.length) return json(res, { error: `Unknown strategy in schedule: ${unknown.join(', ')}` }, 400);
     // Merge with existing settings — preserve redacted values
     const existing = fs.existsSync(SETTINGS_FILE)
       ? JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf-8'))
@@ -719,10 +887,25 @@ async function handleApi(req, res) {
   if (path === '/api/preview' && req.method === 'POST') {
     const body = await readBody(req);
     const strategy = body.strategy || 'daily-stats';
+    if (!await hasStrategy(strategy)) return json(res, { error: `Unknown strategy: ${strategy}` }, 400);
+    const mod = await getStrategy(strategy);
+    let options;
+    try { options = resolveOptions(mod, body.options || {}); } catch (e) { return json(res, { error: e.message }, 400); }
     addLog('info', `Generating preview for strategy: ${strategy}`);
     try {
-      const mod = await import(`./strategies/${strategy}.js`);
-      const result = await mod.execute(body.options || {});
+      const estimate = await estimateStrategy(mod, options, { preview: true });
+      if (!estimate.affordable) {
+        const error = estimate.unknown.length
+          ? `Coût inconnu pour ${estimate.unknown.join(', ')}`
+          : `Budget insuffisant: ${estimate.total.toFixed(4)} USDC estimés, ${estimate.remaining.toFixed(4)} USDC restants`;
+        addLog('error', `Preview refusé: ${error}`);
+        return json(res, { error, estimate }, 402);
+      }
+      const result = await withSpendContext({ strategy, runId: crypto.randomUUID() }, async () => {
+        const r = await mod.execute(options);
+        // Studio shows duplicates without regenerating — the user decides what to publish
+        return { ...r, lint: await lintContents(r), duplicates: findDuplicates(r.contents) };
+      });
       addLog('info', `Preview generated: ${Object.keys(result.contents).join(', ')}`);
       return json(res, result);
     } catch (e) {
@@ -731,6 +914,76 @@ async function handleApi(req, res) {
     }
   }
 
+  // GET /api/strategies — registered strategies with their options, and modules that failed validation
+  if (path === '/api/strategies' && req.method === 'GET') {
+    return json(res, await listStrategies());
+  }
+
+  // GET /api/estimate?strategy=…[&options=<json>][&preview=1] — expected USDC cost of a run (402
+  // quotes, nothing paid); a full run counts its duplicate regenerations, a preview doesn't regenerate
+  if (path === '/api/estimate' && req.method === 'GET') {
+    const strategy = url.searchParams.get('strategy') || 'daily-stats';
+    if (!await hasStrategy(strategy)) return json(res, { error: `Unknown strategy: ${strategy}` }, 400);
+    const mod = await getStrategy(strategy);
+    let input;
+    try { input = JSON.parse(url.searchParams.get('options') || '{}'); } catch { return json(res, { error: 'options must be JSON' }, 400); }
+    let options;
+    try { options = resolveOptions(mod, input); } catch (e) { return json(res, { error: e.message }, 400); }
+    try {
+      return json(res, await estimateStrategy(mod, options, { preview: url.searchParams.get('preview') === '1' }));
+    } catch (e) { return json(res, { error: e.message }, 500); }
+  }
+
+  // ─── Template Routes ────────────────────────────────────────────
+  // GET /api/templates — every strategy's template set, with its recent picks
+  if (path === '/api/templates' && req.method === 'GET') {
+    return json(res, listTemplateSets().map(set => ({ ...set, recent: recentTemplates(set.strategy) })));
+  }
+
+  // POST /api/templates/preview — fill templates against live stats (no AI call, no rotation)
+  if (path === '/api/templates/preview' && req.method === 'POST') {
+    const body = await readBody(req);
+    try {
+      const set = body.set || loadTemplateSet(body.strategy);
+      const errors = validateTemplateSet(set);
+      if (errors.length) return json(res, { error: errors.join('; '), errors }, 400);
+      const stats = await fetchStats();
+      // Strategy options the preview doesn't have show up as [name]
+      const options = Object.fromEntries((set.variables || []).map(v => [v, body.options?.[v] ?? `[${v}]`]));
+      const vars = templateVars(stats, options);
+      const previews = [];
+      for (const t of set.templates) {
+        previews.push({ id: t.id, enabled: t.enabled !== false, ...await composeFromTemplate(t, vars, { generate: false }) });
+      }
+      let next = null;
+      try { next = pickTemplate(body.strategy).id; } catch { /* unsaved or missing set */ }
+      return json(res, { previews, next, recent: recentTemplates(body.strategy), stale: !!stats.stale });
+    } catch (e) { return json(res, { error: e.message }, 500); }
+  }
+
+  // POST /api/templates/:strategy — save the dashboard's copy (data/templates/)
+  if (path.match(/^\/api\/templates\/[^/]+$/) && req.method === 'POST') {
+    const strategy = path.split('/')[3];
+    const body = await readBody(req);
+    const errors = validateTemplateSet(body);
+    if (errors.length) return json(res, { error: errors.join('; '), errors }, 400);
+    try {
+      saveTemplateSet(strategy, body);
+      addLog('info', `Modeles enregistres: ${strategy} (${body.templates.length})`);
+      return json(res, { success: true, set: loadTemplateSet(strategy) });
+    } catch (e) { return json(res, { error: e.message }, 400); }
+  }
+
+  // DELETE /api/templates/:strategy — back to the shipped templates
+  if (path.match(/^\/api\/templates\/[^/]+$/) && req.method === 'DELETE') {
+    const strategy = path.split('/')[3];
+    try {
+      resetTemplateSet(strategy);
+      addLog('info', `Modeles reinitialises: ${strategy}`);
+      return json(res, { success: true, set: loadTemplateSet(strategy) });
+    } catch (e) { return json(res, { error: e.message }, 400); }
+  }
+
   // POST /api/publish — publish to selected platforms
   if (path === '/api/publish' && req.method === 'POST') {
     const body = await readBody(req);
@@ -745,28 +998,32 @@ async function handleApi(req, res) {
       const content = contents[platform];
       if (!content) continue;
       try {
-        switch (platform) {
+        switch (parseContentKey(platform).platform) {
           case 'discord':
-            results.discord = await discord.post(content);
+            results[platform] = await postLocalized(platform, url => discord.post(content, url));
             break;
           case 'telegram':
-            results.telegram = await postToChannel(content.text || content, content.imageUrl || imageUrl)
-              .then(r => ({ success: !!r?.ok, message: r?.ok ? 'Posted' : 'Failed' }));
+            results[platform] = await postLocalized(platform, channel => postToChannel(content, content.imageUrl || imageUrl, channel)
+              .then(r => ({ success: !!r?.ok, message: r?.ok ? 'Posted' : 'Failed' })));
             break;
-          case 'twitter':
-            results.twitter = await twitter.post(typeof content === 'string' ? content : content.text || JSON.stringify(content), imageUrl);
+          case 'twitter': {
+            const { urls, alts } = imagesFor(body, platform);
+            results.twitter = await twitter.post(content, urls, alts);
             break;
+          }
           case 'reddit':
             results.reddit = await reddit.post(content);
             break;
-          case 'linkedin':
-            results.linkedin = await linkedin.post(typeof content === 'string' ? content : content.text || JSON.stringify(content));
+          case 'linkedin': {
+            const { urls: [url], alts: [alt] } = imagesFor(body, platform);
+            results.linkedin = await linkedin.post(typeof content === 'string' ? content : content.text || JSON.stringify(content), url, alt);
             break;
+          }
           case 'devto':
             results.devto = await devto.post(content);
             break;
           case 'farcaster':
-            results.farcaster = await farcaster.post(typeof content === 'string' ? content : content.text || JSON.stringify(content));
+            results.farcaster = await farcaster.post(typeof content === 'string' ? content : content.text || JSON.stringify(content), imagesFor(body, platform).urls);
             break;
           default:
             results[platform] = { success: false, message: 'Unknown platform' };
@@ -779,6 +1036,9 @@ async function handleApi(req, res) {
     }
 
     history.push({ time: new Date().toISOString(), strategy: body.strategy, results });
+    recordPublished(contents, results, { strategy: body.strategy, template: body.template });
+    recordFeatured(body.stories, results);
+    recordTemplateUse(body.strategy, body.template, results);
     if (history.length > 100) history.shift(); // Keep last 100
     saveHistory();
     await sendReport(results).catch(() => {});
@@ -804,7 +1064,7 @@ async function handleApi(req, res) {
       lastCheck: lastSchedulerCheck,
       nextPost: getNextScheduledPost(),
       queueLength: queue.length,
-      pendingApproval: queue.filter(q => q.status === 'awaiting_approval').length,
+      pendingApproval: queue.filter(q => ['awaiting_approval', 'blocked'].includes(q.status)).length,
       retryCount: queue.filter(q => q.status === 'retry').length,
     });
   }
@@ -833,9 +1093,11 @@ async function handleApi(req, res) {
   if (path === '/api/scheduler/run-now' && req.method === 'POST') {
     const body = await readBody(req);
     const strategy = body.strategy || 'daily-stats';
+    if (!await hasStrategy(strategy)) return json(res, { error: `Unknown strategy: ${strategy}` }, 400);
+    try { resolveOptions(await getStrategy(strategy), body.options || {}); } catch (e) { return json(res, { error: e.message }, 400); }
     addLog('info', `Exécution manuelle: ${strategy}`);
     const settings = loadCurrentSettings();
-    await executeScheduledStrategy(strategy, settings);
+    await executeScheduledStrategy(strategy, settings, body.options || {});
     return json(res, { success: true, queueLength: queue.length });
   }
 
@@ -850,8 +1112,9 @@ async function handleApi(req, res) {
     const id = path.split('/')[3];
     const item = queue.find(q => q.id === id);
     if (!item) return json(res, { error: 'Item not found' }, 404);
-    if (item.status !== 'awaiting_approval') return json(res, { error: 'Item not awaiting approval' }, 400);
-    addLog('info', `Queue approuvé: ${item.strategy} → ${item.platforms.join(', ')}`);
+    // Blocked items can be approved too: a human overriding the lint
+    if (!['awaiting_approval', 'blocked'].includes(item.status)) return json(res, { error: 'Item not awaiting approval' }, 400);
+    addLog('info', `Queue approuvé${item.status === 'blocked' ? ' malgré le lint' : ''}: ${item.strategy} → ${item.platforms.join(', ')}`);
     await publishQueueItem(item);
     return json(res, { success: true, status: item.status });
   }
@@ -880,18 +1143,51 @@ async function handleApi(req, res) {
     return json(res, { success: true });
   }
 
+  // ─── Catalog Routes ────────────────────────────────────────────
+  // GET /api/catalog — last known Bazaar catalog and its recent changes
+  if (path === '/api/catalog' && req.method === 'GET') {
+    const catalog = loadCatalog();
+    return json(res, {
+      checkedAt: catalog?.checkedAt || null,
+      total: catalog ? Object.keys(catalog.services).length : 0,
+      intervalMinutes: config.catalogWatch.intervalMinutes,
+      changes: (catalog?.changes || []).slice(-50).reverse(),
+    });
+  }
+
+  // POST /api/catalog/check — diff the catalog now and queue announcements for new services
+  if (path === '/api/catalog/check' && req.method === 'POST') {
+    try {
+      lastCatalogCheck = Date.now();
+      return json(res, await watchCatalog(loadCurrentSettings()));
+    } catch (e) {
+      addLog('error', `Catalogue: vérification échouée — ${e.message}`);
+      return json(res, { error: e.message }, 502);
+    }
+  }
+
   // ─── Webhook Routes ─────────────────────────────────────────────
   // POST /api/webhook/new-api — triggered when new API registered on x402
   if (path === '/api/webhook/new-api' && req.method === 'POST') {
     const body = await readBody(req);
-    const { apiName, apiDescription, apiPrice } = body;
-    if (!apiName) return json(res, { error: 'apiName required' }, 400);
+    const { apiName, apiDescription, apiPrice, apiEndpoint } = body;
+    const mod = await getStrategy('new-api');
+    let options;
+    try {
+      options = resolveOptions(mod, { apiName, apiDescription, apiPrice: apiPrice || '0.001', apiEndpoint });
+    } catch (e) { return json(res, { error: e.message }, 400); }
 
     addLog('info', `Webhook: nouvelle API "${apiName}"`);
     const settings = loadCurrentSettings();
+    const runId = crypto.randomUUID();
     try {
-      const mod = await import('./strategies/new-api.js');
-      const result = await mod.execute({ apiName, apiDescription: apiDescription || '', apiPrice: apiPrice || '0.001 USDC' });
+      const result = await withSpendContext({ strategy: 'new-api', runId }, async () => {
+        const r = await generateUnique(ctx => mod.execute(options, ctx), 'new-api');
+        return { ...r, lint: await lintContents(r) };
+      });
+      for (const d of result.duplicates) addLog('info', `new-api: ${d.platform} ignoré — doublon (${d.reason})`);
+      if (!Object.keys(result.contents).length) return json(res, { success: false, message: `Annonce "${apiName}" déjà publiée`, duplicates: result.duplicates });
+      const itemIds = [];
 
       const autoPlatforms = [];
       const manualPlatforms = [];
@@ -904,15 +1200,19 @@ async function handleApi(req, res) {
       if (autoPlatforms.length > 0) {
         const item = createQueueItem('new-api', result, autoPlatforms, true);
         queue.push(item);
+        itemIds.push(item.id);
         saveQueue();
-        await publishQueueItem(item);
+        if (item.status === 'pending') await publishQueueItem(item);
+        else await sendPreview(previewContents(result)).catch(() => {});
       }
       if (manualPlatforms.length > 0) {
         const item = createQueueItem('new-api', result, manualPlatforms, false);
         queue.push(item);
+        itemIds.push(item.id);
         saveQueue();
-        await sendPreview(result.contents).catch(() => {});
+        await sendPreview(previewContents(result)).catch(() => {});
       }
+      assignQueueItems(runId, itemIds);
 
       return json(res, { success: true, message: `Annonce "${apiName}" créée`, queueLength: queue.length });
     } catch (e) {
@@ -921,6 +1221,74 @@ async function handleApi(req, res) {
     }
   }
 
+  // ─── Payment Journal Routes ─────────────────────────────────────
+  // GET /api/wallet — signer type, lock state and address (no key material)
+  if (path === '/api/wallet' && req.method === 'GET') {
+    return json(res, getSignerStatus());
+  }
+
+  // POST /api/wallet/import — encrypt a raw key into the keystore; the key is not kept.
+  // An existing keystore is only replaced (after a backup) with { overwrite: true }.
+  if (path === '/api/wallet/import' && req.method === 'POST') {
+    const body = await readBody(req);
+    if (fs.existsSync(config.signer.keystorePath) && body?.overwrite !== true) {
+      return json(res, { error: 'Un keystore existe deja — confirmez son remplacement (il sera sauvegarde)', exists: true }, 409);
+    }
+    if (!/^(0x)?[0-9a-fA-F]{64}$/.test(body?.privateKey || '')) {
+      return json(res, { error: 'Invalid private key' }, 400);
+    }
+    if (!body.passphrase || body.passphrase.length < 8) {
+      return json(res, { error: 'Passphrase must be at least 8 characters' }, 400);
+    }
+    try {
+      const address = importKey(body.privateKey, body.passphrase, { overwrite: body.overwrite === true });
+      setSigner({ type: 'keystore' });
+      await unlockKeystore(body.passphrase);
+      addLog('info', `Keystore créé pour ${address}`);
+      return json(res, { success: true, address });
+    } catch (e) {
+      return json(res, { error: e.message }, 500);
+    }
+  }
+
+  // POST /api/wallet/unlock — passphrase held in memory until lock/restart
+  if (path === '/api/wallet/unlock' && req.method === 'POST') {
+    const body = await readBody(req);
+    try {
+      const account = await unlockKeystore(body?.passphrase || '');
+      addLog('info', `Wallet déverrouillé: ${account.address}`);
+      return json(res, { success: true, address: account.address });
+    } catch (e) {
+      addLog('error', `Déverrouillage du wallet échoué: ${e.message}`);
+      return json(res, { error: e.message }, 401);
+    }
+  }
+
+  // POST /api/wallet/lock
+  if (path === '/api/wallet/lock' && req.method === 'POST') {
+    lockSigner();
+    addLog('info', 'Wallet verrouillé');
+    return json(res, { success: true });
+  }
+
+  // GET /api/payments/orphans — payments signed/broadcast but never settled
+  if (path === '/api/payments/orphans' && req.method === 'GET') {
+    return json(res, getOrphanedPayments());
+  }
+
+  // POST /api/payments/orphans/:id/resume — replay the stored proof
+  if (path.match(/^\/api\/payments\/orphans\/[^/]+\/resume$/) && req.method === 'POST') {
+    const id = path.split('/')[4];
+    try {
+      await resumeOrphanedPayment(id);
+      addLog('info', `Paiement ${id} repris et réglé`);
+      return json(res, { success: true });
+    } catch (e) {
+      addLog('error', `Reprise du paiement ${id} échouée: ${e.message}`);
+      return json(res, { error: e.message }, 500);
+    }
+  }
+
   // GET /api/logs
   if (path === '/api/logs' && req.method === 'GET') {
     return json(res, logs.slice(-50));
@@ -937,6 +1305,24 @@ async function handleApi(req, res) {
 // ─── Static file server ──────────────────────────────────────────
 function serveStatic(req, res) {
   const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  // Archived generated images — /media/<sha256>.<ext>
+  if (url.pathname.startsWith('/media/')) {
+    const asset = readAsset(url.pathname.slice('/media/'.length));
+    if (!asset) {
+      res.writeHead(404);
+      return res.end('Not found');
+    }
+    // Inert even if an asset isn't what its type says: no script, no sniffing
+    res.writeHead(200, {
+      'Content-Type': asset.mimeType,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'Content-Security-Policy': "default-src 'none'; sandbox",
+      'X-Content-Type-Options': 'nosniff',
+    });
+    return res.end(asset.bytes);
+  }
+
   let filePath = url.pathname === '/' ? '/index.html' : url.pathname;
   filePath = join(__dirname, 'public', filePath);
 
@@ -989,6 +1375,11 @@ const server = http.createServer(async (req, res) => {
   serveStatic(req, res);
 });
 
+// Surface refused x402 payments (policy or budget) in the dashboard logs
+clientEvents.on('payment-rejected', e => {
+  addLog('error', `Paiement refusé (${e.amount} USDC → ${e.recipient}, ${e.endpoint}): ${e.reason}`);
+});
+
 // Initialize on startup
 ensureDataDir();
 const currentSettings = loadSettings();
@@ -1005,4 +1396,13 @@ server.listen(PORT, () => {
   if (settings.scheduler?.enabled) {
     startScheduler();
   }
+
+  // Replay payments a previous process left half-done
+  if (hasWallet() && getOrphanedPayments().length > 0) {
+    resumeOrphanedPayments().then(results => {
+      for (const r of results) {
+        addLog(r.success ? 'info' : 'error', `Paiement orphelin ${r.id}: ${r.success ? 'réglé' : r.message}`);
+      }
+    }).catch(e => addLog('error', `Reprise des paiements échouée: ${e.message}`));
+  }
 });
@@ -0,0 +1,297 @@
+// Card renderer — one list of vector shapes drawn two ways: as SVG markup, and
+// as PNG bytes by a small software rasterizer (no native image dependency).
+// Shapes, in pixels of the final image:
+//   { type: 'rect', x, y, w, h, r, fill, opacity }
+//   { type: 'arc', cx, cy, r, width, from, to, stroke }      degrees, clockwise from 3 o'clock
+//   { type: 'line', points: [[x, y]…], width, stroke }
+//   { type: 'polygon', points: [[x, y]…], fill, opacity }
+//   { type: 'text', x, y, text, size, fill, anchor }          y = baseline, size = cap height
+// Text is set in capitals from a built-in 5×7 pixel font, and the SVG stretches
+// its monospace text to the same width, so both outputs share one layout.
+import zlib from 'zlib';
+
+const SUPERSAMPLE = 2;
+const FONT_FAMILY = "'DejaVu Sans Mono', Menlo, Consolas, monospace";
+
+// 5×7 glyphs: seven rows of five bits, as hex bytes
+const GLYPHS = {
+  '0': '0e11131519110e', '1': '040c040404040e', '2': '0e11010204081f', '3': '1f02040201110e',
+  '4': '02060a121f0202', '5': '1f101e0101110e', '6': '0608101e11110e', '7': '1f010204080808',
+  '8': '0e11110e11110e', '9': '0e11110f01020c', 'A': '0e11111f111111', 'B': '1e11111e11111e',
+  'C': '0e11101010110e', 'D': '1c12111111121c', 'E': '1f10101e10101f', 'F': '1f10101e101010',
+  'G': '0e11101711110f', 'H': '1111111f111111', 'I': '0e04040404040e', 'J': '0702020202120c',
+  'K': '11121418141211', 'L': '1010101010101f', 'M': '111b1515111111', 'N': '11111915131111',
+  'O': '0e11111111110e', 'P': '1e11111e101010', 'Q': '0e11111115120d', 'R': '1e11111e141211',
+  'S': '0f10100e01011e', 'T': '1f040404040404', 'U': '1111111111110e', 'V': '11111111110a04',
+  'W': '1111111515150a', 'X': '11110a040a1111', 'Y': '11110a04040404', 'Z': '1f01020408101f',
+  '.': '00000000000c0c', ',': '000000000c0408', ':': '000c0c000c0c00', '%': '18190204081303',
+  '/': '00010204081000', '-': '0000001f000000', '+': '0004041f040400', '_': '0000000000001f',
+  '(': '02040808080402', ')': '08040202020408', "'": '04040800000000', '#': '0a0a1f0a1f0a0a',
+  '&': '0c12140815120d', '?': '0e110102040004', '!': '04040404040004', '$': '040f140e051e04',
+  '@': '0e11010d15150e', '=': '00001f001f0000', '<': '02040810080402', '>': '08040201020408',
+  '*': '0004150e150400', ' ': '00000000000000',
+};
+
+// ─── Text metrics ─────────────────────────────────────────────────────
+
+export function textWidth(text, size) {
+  const n = String(text).length;
+  return n ? ((n * 6 - 1) * size) / 7 : 0;
+}
+
+// Cut to a width, marking the cut with ".."
+export function fitText(text, size, maxWidth) {
+  let s = String(text).toUpperCase();
+  if (textWidth(s, size) <= maxWidth) return s;
+  while (s.length > 1 && textWidth(`${s}..`, size) > maxWidth) s = s.slice(0, -1);
+  return `${s.trimEnd()}..`;
+}
+
+function textStart({ x, text, size, anchor = 'start' }) {
+  const w = textWidth(text, size);
+  return anchor === 'middle' ? x - w / 2 : anchor === 'end' ? x - w : x;
+}
+
+// ─── SVG ──────────────────────────────────────────────────────────────
+
+function esc(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const n = v => Math.round(v * 100) / 100;
+const pointList = points => points.map(([x, y]) => `${n(x)},${n(y)}`).join(' ');
+
+function arcPoint(cx, cy, r, deg) {
+  const a = (deg * Math.PI) / 180;
+  return [cx + r * Math.cos(a), cy + r * Math.sin(a)];
+}
+
+function svgShape(s) {
+  const opacity = s.opacity !== undefined && s.opacity < 1 ? ` fill-opacity="${s.opacity}"` : '';
+  switch (s.type) {
+    case 'rect':
+      return `<rect x="${n(s.x)}" y="${n(s.y)}" width="${n(s.w)}" height="${n(s.h)}"${s.r ? ` rx="${n(s.r)}"` : ''} fill="${s.fill}"${opacity}/>`;
+    case 'arc': {
+      if (s.to - s.from <= 0) return '';
+      const [x0, y0] = arcPoint(s.cx, s.cy, s.r, s.from);
+      const [x1, y1] = arcPoint(s.cx, s.cy, s.r, s.to);
+      const large = s.to - s.from > 180 ? 1 : 0;
+      return `<path d="M${n(x0)} ${n(y0)}A${n(s.r)} ${n(s.r)} 0 ${large} 1 ${n(x1)} ${n(y1)}" fill="none" stroke="${s.stroke}" stroke-width="${n(s.width)}" stroke-linecap="round"/>`;
+    }
+    case 'line':
+      return `<polyline points="${pointList(s.points)}" fill="none" stroke="${s.stroke}" stroke-width="${n(s.width)}" stroke-linejoin="round" stroke-linecap="round"/>`;
+    case 'polygon':
+      return `<polygon points="${pointList(s.points)}" fill="${s.fill}"${opacity}/>`;
+    case 'text': {
+      const text = String(s.text).toUpperCase();
+      if (!text.trim()) return '';
+      return `<text x="${n(s.x)}" y="${n(s.y)}" font-family="${esc(FONT_FAMILY)}" font-size="${n(s.size / 0.72)}" font-weight="700" fill="${s.fill}"`
+        + ` text-anchor="${s.anchor || 'start'}" textLength="${n(textWidth(text, s.size))}" lengthAdjust="spacingAndGlyphs">${esc(text)}</text>`;
+    }
+    default: return '';
+  }
+}
+
+export function toSvg(shapes, width, height) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n`
+    + shapes.map(svgShape).filter(Boolean).map(s => `  ${s}`).join('\n')
+    + '\n</svg>\n';
+}
+
+// ─── Raster ───────────────────────────────────────────────────────────
+// Shapes are sampled on a grid SUPERSAMPLE times finer than the output, then
+// averaged down, which is enough anti-aliasing for arcs and chart lines.
+
+function rgb(hex) {
+  const h = hex.replace('#', '');
+  const full = h.length === 3 ? h.split('').map(c => c + c).join('') : h;
+  return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16));
+}
+
+function createCanvas(width, height) {
+  const w = width * SUPERSAMPLE;
+  const h = height * SUPERSAMPLE;
+  return { w, h, data: new Uint8Array(w * h * 3) };
+}
+
+// Calls inside(x, y) for every sample centre in the box (final-image coordinates)
+function fill(canvas, box, color, alpha, inside) {
+  const [r, g, b] = rgb(color);
+  const x0 = Math.max(0, Math.floor(box[0] * SUPERSAMPLE));
+  const y0 = Math.max(0, Math.floor(box[1] * SUPERSAMPLE));
+  const x1 = Math.min(canvas.w, Math.ceil(box[2] * SUPERSAMPLE));
+  const y1 = Math.min(canvas.h, Math.ceil(box[3] * SUPERSAMPLE));
+  for (let py = y0; py < y1; py++) {
+    const y = (py + 0.5) / SUPERSAMPLE;
+    for (let px = x0; px < x1; px++) {
+      if (!inside((px + 0.5) / SUPERSAMPLE, y)) continue;
+      const i = (py * canvas.w + px) * 3;
+      const d = canvas.data;
+      d[i] += (r - d[i]) * alpha;
+      d[i + 1] += (g - d[i + 1]) * alpha;
+      d[i + 2] += (b - d[i + 2]) * alpha;
+    }
+  }
+}
+
+// Rectangles fill whole row spans (inset at the rounded corners) — the
+// background and panels cover most of the image, so no per-sample test
+function drawRect(canvas, s, color = s.fill, alpha = s.opacity ?? 1) {
+  const [r, g, b] = rgb(color);
+  const radius = Math.min(s.r || 0, s.w / 2, s.h / 2);
+  const y0 = Math.max(0, Math.round(s.y * SUPERSAMPLE));
+  const y1 = Math.min(canvas.h, Math.round((s.y + s.h) * SUPERSAMPLE));
+  for (let py = y0; py < y1; py++) {
+    const y = (py + 0.5) / SUPERSAMPLE;
+    const dy = Math.max(s.y + radius - y, 0, y - (s.y + s.h - radius));
+    const inset = radius - Math.sqrt(Math.max(0, radius * radius - dy * dy));
+    const x0 = Math.max(0, Math.round((s.x + inset) * SUPERSAMPLE));
+    const x1 = Math.min(canvas.w, Math.round((s.x + s.w - inset) * SUPERSAMPLE));
+    const d = canvas.data;
+    for (let i = (py * canvas.w + x0) * 3, end = (py * canvas.w + x1) * 3; i < end; i += 3) {
+      d[i] += (r - d[i]) * alpha;
+      d[i + 1] += (g - d[i + 1]) * alpha;
+      d[i + 2] += (b - d[i + 2]) * alpha;
+    }
+  }
+}
+
+function segmentDistance(x, y, [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const t = dx || dy ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / (dx * dx + dy * dy))) : 0;
+  return Math.hypot(x - (ax + t * dx), y - (ay + t * dy));
+}
+
+function drawArc(canvas, s) {
+  if (s.to - s.from <= 0) return;
+  const half = s.width / 2;
+  const outer = s.r + half;
+  const caps = [arcPoint(s.cx, s.cy, s.r, s.from), arcPoint(s.cx, s.cy, s.r, s.to)];
+  fill(canvas, [s.cx - outer, s.cy - outer, s.cx + outer, s.cy + outer], s.stroke, 1, (x, y) => {
+    const d = Math.hypot(x - s.cx, y - s.cy);
+    if (d >= s.r - half && d <= outer) {
+      let a = (Math.atan2(y - s.cy, x - s.cx) * 180) / Math.PI;
+      while (a < s.from) a += 360;
+      if (a <= s.to) return true;
+    }
+    return caps.some(([cx, cy]) => Math.hypot(x - cx, y - cy) <= half);
+  });
+}
+
+// Strokes are opaque, so each segment (and its round ends) is filled on its own
+function drawLine(canvas, s) {
+  const half = s.width / 2;
+  const segments = s.points.length > 1 ? s.points.slice(1).map((p, i) => [s.points[i], p]) : [[s.points[0], s.points[0]]];
+  for (const [a, b] of segments) {
+    const box = [Math.min(a[0], b[0]) - half, Math.min(a[1], b[1]) - half, Math.max(a[0], b[0]) + half, Math.max(a[1], b[1]) + half];
+    fill(canvas, box, s.stroke, 1, (x, y) => segmentDistance(x, y, a, b) <= half);
+  }
+}
+
+// Even-odd scanline fill
+function drawPolygon(canvas, s) {
+  const pts = s.points;
+  const xs = pts.map(p => p[0]);
+  const ys = pts.map(p => p[1]);
+  let row = null;
+  let crossings = [];
+  fill(canvas, [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)], s.fill, s.opacity ?? 1, (x, y) => {
+    if (y !== row) {
+      row = y;
+      crossings = [];
+      for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+        const [xi, yi] = pts[i];
+        const [xj, yj] = pts[j];
+        if ((yi > y) !== (yj > y)) crossings.push(xi + ((y - yi) * (xj - xi)) / (yj - yi));
+      }
+    }
+    return crossings.filter(c => c < x).length % 2 === 1;
+  });
+}
+
+function drawText(canvas, s) {
+  const unit = s.size / 7;
+  let left = textStart(s);
+  for (const ch of String(s.text).toUpperCase()) {
+    const glyph = GLYPHS[ch] || GLYPHS['?'];
+    for (let row = 0; row < 7; row++) {
+      const bits = parseInt(glyph.slice(row * 2, row * 2 + 2), 16);
+      for (let col = 0; col < 5; col++) {
+        if (!(bits & (16 >> col))) continue;
+        const x = left + col * unit;
+        const y = s.y - s.size + row * unit;
+        drawRect(canvas, { x, y, w: unit, h: unit }, s.fill, 1);
+      }
+    }
+    left += 6 * unit;
+  }
+}
+
+function draw(canvas, s) {
+  switch (s.type) {
+    case 'rect': return drawRect(canvas, s);
+    case 'arc': return drawArc(canvas, s);
+    case 'line': return drawLine(canvas, s);
+    case 'polygon': return drawPolygon(canvas, s);
+    case 'text': return drawText(canvas, s);
+  }
+}
+
+// ─── PNG ──────────────────────────────────────────────────────────────
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, c) => {
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Average each SUPERSAMPLE² block into one RGB pixel, behind a PNG row filter byte
+function encodePng(canvas, width, height) {
+  const rows = Buffer.alloc(height * (width * 3 + 1));
+  const area = SUPERSAMPLE * SUPERSAMPLE;
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (width * 3 + 1);
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < 3; c++) {
+        let sum = 0;
+        for (let sy = 0; sy < SUPERSAMPLE; sy++) {
+          for (let sx = 0; sx < SUPERSAMPLE; sx++) {
+            sum += canvas.data[((y * SUPERSAMPLE + sy) * canvas.w + x * SUPERSAMPLE + sx) * 3 + c];
+          }
+        }
+        rows[rowStart + 1 + x * 3 + c] = Math.round(sum / area);
+      }
+    }
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8); // 8-bit RGB, no interlace
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(rows, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+export function toPng(shapes, width, height) {
+  const canvas = createCanvas(width, height);
+  for (const s of shapes) draw(canvas, s);
+  return encodePng(canvas, width, height);
+}
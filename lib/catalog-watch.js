@@ -0,0 +1,154 @@
+// Catalog watch — diffs the Bazaar's service list (free endpoint) against the last
+// known set in data/catalog.json: services added, removed and repriced since the
+// previous check. Added services become new-api announcements with the catalog's
+// own name, description, price and endpoint — one per service, or a single batch
+// when config.catalogWatch.batchFrom or more land at once. Added services stay
+// unannounced in the stored state until markAnnounced(), so an announcement that
+// fails is offered again on the next check.
+import fs from 'fs';
+import { join } from 'path';
+import { config } from '../config.js';
+import { request } from './http.js';
+
+const CATALOG_FILE = join(config.dataDir, 'catalog.json');
+const BATCH_NAMES = 5; // services named in a batch announcement, the rest are counted
+
+function log(msg) { console.log(`[catalog-watch] ${msg}`); }
+
+function pathOf(url) {
+  try { return new URL(url).pathname; } catch { return url.split('?')[0]; }
+}
+
+// 0.0030000001 → "0.003"
+const formatPrice = price => String(Number(price.toFixed(6)));
+
+// ─── State ────────────────────────────────────────────────────────────
+
+// → { checkedAt, services: { [endpoint]: { name, description, price, firstSeen } }, unannounced: [endpoint], changes: [...] } | null
+export function loadCatalog() {
+  try { return JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf-8')); } catch { return null; }
+}
+
+function saveCatalog(state) {
+  fs.mkdirSync(config.dataDir, { recursive: true });
+  fs.writeFileSync(CATALOG_FILE, JSON.stringify(state, null, 2), 'utf-8');
+}
+
+// ─── Fetch ────────────────────────────────────────────────────────────
+
+// Same list the payment policy prices from → Map<endpoint, { endpoint, name, description, price }>
+async function fetchCatalog() {
+  const res = await request(`${config.serverUrl}${config.paymentPolicy.catalogPath}`);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const data = await res.json();
+  const services = Array.isArray(data) ? data : (data.services || data.data || []);
+  const catalog = new Map();
+  for (const s of services) {
+    const raw = s.endpoint || s.path || s.url;
+    if (!raw) continue;
+    const endpoint = pathOf(raw);
+    const price = parseFloat(s.price_usdc ?? s.priceUsdc ?? s.price);
+    catalog.set(endpoint, {
+      endpoint,
+      name: s.name || endpoint,
+      description: s.description || '',
+      price: Number.isFinite(price) ? price : null,
+    });
+  }
+  return catalog;
+}
+
+// ─── Diff ─────────────────────────────────────────────────────────────
+
+// Fetch, diff against the stored set and store the new one.
+// → { baseline, total, added: [service], removed: [service], repriced: [{ ...service, previousPrice }], pending: [service] }
+// `pending` is every listed service not announced yet: this check's additions and
+// earlier ones whose announcement failed. The first check only records a baseline:
+// the services already listed aren't news.
+export async function checkCatalog({ now = new Date() } = {}) {
+  const catalog = await fetchCatalog();
+  const previous = loadCatalog();
+  // An empty answer is an outage, not every service being delisted
+  if (!catalog.size) throw new Error('Catalog returned no services — keeping the last known set');
+
+  const at = now.toISOString();
+  const known = previous?.services || {};
+  const added = [];
+  const repriced = [];
+  const services = {};
+  for (const [endpoint, s] of catalog) {
+    const before = known[endpoint];
+    services[endpoint] = { name: s.name, description: s.description, price: s.price, firstSeen: before?.firstSeen || at };
+    if (!before) added.push(s);
+    else if (s.price !== null && before.price !== null && formatPrice(s.price) !== formatPrice(before.price)) {
+      repriced.push({ ...s, previousPrice: before.price });
+    }
+  }
+  const removed = Object.entries(known)
+    .filter(([endpoint]) => !catalog.has(endpoint))
+    .map(([endpoint, s]) => ({ endpoint, name: s.name, description: s.description, price: s.price }));
+
+  const baseline = !previous;
+  const changes = baseline ? [] : [
+    ...added.map(s => ({ at, type: 'added', endpoint: s.endpoint, name: s.name, price: s.price })),
+    ...removed.map(s => ({ at, type: 'removed', endpoint: s.endpoint, name: s.name, price: s.price })),
+    ...repriced.map(s => ({ at, type: 'repriced', endpoint: s.endpoint, name: s.name, price: s.price, previousPrice: s.previousPrice })),
+  ];
+  const unannounced = [...new Set([...(previous?.unannounced || []), ...added.map(s => s.endpoint)])]
+    .filter(endpoint => catalog.has(endpoint));
+  saveCatalog({
+    checkedAt: at,
+    services,
+    unannounced: baseline ? [] : unannounced,
+    changes: [...(previous?.changes || []), ...changes].slice(-config.catalogWatch.keepChanges),
+  });
+
+  if (baseline) log(`Baseline recorded: ${catalog.size} services`);
+  else log(`${catalog.size} services: ${added.length} added, ${removed.length} removed, ${repriced.length} repriced`);
+  return baseline
+    ? { baseline, total: catalog.size, added: [], removed: [], repriced: [], pending: [] }
+    : { baseline, total: catalog.size, added, removed, repriced, pending: unannounced.map(endpoint => catalog.get(endpoint)) };
+}
+
+// The announcement for these endpoints is queued: stop offering them
+export function markAnnounced(endpoints) {
+  const state = loadCatalog();
+  if (!state?.unannounced) return;
+  state.unannounced = state.unannounced.filter(endpoint => !endpoints.includes(endpoint));
+  saveCatalog(state);
+}
+
+// ─── Announcements ────────────────────────────────────────────────────
+
+// new-api options for one service; the template adds its own final period
+function announcementFor(s) {
+  const options = { apiName: s.name, apiEndpoint: s.endpoint };
+  if (s.description) options.apiDescription = s.description.trim().replace(/\.+$/, '');
+  if (s.price !== null) options.apiPrice = formatPrice(s.price);
+  return options;
+}
+
+function batchAnnouncement(services) {
+  const names = services.slice(0, BATCH_NAMES).map(s => s.name);
+  const rest = services.length - names.length;
+  const list = rest > 0
+    ? `${names.join(', ')} and ${rest} more`
+    : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+  const prices = services.map(s => s.price).filter(p => p !== null);
+  const options = { apiName: `${services.length} new APIs`, apiDescription: `${list} are now live on the marketplace` };
+  if (prices.length) {
+    const min = Math.min(...prices);
+    options.apiPrice = prices.every(p => p === min) ? formatPrice(min) : `from ${formatPrice(min)}`;
+  }
+  return options;
+}
+
+// Added services → [{ endpoints, options }], new-api option sets with the services
+// each one announces, batched when several land in one check
+export function announcementsFor(added) {
+  if (!added.length) return [];
+  if (added.length >= config.catalogWatch.batchFrom) {
+    return [{ endpoints: added.map(s => s.endpoint), options: batchAnnouncement(added) }];
+  }
+  return added.map(s => ({ endpoints: [s.endpoint], options: announcementFor(s) }));
+}
@@ -1,15 +1,54 @@
 // Content generation pipeline — uses x402 APIs
+import fs from 'fs';
+import { join } from 'path';
 import { callApi, callFreeApi } from './x402-client.js';
+import { hasWallet } from './signers.js';
+import { archiveImage } from './media-store.js';
+import { recordSnapshot } from './stats-history.js';
+import { getPriceCatalog } from './payment-policy.js';
+import { measure, truncate, limitFor } from './text-length.js';
+import {
+  paragraph, heading, link, rule, isDocument, toDocument, toPlainText,
+  render, renderFor, formatFor, fitDocument, TELEGRAM_PARSE_MODES,
+} from './rich-text.js';
 import { config } from '../config.js';
 
 function log(msg) {
   console.log(`[content-gen] ${msg}`);
 }
 
-// Fetch live platform stats
+const LAST_STATS_FILE = join(config.dataDir, 'last-stats.json');
+
+// Last good stats, so a sleeping or failing Bazaar doesn't block a run
+function loadLastStats() {
+  try { return JSON.parse(fs.readFileSync(LAST_STATS_FILE, 'utf-8')); } catch { return null; }
+}
+
+function saveLastStats(stats) {
+  try {
+    fs.mkdirSync(config.dataDir, { recursive: true });
+    fs.writeFileSync(LAST_STATS_FILE, JSON.stringify(stats, null, 2), 'utf-8');
+  } catch (e) { log(`Failed to save last stats: ${e.message}`); }
+}
+
+// Fetch live platform stats (falls back to the last good snapshot)
 export async function fetchStats() {
   log('Fetching platform stats...');
-  const stats = await callFreeApi('/api/public-stats');
+  let stats;
+  try {
+    stats = normalizeStats(await callFreeApi('/api/public-stats'));
+  } catch (err) {
+    const last = loadLastStats();
+    if (!last) throw err;
+    log(`Stats unavailable (${err.message}) — using snapshot from ${last.fetchedAt}`);
+    return { ...last, stale: true };
+  }
+  saveLastStats({ ...stats, fetchedAt: new Date().toISOString() });
+  recordSnapshot(stats, { services: Object.keys(getPriceCatalog()) });
+  return stats;
+}
+
+function normalizeStats(stats) {
   return {
     totalServices: stats.services || stats.nativeEndpoints || stats.totalServices || 0,
     totalCalls: stats.apiCalls || stats.totalCalls || 0,
@@ -37,13 +76,12 @@ export async function generateText(prompt, maxLength = 500, localFallback = null
     log(`API call failed: ${err.message} — using local fallback`);
   }
 
-  if (fallback) return fallback.slice(0, maxLength);
-  return prompt.slice(0, maxLength);
+  return truncate(fallback || prompt, maxLength, { boundary: 'sentence' });
 }
 
 // Translate text using /api/translate
 export async function translateText(text, targetLang = 'fr') {
-  if (!process.env.AGENT_PRIVATE_KEY) { log('No wallet — skipping translate'); return text; }
+  if (!hasWallet()) { log('No wallet — skipping translate'); return text; }
   try {
     log(`Translating to ${targetLang}...`);
     const result = await callApi(`/api/translate?text=${encodeURIComponent(text)}&to=${targetLang}`);
@@ -54,26 +92,37 @@ export async function translateText(text, targetLang = 'fr') {
 // Generate image using /api/image (DALL-E 3)
 export async function generateImage(prompt) {
   if (!config.generateImages) return null;
-  if (!process.env.AGENT_PRIVATE_KEY) { log('No wallet — skipping image gen'); return null; }
+  if (!hasWallet()) { log('No wallet — skipping image gen'); return null; }
   try {
     log('Generating image...');
     const result = await callApi(`/api/image?prompt=${encodeURIComponent(prompt)}&size=1024x1024`);
-    return result.url || result.image_url || result.data?.[0]?.url || null;
+    const url = result.url || result.image_url || result.data?.[0]?.url || null;
+    // Keep our own copy — the returned URL expires before late approvals and retries
+    const asset = await archiveImage(url, { prompt });
+    return asset?.url || url;
   } catch (err) { log(`Image gen failed: ${err.message}`); return null; }
 }
 
-// Analyze sentiment of text
+// Analyze sentiment of text → { label, score } as /api/sentiment answers them (either
+// may be null), or null when it can't be checked: no wallet, or the call failed
 export async function analyzeSentiment(text) {
-  if (!process.env.AGENT_PRIVATE_KEY) return 'neutral';
+  if (!hasWallet()) return null;
   try {
     const result = await callApi(`/api/sentiment?text=${encodeURIComponent(text)}`);
-    return result.sentiment || result.result || 'neutral';
-  } catch { return 'neutral'; }
+    const raw = result && typeof result === 'object' ? result : { sentiment: result };
+    const label = raw.sentiment ?? raw.label ?? raw.result;
+    const score = typeof raw.score === 'number' ? raw.score : null;
+    if (typeof label !== 'string' && score === null) throw new Error('no sentiment in the response');
+    return { label: typeof label === 'string' ? label.toLowerCase() : null, score };
+  } catch (err) {
+    log(`Sentiment analysis failed: ${err.message}`);
+    return null;
+  }
 }
 
 // Search for trending topics
 export async function searchTrending(query) {
-  if (!process.env.AGENT_PRIVATE_KEY) return [];
+  if (!hasWallet()) return [];
   try {
     log(`Searching: ${query}`);
     const result = await callApi(`/api/search?q=${encodeURIComponent(query)}`);
@@ -83,7 +132,7 @@ export async function searchTrending(query) {
 
 // Get latest news
 export async function getNews(query) {
-  if (!process.env.AGENT_PRIVATE_KEY) return [];
+  if (!hasWallet()) return [];
   try {
     log(`Fetching news: ${query}`);
     const result = await callApi(`/api/news?q=${encodeURIComponent(query)}`);
@@ -92,36 +141,70 @@ export async function getNews(query) {
 }
 
 // ─── Content Adaptation per Platform ──────────────────────────────────
+// `content` is plain text or a rich-text document (lib/rich-text.js); each
+// adapter adds its framing and renders with the network's own syntax.
 
 export function adaptForTwitter(content, stats) {
   const hashtags = '#x402 #AI #APIMarketplace #Web3 #USDC';
-  const link = config.projectUrl;
-  // Max 280 chars including link and hashtags
-  const available = 280 - hashtags.length - link.length - 4; // 4 = spaces + newlines
-  const text = content.length > available ? content.slice(0, available - 3) + '...' : content;
-  return `${text}\n\n${link}\n${hashtags}`;
+  const url = config.projectUrl;
+  // Weighted 280 including link (always 23) and hashtags
+  const suffix = `\n\n${url}\n${hashtags}`;
+  const available = limitFor('twitter') - measure(suffix, 'twitter');
+  const text = truncate(toPlainText(content), available, { platform: 'twitter', boundary: 'sentence' });
+  return `${text}${suffix}`;
+}
+
+// Ordered list of tweets for a reply chain. Accepts a list, or generated text
+// numbered "1/5 … 5/5" (or split into paragraphs), packed into weighted 280 posts.
+export function adaptForTwitterThread(content) {
+  const parts = typeof content === 'string' || isDocument(content) ? splitThread(toPlainText(content)) : content;
+  return parts.map(p => truncate(p, limitFor('twitter'), { platform: 'twitter', boundary: 'sentence' }));
+}
+
+function splitThread(text) {
+  const trimmed = text.trim();
+  if (/^\d+\/\d+\s/.test(trimmed)) {
+    return trimmed.split(/\s+(?=\d+\/\d+\s)/).map(p => p.trim()).filter(Boolean);
+  }
+  // Unnumbered: pack sentences into tweets, then number them (room left for "10/10 ")
+  const sentences = trimmed.split(/(?<=[.!?])\s+|\n\s*\n/).map(s => s.trim()).filter(Boolean);
+  const budget = limitFor('twitter') - 10;
+  const posts = [];
+  for (const sentence of sentences) {
+    const current = posts[posts.length - 1];
+    if (current && measure(`${current} ${sentence}`, 'twitter') <= budget) posts[posts.length - 1] = `${current} ${sentence}`;
+    else posts.push(sentence);
+  }
+  return posts.length > 1 ? posts.map((p, i) => `${i + 1}/${posts.length} ${p}`) : posts;
 }
 
 export function adaptForReddit(title, body, subreddit) {
   return {
     subreddit,
-    title: title.slice(0, 300),
-    body: `${body}\n\n---\n*Posted by x402 Bazaar Community Agent | [x402bazaar.org](${config.projectUrl})*`,
+    title: truncate(toPlainText(title), limitFor('reddit', 'maxTitleChars'), { platform: 'reddit' }),
+    body: renderFor('reddit', [
+      ...toDocument(body),
+      rule(),
+      paragraph('Posted by x402 Bazaar Community Agent | ', link('x402bazaar.org', config.projectUrl)),
+    ]),
   };
 }
 
 export function adaptForLinkedIn(content, stats) {
-  return `${content}\n\n` +
-    `${stats.totalServices} APIs | ${stats.uptimePercent}% uptime | Pay-per-call USDC\n\n` +
-    `${config.projectUrl}\n\n` +
-    `#AIAgents #APIMarketplace #Web3 #x402Protocol #USDC #DeFi`;
+  return renderFor('linkedin', [
+    ...toDocument(content),
+    paragraph(`${stats.totalServices} APIs | ${stats.uptimePercent}% uptime | Pay-per-call USDC`),
+    paragraph(config.projectUrl),
+    paragraph('#AIAgents #APIMarketplace #Web3 #x402Protocol #USDC #DeFi'),
+  ]);
 }
 
 export function adaptForDiscord(content, stats, imageUrl) {
+  const description = fitDocument({ body: content }, 'discord', limitFor('discord', 'maxEmbedChars'));
   return {
     embeds: [{
       title: `${config.projectName} — Daily Update`,
-      description: content,
+      description: renderFor('discord', description),
       color: 0xFF9900,
       fields: [
         { name: 'APIs', value: `${stats.totalServices}`, inline: true },
@@ -135,18 +218,28 @@ export function adaptForDiscord(content, stats, imageUrl) {
   };
 }
 
+// With an image the whole message is the photo caption, which is much shorter
 export function adaptForTelegram(content, stats, imageUrl) {
-  let msg = `*${config.projectName} Update*\n\n${content}\n\n`;
-  msg += `APIs: ${stats.totalServices} | Uptime: ${stats.uptimePercent}%\n`;
-  msg += `Calls 24h: ${stats.recentCalls24h}\n\n`;
-  msg += `[x402bazaar.org](${config.projectUrl})`;
-  return { text: msg, imageUrl, parseMode: 'Markdown' };
+  const doc = fitDocument({
+    head: [heading(`${config.projectName} Update`)],
+    body: content,
+    foot: [
+      paragraph(`APIs: ${stats.totalServices} | Uptime: ${stats.uptimePercent}%\nCalls 24h: ${stats.recentCalls24h}`),
+      paragraph(link('x402bazaar.org', config.projectUrl)),
+    ],
+  }, 'telegram', limitFor('telegram', imageUrl ? 'maxCaptionChars' : 'maxChars'));
+  const format = formatFor('telegram');
+  return { text: render(doc, format), imageUrl, parseMode: TELEGRAM_PARSE_MODES[format] };
 }
 
 export function adaptForDevTo(title, body, tags = ['ai', 'webdev', 'api', 'blockchain']) {
   return {
-    title,
-    body_markdown: body + `\n\n---\n\n*Published by [x402 Bazaar](${config.projectUrl}) Community Agent*`,
+    title: truncate(toPlainText(title), limitFor('devto', 'maxTitleChars'), { platform: 'devto' }),
+    body_markdown: renderFor('devto', [
+      ...toDocument(body),
+      rule(),
+      paragraph('Published by ', link('x402 Bazaar', config.projectUrl), ' Community Agent'),
+    ]),
     published: false, // Draft by default — user reviews before publishing
     tags: tags.slice(0, 4),
   };
@@ -154,14 +247,15 @@ export function adaptForDevTo(title, body, tags = ['ai', 'webdev', 'api', 'block
 
 export function adaptForHN(title) {
   return {
-    title: title.slice(0, 80),
+    title: truncate(toPlainText(title), limitFor('hn', 'maxTitleChars'), { platform: 'hn' }),
     url: config.projectUrl,
   };
 }
 
 export function adaptForFarcaster(content) {
-  const link = config.projectUrl;
-  const available = 320 - link.length - 2;
-  const text = content.length > available ? content.slice(0, available - 3) + '...' : content;
-  return `${text}\n${link}`;
+  const url = config.projectUrl;
+  // 320 bytes, so accents and emoji cost more than one
+  const available = limitFor('farcaster') - measure(`\n${url}`, 'farcaster');
+  const text = truncate(toPlainText(content), available, { platform: 'farcaster', boundary: 'sentence' });
+  return `${text}\n${url}`;
 }
@@ -0,0 +1,200 @@
+// Content lint — pre-publish checks between a strategy run and the queue.
+// Every rule is 'block' (the post is held back), 'flag' (a human must approve
+// it) or 'off', set per rule in config.lint.rules:
+//   length     every field fits the network's limit (lib/text-length.js)
+//   numbers    every number in the text is one of the run's stats (or facts, or
+//              config.projectFacts)
+//   forbidden  none of config.lint.forbiddenPhrases appears
+//   links      every http(s) link answers (HEAD, then GET)
+//   sentiment  /api/sentiment stays above the configured thresholds
+import { config } from '../config.js';
+import { analyzeSentiment } from './content-gen.js';
+import { fits, truncate } from './text-length.js';
+import { parseContentKey, targetLanguages } from './languages.js';
+
+const SKIP_KEYS = new Set(['imageUrl', 'image', 'parseMode', 'subreddit', 'tags', 'color', 'timestamp', 'url']);
+const LINK = /\bhttps?:\/\/[^\s<>"'`)\]]+/g;
+const NUMBER = /(?<![\w.,/:-])(\d{1,3}(?:[,\u00a0\u202f]\d{3})+|\d+)(?:[.,](\d+))?\s*([kKM]\b)?(%?)(?![\w/:])/g;
+
+function log(msg) { console.log(`[lint] ${msg}`); }
+
+// ─── Text extraction ──────────────────────────────────────────────────
+
+// Rendered text back to what a reader sees: no Markdown/HTML escapes or tags
+function readable(text) {
+  return text
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&')
+    .replace(/\\([\\_*[\]()~`>#+\-=|{}.!])/g, '$1');
+}
+
+// Every published string of an adapted content (thread posts, titles, embed text…)
+export function textsOf(content, out = []) {
+  if (typeof content === 'string') out.push(readable(content));
+  else if (Array.isArray(content)) content.forEach(c => textsOf(c, out));
+  else if (content && typeof content === 'object') {
+    for (const [k, v] of Object.entries(content)) if (!SKIP_KEYS.has(k)) textsOf(v, out);
+  }
+  return out;
+}
+
+// [field label, text, limit field] for each length-limited part of a content
+function measuredFields(platform, content) {
+  if (typeof content === 'string') return [['text', content, 'maxChars']];
+  if (Array.isArray(content)) return content.map((post, i) => [`post ${i + 1}/${content.length}`, post, 'maxChars']);
+  switch (platform) {
+    case 'reddit': return [['title', content.title, 'maxTitleChars'], ['body', content.body, 'maxBodyChars']];
+    case 'devto': return [['title', content.title, 'maxTitleChars'], ['body', content.body_markdown, 'maxChars']];
+    case 'hn': return [['title', content.title, 'maxTitleChars']];
+    case 'discord': return content.embeds
+      ? content.embeds.map(e => ['embed', e.description || '', 'maxEmbedChars'])
+      : [['text', content.content || '', 'maxChars']];
+    default: return [['text', content.text || '', 'maxChars']];
+  }
+}
+
+// ─── Rules ────────────────────────────────────────────────────────────
+
+function checkLength(platform, content) {
+  if (!config.limits[platform]) return [];
+  return measuredFields(platform, content)
+    .filter(([, text, field]) => config.limits[platform][field] && !fits(text || '', platform, field))
+    .map(([label, , field]) => `${label} is over the ${config.limits[platform][field]}-character limit`);
+}
+
+// All numbers the stats (and strategy facts like a price, or the project's own) can justify
+function knownNumbers(stats, facts) {
+  const known = [];
+  const walk = v => {
+    if (typeof v === 'number' && Number.isFinite(v)) known.push(v);
+    else if (typeof v === 'string' && /^\s*[\d.,]+\s*\w*$/.test(v)) known.push(parseFloat(v.replace(/,/g, '')));
+    else if (v && typeof v === 'object') Object.values(v).forEach(walk);
+  };
+  walk(stats);
+  walk(facts);
+  walk(config.projectFacts);
+  return known.filter(n => !Number.isNaN(n));
+}
+
+// "1,234" / "1 234" → 1234, "99.9" / "99,9" → 99.9, "1.2k" → 1200
+function parseNumber([, whole, decimals, suffix]) {
+  const n = parseFloat(`${whole.replace(/[,\u00a0\u202f]/g, '')}${decimals ? `.${decimals}` : ''}`);
+  return suffix ? n * (/k/i.test(suffix) ? 1e3 : 1e6) : n;
+}
+
+// A number matches when the stat rounds to it at the precision it was written with
+// ("99.9%" for 99.87, "1.2k" for 1234) or is within the relative tolerance
+function matches(n, known, precision) {
+  const { tolerance } = config.lint.numbers;
+  return known.some(k => Math.abs(k - n) <= Math.max(precision / 2, Math.abs(k) * tolerance) + 1e-9);
+}
+
+function checkNumbers(texts, known) {
+  const { ignoreBelow, allow } = config.lint.numbers;
+  const wrong = new Set();
+  for (const text of texts) {
+    for (const m of text.replace(LINK, ' ').matchAll(NUMBER)) {
+      const n = parseNumber(m);
+      if (n < ignoreBelow || allow.includes(n)) continue;
+      if (n >= 1900 && n <= 2100 && !m[2] && !m[3]) continue; // years
+      const precision = (m[3] ? (/k/i.test(m[3]) ? 1e3 : 1e6) : 1) * 10 ** -(m[2]?.length || 0);
+      if (!matches(n, known, precision)) wrong.add(m[0].trim());
+    }
+  }
+  return [...wrong].map(n => `"${n}" does not match any stat`);
+}
+
+function checkForbidden(texts) {
+  const lower = texts.join('\n').toLowerCase();
+  return config.lint.forbiddenPhrases
+    .filter(p => new RegExp(`(^|\\W)${p.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|\\W)`).test(lower))
+    .map(p => `contains forbidden phrase "${p}"`);
+}
+
+// One request per URL per lint run, shared across platforms and languages
+async function reachable(url, cache) {
+  if (!cache.has(url)) {
+    cache.set(url, (async () => {
+      const signal = () => AbortSignal.timeout(config.lint.linkTimeoutMs);
+      try {
+        let res = await fetch(url, { method: 'HEAD', redirect: 'follow', signal: signal() });
+        if (res.status === 405 || res.status === 403) res = await fetch(url, { method: 'GET', redirect: 'follow', signal: signal() });
+        return res.ok ? null : `HTTP ${res.status}`;
+      } catch (e) { return e.name === 'TimeoutError' ? 'timeout' : e.cause?.code || e.message; }
+    })());
+  }
+  return cache.get(url);
+}
+
+async function checkLinks(content, texts, cache) {
+  const urls = new Set(texts.flatMap(t => (t.match(LINK) || []).map(u => u.replace(/[.,;:!?]+$/, ''))));
+  if (content?.url) urls.add(content.url);
+  const issues = [];
+  for (const url of urls) {
+    const error = await reachable(url, cache);
+    if (error) issues.push(`link ${url} unreachable (${error})`);
+  }
+  return issues;
+}
+
+// /api/sentiment answers a label ("negative") or a score in [-1, 1], sometimes both.
+// → { issues, unavailable } — no answer (no wallet, API down) is reported, not passed
+async function checkSentiment(text) {
+  const sentiment = await analyzeSentiment(truncate(text, 1000));
+  if (!sentiment) return { issues: [], unavailable: 'sentiment check unavailable' };
+  const { label, score } = sentiment;
+  const { rejectLabels, minScore } = config.lint.sentiment;
+  if (rejectLabels.includes(label)) return { issues: [`sentiment is ${label}`] };
+  if (score !== null && score < minScore) return { issues: [`sentiment score ${score} is below ${minScore}`] };
+  return { issues: [] };
+}
+
+// ─── Lint ─────────────────────────────────────────────────────────────
+
+// Paid calls a lint run adds (one sentiment check per language), for estimates
+export function lintCalls() {
+  if (!config.lint.enabled || config.lint.rules.sentiment === 'off') return [];
+  return [{ endpoint: '/api/sentiment', count: 1 + targetLanguages().length }];
+}
+
+// Lint a strategy result → { status: 'ok' | 'flagged' | 'blocked', issues: [{ platform, rule, action, message }] }
+// Issues with action 'warn' (a check that couldn't run) are shown but leave the status alone
+export async function lintContents({ contents, stats = {}, facts = {} }) {
+  if (!config.lint.enabled) return { status: 'ok', issues: [] };
+  const { rules } = config.lint;
+  const issues = [];
+  const add = (platform, rule, messages, action = rules[rule]) => messages.forEach(message => issues.push({ platform, rule, action, message }));
+  const known = knownNumbers(stats, facts);
+  const linkCache = new Map();
+  const longest = {}; // language → [platform, text], for the sentiment check
+
+  for (const [key, content] of Object.entries(contents)) {
+    const { platform, language } = parseContentKey(key);
+    const texts = textsOf(content);
+    if (rules.length !== 'off') add(key, 'length', checkLength(platform, content));
+    if (rules.numbers !== 'off') add(key, 'numbers', checkNumbers(texts, known));
+    if (rules.forbidden !== 'off') add(key, 'forbidden', checkForbidden(texts));
+    if (rules.links !== 'off') add(key, 'links', await checkLinks(content, texts, linkCache));
+
+    const joined = texts.join('\n');
+    if (joined.length > (longest[language]?.[1].length || 0)) longest[language] = [key, joined];
+  }
+
+  // Sentiment is paid: one call per language, on its longest text
+  if (rules.sentiment !== 'off') {
+    for (const [key, text] of Object.values(longest)) {
+      const { issues: found, unavailable } = await checkSentiment(text);
+      add(key, 'sentiment', found);
+      if (unavailable) add(key, 'sentiment', [unavailable], 'warn');
+    }
+  }
+
+  const status = issues.some(i => i.action === 'block') ? 'blocked' : issues.some(i => i.action !== 'warn') ? 'flagged' : 'ok';
+  if (issues.length) log(`${status}: ${issues.map(i => `${i.platform} ${i.message}`).join('; ')}`);
+  return { status, issues };
+}
+
+export function formatIssues({ issues }) {
+  const labels = { block: 'BLOCK', flag: 'FLAG ', warn: 'WARN ' };
+  return issues.map(i => `  ${labels[i.action]} ${i.platform} [${i.rule}] ${i.message}`).join('\n');
+}
@@ -0,0 +1,88 @@
+// Cost estimator — prices a strategy run before it starts, from live 402 quotes
+import { quoteApi, getSpending } from './x402-client.js';
+import { getPriceCatalog } from './payment-policy.js';
+import { hasWallet } from './signers.js';
+import { config } from '../config.js';
+import { lintCalls } from './content-lint.js';
+
+const QUOTE_TTL_MS = 10 * 60_000;
+const quotes = new Map(); // endpoint → { cost, source, at }
+
+function log(msg) { console.log(`[estimate] ${msg}`); }
+
+// Live quote first, then the catalog; a call neither can price has an unknown cost
+// (cost null) and is asked again next time
+async function unitPrice(endpoint) {
+  const cached = quotes.get(endpoint);
+  if (cached && Date.now() - cached.at < QUOTE_TTL_MS) return cached;
+
+  let price;
+  try {
+    const quote = await quoteApi(endpoint);
+    if (quote.error) throw new Error(quote.error);
+    price = { cost: quote.cost, source: 'quote' };
+  } catch (err) {
+    log(`Quote failed for ${endpoint}: ${err.message}`);
+    const listed = getPriceCatalog()[endpoint];
+    if (!listed) return { cost: null, source: 'unknown', error: err.message };
+    price = { cost: listed.price, source: 'catalog' };
+  }
+  price.at = Date.now();
+  quotes.set(endpoint, price);
+  return price;
+}
+
+// Strategies declare their paid calls via `export function paidCalls(options)`
+// → [{ endpoint: '/api/summarize', count: 1 }, ...]; the pre-publish lint adds its own.
+// A run (not a `preview`) whose posts repeat recent ones is rerun whole by
+// generateUnique(), up to config.dedupe.maxRegenerations times: those reruns are
+// counted as well, so the total is what the run can spend at most.
+export async function estimateStrategy(mod, options = {}, { preview = false } = {}) {
+  const strategyCalls = typeof mod.paidCalls === 'function' ? mod.paidCalls(options) : [];
+  const calls = [];
+  for (const [i, { endpoint, count = 1 }] of [...strategyCalls, ...lintCalls()].entries()) {
+    const price = await unitPrice(endpoint);
+    const total = price.cost === null ? null : price.cost * count;
+    calls.push({ endpoint, count, unitPrice: price.cost, total, source: price.source, ...(price.error && { error: price.error }), ...(i >= strategyCalls.length && { lint: true }) });
+  }
+
+  const { enabled, onDuplicate, maxRegenerations } = config.dedupe;
+  const reruns = !preview && enabled && onDuplicate === 'regenerate' ? maxRegenerations : 0;
+  const perRun = calls.filter(c => !c.lint).reduce((sum, c) => sum + (c.total ?? 0), 0);
+  const regenerations = { count: reruns, perRun, total: reruns * perRun };
+
+  // Unpriced calls aren't counted in the total: with any of them the run isn't affordable
+  const unknown = calls.filter(c => c.unitPrice === null).map(c => c.endpoint);
+  const total = calls.reduce((sum, c) => sum + (c.total ?? 0), 0) + regenerations.total;
+  const { remaining } = getSpending();
+  // Without a wallet every paid call falls back to local content — nothing is spent
+  const walletConfigured = hasWallet();
+  if (unknown.length) log(`Unknown cost for ${unknown.join(', ')}${walletConfigured ? ' — the run will be refused' : ''}`);
+  return {
+    strategy: mod.name,
+    calls,
+    regenerations,
+    total,
+    unknown,
+    remaining,
+    walletConfigured,
+    affordable: !walletConfigured || (!unknown.length && total <= remaining),
+  };
+}
+
+// Why a run with this estimate is refused
+export function refusalReason(estimate) {
+  if (estimate.affordable) return null;
+  if (estimate.unknown.length) return `Cannot price ${estimate.unknown.join(', ')} — unknown cost`;
+  return `Estimated ${estimate.total.toFixed(4)} USDC exceeds remaining budget of ${estimate.remaining.toFixed(4)} USDC`;
+}
+
+export function formatEstimate(estimate) {
+  const lines = estimate.calls.map(c => (c.unitPrice === null
+    ? `  ${c.endpoint.padEnd(16)} ${c.count} × ? (unknown cost: ${c.error})`
+    : `  ${c.endpoint.padEnd(16)} ${c.count} × ${c.unitPrice.toFixed(4)} = ${c.total.toFixed(4)} USDC (${c.source})`));
+  const { count, perRun, total } = estimate.regenerations;
+  if (count && perRun) lines.push(`  ${'regenerations'.padEnd(16)} up to ${count} × ${perRun.toFixed(4)} = ${total.toFixed(4)} USDC (duplicate posts)`);
+  lines.push(`  total ${estimate.total.toFixed(4)} USDC${estimate.unknown.length ? ' + unknown' : ''} — remaining budget ${estimate.remaining.toFixed(4)} USDC`);
+  return lines.join('\n');
+}
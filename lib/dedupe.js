@@ -0,0 +1,146 @@
+// Duplicate detection — every published text is fingerprinted per content key
+// ("twitter", "telegram:fr"…) in data/published-posts.json. A new post is a
+// duplicate when its text is identical to one published within the window, or
+// similar enough once numbers are masked (same template, stats that barely moved).
+import fs from 'fs';
+import crypto from 'crypto';
+import { join } from 'path';
+import { config } from '../config.js';
+import { textsOf } from './content-lint.js';
+
+const POSTS_FILE = join(config.dataDir, 'published-posts.json');
+const MAX_PER_KEY = 200;
+const STORED_CHARS = 2000;
+
+function log(msg) { console.log(`[dedupe] ${msg}`); }
+
+function loadPosts() {
+  try { return JSON.parse(fs.readFileSync(POSTS_FILE, 'utf-8')); } catch { return {}; }
+}
+
+function savePosts(posts) {
+  fs.mkdirSync(config.dataDir, { recursive: true });
+  fs.writeFileSync(POSTS_FILE, JSON.stringify(posts, null, 2), 'utf-8');
+}
+
+// ─── Fingerprints ─────────────────────────────────────────────────────
+
+// Lowercased, links dropped, whitespace collapsed — what a reader would call "the same text"
+function normalize(content) {
+  return textsOf(content).join('\n')
+    .toLowerCase()
+    .replace(/\bhttps?:\/\/\S+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function hashOf(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+// Word trigrams with numbers masked, so "70 APIs" and "71 APIs" count as the same words
+function shingles(text) {
+  const words = text.replace(/\d+(?:[.,]\d+)*/g, '#').split(/[^\p{L}\p{N}#]+/u).filter(Boolean);
+  const set = new Set();
+  if (words.length < 3) set.add(words.join(' '));
+  for (let i = 0; i + 3 <= words.length; i++) set.add(words.slice(i, i + 3).join(' '));
+  return set;
+}
+
+export function similarity(a, b) {
+  const sa = shingles(a);
+  const sb = shingles(b);
+  let shared = 0;
+  for (const s of sa) if (sb.has(s)) shared++;
+  return shared / (sa.size + sb.size - shared || 1);
+}
+
+// ─── Detection ────────────────────────────────────────────────────────
+
+// → [{ platform, kind: 'exact' | 'similar', similarity, publishedAt, strategy, reason }]
+export function findDuplicates(contents) {
+  if (!config.dedupe.enabled) return [];
+  const since = Date.now() - config.dedupe.windowDays * 86_400_000;
+  const posts = loadPosts();
+  const duplicates = [];
+
+  for (const [key, content] of Object.entries(contents)) {
+    const text = normalize(content);
+    if (!text) continue;
+    const hash = hashOf(text);
+    const recent = (posts[key] || []).filter(p => new Date(p.at).getTime() >= since);
+
+    let match = recent.find(p => p.hash === hash);
+    let score = 1;
+    if (!match) {
+      for (const p of recent) {
+        const s = similarity(text, p.text);
+        if (s >= config.dedupe.similarity && s > (match ? score : 0)) { match = p; score = s; }
+      }
+    }
+    if (!match) continue;
+
+    const kind = match.hash === hash ? 'exact' : 'similar';
+    const when = match.at.slice(0, 10);
+    duplicates.push({
+      platform: key,
+      kind,
+      similarity: Math.round(score * 100) / 100,
+      publishedAt: match.at,
+      strategy: match.strategy,
+      reason: kind === 'exact'
+        ? `same text as the ${when} post`
+        : `${Math.round(score * 100)}% similar to the ${when} post`,
+    });
+  }
+  return duplicates;
+}
+
+// Remember what went out: `results` keyed like `contents`, only successes are kept
+export function recordPublished(contents, results, { strategy, template } = {}) {
+  const published = Object.keys(contents).filter(k => results[k]?.success);
+  if (!published.length) return;
+  const posts = loadPosts();
+  const since = Date.now() - config.dedupe.windowDays * 86_400_000;
+  const at = new Date().toISOString();
+
+  for (const key of published) {
+    const text = normalize(contents[key]);
+    if (!text) continue;
+    const kept = (posts[key] || []).filter(p => new Date(p.at).getTime() >= since);
+    posts[key] = [...kept, { hash: hashOf(text), text: text.slice(0, STORED_CHARS), at, strategy, template }].slice(-MAX_PER_KEY);
+  }
+  savePosts(posts);
+}
+
+// Run a strategy until its posts aren't duplicates: `run(ctx)` gets the strategy
+// context, whose `exclude` lists the templates already tried, so each rerun picks
+// another. When config.dedupe.onDuplicate is 'skip', the regenerations run out, or
+// a new template didn't change the duplicate texts (fixed titles), the duplicate
+// platforms are dropped from the result.
+// → the strategy result, plus { duplicates, skipped }
+export async function generateUnique(run, strategy) {
+  const { onDuplicate, maxRegenerations } = config.dedupe;
+  const exclude = [];
+  let result = await run({ exclude: [] });
+  let previous = null;
+  for (let attempt = 0; ; attempt++) {
+    const duplicates = findDuplicates(result.contents);
+    if (!duplicates.length) return { ...result, duplicates: [], skipped: [] };
+
+    const reasons = duplicates.map(d => `${d.platform}: ${d.reason}`).join('; ');
+    const changed = !previous || duplicates.some(d => normalize(result.contents[d.platform]) !== normalize(previous[d.platform]));
+    previous = result.contents;
+    if (onDuplicate === 'regenerate' && attempt < maxRegenerations && changed) {
+      log(`${strategy}: duplicate content (${reasons}) — regenerating with another template (${attempt + 1}/${maxRegenerations})`);
+      if (result.template) exclude.push(result.template);
+      result = await run({ exclude: [...exclude] });
+      continue;
+    }
+
+    const skipped = duplicates.map(d => d.platform);
+    log(`${strategy}: skipping ${skipped.join(', ')} — ${reasons}`);
+    const contents = Object.fromEntries(Object.entries(result.contents).filter(([k]) => !skipped.includes(k)));
+    return { ...result, contents, duplicates, skipped };
+  }
+}
@@ -0,0 +1,45 @@
+// File locks — the JSON stores several processes write (the agent CLI and the
+// dashboard share data/) are changed while holding `<file>.lock`: re-read, modify,
+// write. Synchronous, so a change never interleaves with other code in this process.
+import fs from 'fs';
+import { dirname } from 'path';
+
+const WAIT_MS = 5000;
+const STALE_MS = 30_000; // a holder that crashed mid-change left its lock behind
+
+function log(msg) { console.log(`[file-lock] ${msg}`); }
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Run fn() while holding `${file}.lock` → fn's result. Throws if another process
+// keeps the lock longer than WAIT_MS.
+export function withFileLock(file, fn) {
+  const lock = `${file}.lock`;
+  fs.mkdirSync(dirname(file), { recursive: true });
+  const deadline = Date.now() + WAIT_MS;
+  let fd;
+  while (fd === undefined) {
+    try {
+      fd = fs.openSync(lock, 'wx');
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      let age = 0;
+      try { age = Date.now() - fs.statSync(lock).mtimeMs; } catch { continue; }
+      if (age > STALE_MS) {
+        log(`Removing stale lock ${lock}`);
+        fs.rmSync(lock, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`${file} is locked by another process (${lock})`);
+      sleep(20);
+    }
+  }
+  try {
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    fs.rmSync(lock, { force: true });
+  }
+}
@@ -0,0 +1,116 @@
+// HTTP layer for x402 calls — per-endpoint timeouts, backoff retries, circuit breaker
+// Retries only cover idempotent requests that carry no payment proof: once an
+// X-PAYMENT or tx hash has left the process, the caller gets the first outcome.
+import { config } from '../config.js';
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+const breakers = new Map(); // origin → { failures, openedUntil, trial }
+
+function log(msg) { console.log(`[http] ${msg}`); }
+
+function parse(url) {
+  try { return new URL(url); } catch { return null; }
+}
+
+function timeoutFor(url) {
+  const path = parse(url)?.pathname;
+  return config.http.timeoutsMs[path] ?? config.http.defaultTimeoutMs;
+}
+
+function breakerFor(origin) {
+  if (!breakers.has(origin)) breakers.set(origin, { failures: 0, openedUntil: 0, trial: false });
+  return breakers.get(origin);
+}
+
+// Closed → open after N consecutive failures; after the cooldown one trial request goes through
+function admit(origin) {
+  const b = breakerFor(origin);
+  if (b.openedUntil === 0) return;
+  if (Date.now() < b.openedUntil || b.trial) {
+    throw new Error(`Circuit open for ${origin} — upstream failing, retry after ${new Date(b.openedUntil).toISOString()}`);
+  }
+  b.trial = true;
+}
+
+function recordSuccess(origin) {
+  const b = breakerFor(origin);
+  if (b.openedUntil) log(`Circuit closed for ${origin}`);
+  Object.assign(b, { failures: 0, openedUntil: 0, trial: false });
+}
+
+function recordFailure(origin) {
+  const b = breakerFor(origin);
+  b.failures++;
+  b.trial = false;
+  if (b.failures >= config.http.breaker.failureThreshold) {
+    b.openedUntil = Date.now() + config.http.breaker.cooldownMs;
+    log(`Circuit open for ${origin} after ${b.failures} failures (${config.http.breaker.cooldownMs / 1000}s)`);
+  }
+}
+
+// Exponential backoff with full jitter
+function backoff(attempt) {
+  const ceiling = Math.min(config.http.backoffMaxMs, config.http.backoffBaseMs * 2 ** attempt);
+  return new Promise(resolve => setTimeout(resolve, Math.random() * ceiling));
+}
+
+async function attempt(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (err) {
+    if (controller.signal.aborted) throw new Error(`Timeout after ${timeoutMs}ms: ${url}`);
+    throw new Error(`Network error for ${url}: ${err.cause?.code || err.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// fetch() with a timeout; retries network errors, timeouts and 408/429/5xx when
+// `retry` is true. Returns the Response (4xx included) or throws once attempts run out.
+//   retry   — safe to send again (idempotent, no payment attached); defaults to GET/HEAD
+//   gate    — false lets a request through an open circuit (replaying a signed payment)
+export async function request(url, init = {}, { retry, gate = true, timeoutMs } = {}) {
+  const origin = parse(url)?.origin || url;
+  const method = (init.method || 'GET').toUpperCase();
+  const canRetry = retry ?? (method === 'GET' || method === 'HEAD');
+  const attempts = canRetry ? config.http.retries + 1 : 1;
+  const timeout = timeoutMs ?? timeoutFor(url);
+
+  if (gate) admit(origin);
+  for (let i = 0; i < attempts; i++) {
+    const last = i === attempts - 1;
+    let res;
+    try {
+      res = await attempt(url, init, timeout);
+    } catch (err) {
+      recordFailure(origin);
+      if (last) throw err;
+      log(`${err.message} — retry ${i + 1}/${attempts - 1}`);
+      await backoff(i);
+      if (gate) admit(origin);
+      continue;
+    }
+
+    if (!RETRYABLE_STATUS.has(res.status)) {
+      recordSuccess(origin);
+      return res;
+    }
+    recordFailure(origin);
+    if (last) return res;
+    await res.body?.cancel();
+    log(`HTTP ${res.status} from ${url} — retry ${i + 1}/${attempts - 1}`);
+    await backoff(i);
+    if (gate) admit(origin);
+  }
+}
+
+export function getCircuitState() {
+  return Object.fromEntries([...breakers].map(([origin, b]) => [origin, {
+    state: b.openedUntil === 0 ? 'closed' : Date.now() < b.openedUntil ? 'open' : 'half-open',
+    failures: b.failures,
+    openedUntil: b.openedUntil ? new Date(b.openedUntil).toISOString() : null,
+  }]));
+}
@@ -0,0 +1,130 @@
+// Languages — each publishing target declares the language it posts in, and
+// strategies build their contents once per language from translated texts.
+// A platform posts in its `language` setting (default: config.defaultLanguage).
+// Telegram channels and Discord webhooks can add targets in other languages:
+//   TELEGRAM_CHANNELS="fr=@x402_fr, es=@x402_es"
+//   DISCORD_WEBHOOKS="fr=https://discord.com/api/webhooks/…"
+// Their contents are keyed "<platform>:<language>" (e.g. "telegram:fr").
+// Translations go through /api/translate; the response cache keeps them for 30 days.
+import { config } from '../config.js';
+import { translateText } from './content-gen.js';
+
+const EXTRA_TARGETS = { telegram: 'channels', discord: 'webhooks' };
+const SHORT_TEXT = 80; // labels and headings are translated together in one call
+
+function log(msg) { console.log(`[languages] ${msg}`); }
+
+export function languageOf(platform) {
+  return (config.platforms[platform]?.language || config.defaultLanguage || config.sourceLanguage).toLowerCase();
+}
+
+// "fr=@x402_fr, es=@x402_es" → [{ language: 'fr', target: '@x402_fr' }, …]
+export function extraTargets(platform) {
+  const raw = config.platforms[platform]?.[EXTRA_TARGETS[platform]];
+  if (!raw) return [];
+  const entries = Array.isArray(raw) ? raw : String(raw).split(/[,\n]/);
+  return entries.map(e => {
+    if (typeof e === 'object') return { language: e.language?.toLowerCase(), target: e.target };
+    const i = e.indexOf('=');
+    return i > 0 ? { language: e.slice(0, i).trim().toLowerCase(), target: e.slice(i + 1).trim() } : null;
+  }).filter(t => t?.language && t.target);
+}
+
+// "telegram:fr" → { platform: 'telegram', language: 'fr', targets: ['@x402_fr'] }
+// A bare platform key posts to the platform's own target (targets: null)
+export function parseContentKey(key) {
+  const [platform, language] = key.split(':');
+  if (!language) return { platform, language: languageOf(platform), targets: null };
+  return { platform, language, targets: extraTargets(platform).filter(t => t.language === language).map(t => t.target) };
+}
+
+// Post a content key: bare keys once to the platform's own target (`post(undefined)`),
+// localized keys once per extra target in that language. → { success, message }
+export async function postLocalized(key, post) {
+  const { targets } = parseContentKey(key);
+  if (!targets) return post(undefined);
+  if (!targets.length) return { success: false, message: `No target configured for ${key}` };
+  const results = [];
+  for (const target of targets) results.push(await post(target));
+  return { success: results.every(r => r?.success), message: results.map(r => r?.message).join(' | ') };
+}
+
+// Languages other than the source one that a run will translate into
+export function targetLanguages() {
+  const languages = new Set(Object.keys(config.platforms).map(languageOf));
+  for (const platform of Object.keys(EXTRA_TARGETS)) extraTargets(platform).forEach(t => languages.add(t.language));
+  languages.delete(config.sourceLanguage);
+  return [...languages];
+}
+
+// Paid calls for `pieces` long texts (+ one batch of labels) in every target language
+export function translateCalls(pieces) {
+  const count = (pieces + 1) * targetLanguages().length;
+  return count ? [{ endpoint: '/api/translate', count }] : [];
+}
+
+// ─── Translation ──────────────────────────────────────────────────────
+
+// Every translatable string in strategy texts: plain strings, lists, objects and
+// rich-text nodes — but not code, URLs or node types
+function collect(value, out = []) {
+  if (typeof value === 'string') {
+    if (/\p{L}/u.test(value)) out.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(v => collect(v, out));
+  } else if (value && typeof value === 'object' && value.type !== 'code') {
+    for (const [k, v] of Object.entries(value)) if (k !== 'type' && k !== 'url') collect(v, out);
+  }
+  return out;
+}
+
+function replace(value, map) {
+  if (typeof value === 'string') return map.get(value) ?? value;
+  if (Array.isArray(value)) return value.map(v => replace(v, map));
+  if (value && typeof value === 'object' && value.type !== 'code') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, k === 'type' || k === 'url' ? v : replace(v, map)]));
+  }
+  return value;
+}
+
+// Same shape as `texts`, every string translated into `language`
+export async function translateTexts(texts, language) {
+  const strings = [...new Set(collect(texts))];
+  const map = new Map();
+  const short = strings.filter(s => s.length <= SHORT_TEXT && !s.includes('\n'));
+  for (const s of strings.filter(s => !short.includes(s))) map.set(s, await translateText(s, language));
+
+  if (short.length) {
+    // Leading/trailing spaces of labels ("New API: ") survive the round trip
+    const lines = (await translateText(short.map(s => s.trim()).join('\n'), language)).split('\n');
+    if (lines.length === short.length) {
+      short.forEach((s, i) => map.set(s, s.match(/^\s*/)[0] + lines[i].trim() + s.match(/\s*$/)[0]));
+    } else {
+      log(`Label batch came back with ${lines.length}/${short.length} lines — labels kept in ${config.sourceLanguage}`);
+    }
+  }
+  return replace(texts, map);
+}
+
+// Build contents once per language. `build(texts, language)` returns { [platform]: content };
+// every platform gets its own language, and extra channels a "<platform>:<language>" key.
+// → { contents, languages: { [key]: language } }
+export async function localizeContents(texts, build) {
+  const built = { [config.sourceLanguage]: build(texts, config.sourceLanguage) };
+  const contents = {};
+  const languages = {};
+  for (const platform of Object.keys(built[config.sourceLanguage])) {
+    const keys = [[platform, languageOf(platform)]];
+    for (const language of new Set(extraTargets(platform).map(t => t.language))) keys.push([`${platform}:${language}`, language]);
+
+    for (const [key, language] of keys) {
+      if (!built[language]) {
+        log(`Translating into ${language}`);
+        built[language] = build(await translateTexts(texts, language), language);
+      }
+      contents[key] = built[language][platform];
+      languages[key] = language;
+    }
+  }
+  return { contents, languages };
+}
@@ -0,0 +1,167 @@
+// Spend ledger — durable record of every x402 payment, source of truth for budget caps
+import fs from 'fs';
+import { join } from 'path';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { config } from '../config.js';
+import { withFileLock } from './file-lock.js';
+
+const LEDGER_FILE = join(config.dataDir, 'spend-ledger.json');
+const DAY_MS = 86_400_000;
+const WINDOWS = { daily: DAY_MS, weekly: 7 * DAY_MS, monthly: 30 * DAY_MS };
+const RETENTION_MS = 365 * DAY_MS;
+// A reservation whose payment never reported back (crash) stops holding budget after this
+const RESERVATION_TTL_MS = 15 * 60_000;
+
+// Attribution (strategy, run) for payments made inside withSpendContext()
+const spendContext = new AsyncLocalStorage();
+// The ledger as read under the lock, while a change runs
+let entries = null;
+
+function log(msg) { console.log(`[ledger] ${msg}`); }
+
+// Always from disk: another process (the agent CLI, the dashboard) may have booked since
+function load() {
+  if (!fs.existsSync(LEDGER_FILE)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(LEDGER_FILE, 'utf-8'));
+  } catch (e) {
+    // Never fall back to an empty ledger — that would silently reset the budget
+    throw new Error(`Spend ledger unreadable (${LEDGER_FILE}): ${e.message}`);
+  }
+}
+
+function save() {
+  fs.mkdirSync(config.dataDir, { recursive: true });
+  const tmp = `${LEDGER_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(entries, null, 2), 'utf-8');
+  fs.renameSync(tmp, LEDGER_FILE);
+}
+
+// Every change re-reads the ledger, applies and saves under spend-ledger.json.lock,
+// so the agent CLI and the dashboard never overwrite each other's entries
+function withLock(fn) {
+  return withFileLock(LEDGER_FILE, () => {
+    entries = load();
+    try {
+      const result = fn();
+      save();
+      return result;
+    } finally {
+      entries = null;
+    }
+  });
+}
+
+const isReservation = e => e.reserved === true;
+const isLive = (e, now) => !isReservation(e) || Date.parse(e.expiresAt) > now;
+
+function caps() {
+  return { daily: config.maxBudget, weekly: config.maxWeeklyBudget, monthly: config.maxMonthlyBudget };
+}
+
+// Run fn with payments attributed to { strategy, runId }
+export function withSpendContext(context, fn) {
+  return spendContext.run(context, fn);
+}
+
+export function currentSpendContext() {
+  return spendContext.getStore() || null;
+}
+
+// Hold `cost` against every rolling cap in one step under the write lock, so two
+// payments (in this process or another) can't both pass the same check.
+// Throws if any cap would be exceeded. → reservation id, for recordPayment() once
+// paid or releaseReservation() if the payment fails
+export function reserveBudget(cost, endpoint) {
+  return withLock(() => {
+    const now = Date.now();
+    entries = entries.filter(e => isLive(e, now));
+    for (const [window, t] of Object.entries(windowTotals(entries, now))) {
+      const held = t.spent + t.reserved;
+      if (held + cost > t.cap) {
+        log(`Refused ${cost} USDC — ${window} cap ${t.cap} reached`);
+        throw new Error(
+          `Budget limit reached (${window}): ${t.spent.toFixed(4)}/${t.cap} USDC` +
+          `${t.reserved ? ` (+${t.reserved.toFixed(4)} in flight)` : ''}. This call costs ${cost} USDC.`
+        );
+      }
+    }
+    const id = crypto.randomUUID();
+    entries.push({
+      id,
+      amount: cost,
+      endpoint,
+      reserved: true,
+      timestamp: new Date(now).toISOString(),
+      expiresAt: new Date(now + RESERVATION_TTL_MS).toISOString(),
+    });
+    return id;
+  });
+}
+
+// The payment didn't go through: give the held amount back
+export function releaseReservation(id) {
+  if (!id) return;
+  withLock(() => {
+    entries = entries.filter(e => !(isReservation(e) && e.id === id));
+  });
+}
+
+// `context` overrides the ambient attribution (used when resuming journaled payments).
+// The payment replaces its reservation, if it still holds one.
+export function recordPayment({ amount, txHash, endpoint, scheme = 'transfer', network = config.chain, context, reservationId }) {
+  const ctx = context || spendContext.getStore() || {};
+  const entry = {
+    id: crypto.randomUUID(),
+    amount,
+    txHash,
+    endpoint,
+    scheme,
+    network,
+    strategy: ctx.strategy || null,
+    runId: ctx.runId || null,
+    queueItemIds: [],
+    timestamp: new Date().toISOString(),
+  };
+  return withLock(() => {
+    const cutoff = Date.now() - RETENTION_MS;
+    entries = entries.filter(e => Date.parse(e.timestamp) >= cutoff && !(isReservation(e) && e.id === reservationId));
+    entries.push(entry);
+    return entry;
+  });
+}
+
+// Link the payments of a run to the queue items it produced
+export function assignQueueItems(runId, queueItemIds) {
+  if (!runId || queueItemIds.length === 0) return;
+  withLock(() => {
+    for (const entry of entries) {
+      if (entry.runId !== runId) continue;
+      entry.queueItemIds = [...new Set([...(entry.queueItemIds || []), ...queueItemIds])];
+    }
+  });
+}
+
+export function getEntries(sinceMs = WINDOWS.monthly) {
+  const cutoff = Date.now() - sinceMs;
+  return load().filter(e => !isReservation(e) && Date.parse(e.timestamp) >= cutoff);
+}
+
+// `reserved` is held by payments still in flight; it counts against `remaining`
+export function getWindowTotals(now = Date.now()) {
+  return windowTotals(load(), now);
+}
+
+function windowTotals(list, now) {
+  const cap = caps();
+  const totals = {};
+  for (const [window, ms] of Object.entries(WINDOWS)) {
+    const recent = list.filter(e => now - Date.parse(e.timestamp) < ms && isLive(e, now));
+    const sum = list => list.reduce((total, e) => total + e.amount, 0);
+    const spent = sum(recent.filter(e => !isReservation(e)));
+    const reserved = sum(recent.filter(isReservation));
+    totals[window] = { spent, reserved, cap: cap[window], remaining: Math.max(0, cap[window] - spent - reserved) };
+  }
+  return totals;
+}
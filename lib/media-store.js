@@ -0,0 +1,101 @@
+// Media store — generated images archived under data/media/, named by content hash.
+// DALL-E URLs expire within hours; queue items keep the local asset instead, the
+// dashboard serves it at /media/<id>, and platform uploads read the stored bytes.
+// Locally rendered stat cards (lib/stat-cards.js) are stored the same way.
+import fs from 'fs';
+import { join } from 'path';
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { request } from './http.js';
+
+const INDEX_FILE = join(config.media.dir, 'index.json');
+const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp', 'image/svg+xml': 'svg' };
+// Downloaded images must be raster: an SVG can carry script, and /media serves it from
+// the dashboard's origin. SVG is only stored for the stat cards rendered here.
+const REMOTE_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp']);
+const MIME_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([m, e]) => [e, m]));
+const ASSET_ID = /^[0-9a-f]{64}\.(png|jpg|gif|webp|svg)$/;
+
+let index = null; // { [id]: { mimeType, size, sourceUrl, prompt, kind, createdAt } }
+
+function log(msg) { console.log(`[media-store] ${msg}`); }
+
+function load() {
+  if (index) return index;
+  index = {};
+  if (fs.existsSync(INDEX_FILE)) {
+    try { index = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf-8')); } catch (e) {
+      log(`Media index unreadable, starting empty: ${e.message}`);
+    }
+  }
+  return index;
+}
+
+function save() {
+  fs.mkdirSync(config.media.dir, { recursive: true });
+  fs.writeFileSync(INDEX_FILE, JSON.stringify(index, null, 2), 'utf-8');
+}
+
+export function isAssetId(id) {
+  return ASSET_ID.test(id || '');
+}
+
+export function assetUrl(id) {
+  return `${config.media.publicBaseUrl}/media/${id}`;
+}
+
+// The asset behind a /media/<id> URL (any host), if we have its bytes
+export function assetIdFromUrl(url) {
+  const match = (url || '').match(/\/media\/([0-9a-f]{64}\.[a-z]+)(?:[?#].*)?$/);
+  return match && fs.existsSync(join(config.media.dir, match[1])) ? match[1] : null;
+}
+
+export function readAsset(id) {
+  if (!isAssetId(id)) return null;
+  const path = join(config.media.dir, id);
+  if (!fs.existsSync(path)) return null;
+  const extension = id.split('.').pop();
+  return { bytes: fs.readFileSync(path), mimeType: MIME_TYPES[extension], extension };
+}
+
+// Download an image once and keep it; same bytes → same id. Returns the asset or null.
+export async function archiveImage(sourceUrl, meta = {}) {
+  if (!sourceUrl) return null;
+  const existing = assetIdFromUrl(sourceUrl);
+  if (existing) return { id: existing, url: assetUrl(existing), ...load()[existing] };
+
+  try {
+    const res = await request(sourceUrl, {}, { timeoutMs: 30_000 });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const mimeType = (res.headers.get('content-type') || '').split(';')[0].trim();
+    if (!REMOTE_TYPES.has(mimeType)) throw new Error(`not a raster image (${mimeType || 'no content-type'})`);
+    const bytes = Buffer.from(await res.arrayBuffer());
+    if (bytes.length > config.media.maxBytes) throw new Error(`${bytes.length} bytes exceeds ${config.media.maxBytes}`);
+    return storeImage(bytes, mimeType, { ...meta, sourceUrl });
+  } catch (err) {
+    log(`Could not archive ${sourceUrl.slice(0, 80)}: ${err.message}`);
+    return null;
+  }
+}
+
+// Keep bytes we already have (rendered locally); same bytes → same id
+export function storeImage(bytes, mimeType, meta = {}) {
+  if (!EXTENSIONS[mimeType]) throw new Error(`not an image (${mimeType})`);
+  const id = `${crypto.createHash('sha256').update(bytes).digest('hex')}.${EXTENSIONS[mimeType]}`;
+  const path = join(config.media.dir, id);
+  if (!fs.existsSync(path)) {
+    fs.mkdirSync(config.media.dir, { recursive: true });
+    fs.writeFileSync(path, bytes);
+  }
+  load()[id] = {
+    mimeType,
+    size: bytes.length,
+    sourceUrl: meta.sourceUrl || null,
+    prompt: meta.prompt || null,
+    kind: meta.kind || 'generated',
+    createdAt: new Date().toISOString(),
+  };
+  save();
+  log(`Stored ${id} (${bytes.length} bytes)`);
+  return { id, url: assetUrl(id), ...index[id] };
+}
@@ -0,0 +1,108 @@
+// News stories for digests — gathered from /api/news and /api/search, merged when
+// several queries (or outlets) return the same story, ranked, and remembered once
+// featured in a published post (data/news-featured.json) so the next digest only
+// brings new ones.
+import fs from 'fs';
+import { join } from 'path';
+import { config } from '../config.js';
+import { getNews, searchTrending } from './content-gen.js';
+import { similarity } from './dedupe.js';
+
+const FEATURED_FILE = join(config.dataDir, 'news-featured.json');
+const DAY = 86_400_000;
+const SAME_STORY = 0.5; // title similarity above which two links are one story
+
+function log(msg) { console.log(`[news] ${msg}`); }
+
+// ─── Stories ──────────────────────────────────────────────────────────
+
+// Same article whatever the tracking parameters, "www." or trailing slash
+export function storyKey(url) {
+  try {
+    const u = new URL(url);
+    for (const p of [...u.searchParams.keys()]) if (/^(utm_|ref$|source$)/i.test(p)) u.searchParams.delete(p);
+    u.hash = '';
+    return `${u.hostname.replace(/^www\./, '')}${u.pathname.replace(/\/+$/, '')}${u.search}`.toLowerCase();
+  } catch { return String(url).trim().toLowerCase(); }
+}
+
+function hostOf(url) {
+  try { return new URL(url).hostname.replace(/^www\./, ''); } catch { return null; }
+}
+
+// /api/news articles and /api/search results → one shape
+function normalize(item, kind, query) {
+  const url = item.url || item.link;
+  const title = (item.title || item.name || '').trim();
+  if (!url || !title) return null;
+  const published = new Date(item.publishedAt || item.published_at || item.date || NaN);
+  return {
+    key: storyKey(url),
+    title,
+    url,
+    source: (typeof item.source === 'object' ? item.source?.name : item.source) || hostOf(url),
+    summary: (item.description || item.snippet || item.summary || '').trim(),
+    publishedAt: Number.isNaN(published.getTime()) ? null : published.toISOString(),
+    kind,
+    queries: [query],
+  };
+}
+
+// Run every query against news and search, merging stories found more than once
+export async function collectStories(queries) {
+  const stories = [];
+  for (const query of queries) {
+    const found = [
+      ...(await getNews(query)).map(a => normalize(a, 'news', query)),
+      ...(await searchTrending(query)).map(r => normalize(r, 'web', query)),
+    ].filter(Boolean);
+    for (const story of found) {
+      const same = stories.find(s => s.key === story.key || similarity(s.title.toLowerCase(), story.title.toLowerCase()) >= SAME_STORY);
+      if (!same) { stories.push(story); continue; }
+      if (!same.queries.includes(query)) same.queries.push(query);
+      // Keep the richest version: dated news over undated search hits, the longest summary
+      if (!same.publishedAt && story.publishedAt) Object.assign(same, { publishedAt: story.publishedAt, kind: story.kind, source: story.source });
+      if (story.summary.length > same.summary.length) same.summary = story.summary;
+    }
+  }
+  log(`${stories.length} stories from ${queries.length} queries`);
+  return stories;
+}
+
+// Best stories first, leaving out those already featured and dated ones older than `days`.
+// Score: queries that found the story, recency, and topic words in the title and summary.
+export function rankStories(stories, { days = 7, limit = 5, queries = [], now = new Date() } = {}) {
+  const featured = loadFeatured();
+  const words = [...new Set(queries.join(' ').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(w => w.length > 2))];
+  const scored = [];
+  for (const s of stories) {
+    if (featured[s.key]) continue;
+    const age = s.publishedAt ? (now - new Date(s.publishedAt)) / DAY : null;
+    if (age !== null && age > days) continue;
+    const text = `${s.title} ${s.summary}`.toLowerCase();
+    const relevance = words.filter(w => text.includes(w)).length;
+    const recency = age === null ? 0.3 : 1 - Math.max(0, age) / days;
+    scored.push({ ...s, score: 2 * s.queries.length + relevance + 3 * recency });
+  }
+  return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+// ─── Featured stories ─────────────────────────────────────────────────
+
+// → { [key]: { title, url, featuredAt } }
+export function loadFeatured() {
+  try { return JSON.parse(fs.readFileSync(FEATURED_FILE, 'utf-8')); } catch { return {}; }
+}
+
+// Once a digest went out somewhere (`results` as for recordPublished), its stories
+// won't be featured again for config.newsDigest.rememberDays
+export function recordFeatured(stories, results) {
+  if (!stories?.length || !Object.values(results).some(r => r?.success)) return;
+  const since = Date.now() - config.newsDigest.rememberDays * DAY;
+  const featured = Object.fromEntries(Object.entries(loadFeatured()).filter(([, s]) => new Date(s.featuredAt).getTime() >= since));
+  const at = new Date().toISOString();
+  for (const s of stories) featured[s.key] = { title: s.title, url: s.url, featuredAt: at };
+  fs.mkdirSync(config.dataDir, { recursive: true });
+  fs.writeFileSync(FEATURED_FILE, JSON.stringify(featured, null, 2), 'utf-8');
+  log(`${stories.length} stories marked as featured`);
+}
@@ -0,0 +1,146 @@
+// Payment journal — write-ahead log so a paid call is never paid twice
+// Lifecycle: intent → signed → broadcast → confirmed → settled  (legacy transfer)
+//            intent → signed → sent → settled                     (x402 exact)
+// Any entry may end in failed. Non-terminal entries no live process has claimed are orphans.
+import fs from 'fs';
+import { join } from 'path';
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { withFileLock } from './file-lock.js';
+
+const JOURNAL_FILE = join(config.dataDir, 'payment-journal.json');
+const TERMINAL = new Set(['settled', 'failed']);
+const RETENTION_MS = 30 * 86_400_000;
+
+function log(msg) { console.log(`[payment-journal] ${msg}`); }
+
+// Always from disk: the agent CLI and the dashboard both write the journal
+function load() {
+  if (!fs.existsSync(JOURNAL_FILE)) return [];
+  try { return JSON.parse(fs.readFileSync(JOURNAL_FILE, 'utf-8')); } catch (e) {
+    throw new Error(`Payment journal unreadable (${JOURNAL_FILE}): ${e.message}`);
+  }
+}
+
+function save(entries) {
+  const tmp = `${JOURNAL_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(entries, null, 2), 'utf-8');
+  fs.renameSync(tmp, JOURNAL_FILE);
+}
+
+// Re-read, change and write under payment-journal.json.lock → fn's result
+function change(fn) {
+  return withFileLock(JOURNAL_FILE, () => {
+    const entries = load();
+    const result = fn(entries);
+    save(entries);
+    return result;
+  });
+}
+
+// A claim ({ pid, at }) marks the process working on an entry; it lapses when that process is gone
+function alive(pid) {
+  if (pid === process.pid) return true;
+  try { process.kill(pid, 0); return true; } catch (e) { return e.code === 'EPERM'; }
+}
+const claimed = e => Boolean(e.claim && alive(e.claim.pid));
+
+function update(id, fields) {
+  return change(entries => {
+    const entry = entries.find(e => e.id === id);
+    if (!entry) throw new Error(`Unknown journal entry ${id}`);
+    Object.assign(entry, fields, { updatedAt: new Date().toISOString() });
+    if (TERMINAL.has(entry.status)) delete entry.claim;
+    return entry;
+  });
+}
+
+// Identity of a request: same method + URL + body = same paid call
+export function requestKey(url, { method = 'GET', body } = {}) {
+  return crypto.createHash('sha256')
+    .update(`${method.toUpperCase()} ${url}\n${body ? JSON.stringify(body) : ''}`)
+    .digest('hex');
+}
+
+export function beginPayment({ url, options = {}, scheme, network, amount, recipient, context, reservationId = null }) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    key: requestKey(url, options),
+    url,
+    method: options.method || 'GET',
+    body: options.body ?? null,
+    headers: options.headers || {},
+    scheme,
+    network,
+    amount,
+    recipient,
+    context: context || null,
+    reservationId, // budget held in the ledger until the payment is booked or fails
+    status: 'intent',
+    txHash: null,
+    ledgerId: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    claim: { pid: process.pid, at: now },
+  };
+  const cutoff = Date.now() - RETENTION_MS;
+  return change(entries => {
+    const kept = entries.filter(e => !TERMINAL.has(e.status) || Date.parse(e.updatedAt) >= cutoff);
+    entries.splice(0, entries.length, ...kept, entry);
+    return entry;
+  });
+}
+
+export function markSigned(id, fields) { return update(id, { status: 'signed', ...fields }); }
+export function markBroadcast(id) { return update(id, { status: 'broadcast' }); }
+export function markSent(id) { return update(id, { status: 'sent' }); }
+export function markConfirmed(id, ledgerId) { return update(id, { status: 'confirmed', ledgerId }); }
+export function markSettled(id, fields = {}) { return update(id, { status: 'settled', ...fields }); }
+
+export function markFailed(id, error) {
+  log(`Payment ${id} failed: ${error}`);
+  return update(id, { status: 'failed', error });
+}
+
+// Claim an orphan for this process so no process resumes it twice concurrently.
+// → the entry as claimed, or null if it is settled, failed or someone else's
+export function claim(id) {
+  return change(entries => {
+    const entry = entries.find(e => e.id === id);
+    if (!entry || TERMINAL.has(entry.status) || claimed(entry)) return null;
+    entry.claim = { pid: process.pid, at: new Date().toISOString() };
+    return entry;
+  });
+}
+
+// Leave an unresolved entry for a later resume (this process or the next)
+export function release(id) {
+  change(entries => {
+    const entry = entries.find(e => e.id === id);
+    if (entry?.claim?.pid === process.pid) delete entry.claim;
+  });
+}
+
+// Orphans with a proof (signed tx or authorization) can be replayed instead of paying again
+export function findResumable(key) {
+  return getOrphans().find(e => e.key === key && e.status !== 'intent') || null;
+}
+
+export function getOrphans() {
+  return load().filter(e => !TERMINAL.has(e.status) && !claimed(e));
+}
+
+// An intent that never got signed moved no funds — close it out
+export function closeStaleIntents() {
+  return change(entries => {
+    const stale = entries.filter(e => e.status === 'intent' && !claimed(e));
+    const now = new Date().toISOString();
+    for (const e of stale) {
+      Object.assign(e, { status: 'failed', error: 'Interrupted before signing — no funds moved', updatedAt: now });
+      delete e.claim;
+    }
+    return stale.length;
+  });
+}
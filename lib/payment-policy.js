@@ -0,0 +1,98 @@
+// Payment policy — vets every 402 demand before the client signs or sends anything
+import { isAddress } from 'viem';
+import { config } from '../config.js';
+import { request } from './http.js';
+
+const CATALOG_TTL_MS = 3_600_000;
+
+let catalog = null; // Map<pathname, { price, recipient }>
+let catalogFetchedAt = 0;
+let warnedNoAllowlist = false;
+
+function log(msg) { console.log(`[payment-policy] ${msg}`); }
+
+// Server-supplied values in reasons and logs: printable ASCII only, bounded
+export function untrustedText(value, max = 64) {
+  const text = String(value ?? '').replace(/[^\x20-\x7e]/g, '?');
+  return text.length > max ? `${text.slice(0, max)}…` : text;
+}
+
+function pathOf(url) {
+  try { return new URL(url).pathname; } catch { return url.split('?')[0]; }
+}
+
+// Fetch the Bazaar's service list (free endpoint) and index prices by path
+export async function refreshPriceCatalog() {
+  const url = `${config.serverUrl}${config.paymentPolicy.catalogPath}`;
+  try {
+    const res = await request(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    const services = Array.isArray(data) ? data : (data.services || data.data || []);
+    const next = new Map();
+    for (const s of services) {
+      const endpoint = s.endpoint || s.path || s.url;
+      const price = parseFloat(s.price_usdc ?? s.priceUsdc ?? s.price);
+      if (!endpoint || !Number.isFinite(price)) continue;
+      next.set(pathOf(endpoint), { price, recipient: (s.payTo || s.recipient || '').toLowerCase() || null });
+    }
+    catalog = next;
+    catalogFetchedAt = Date.now();
+    log(`Price catalog loaded: ${catalog.size} endpoints`);
+  } catch (err) {
+    log(`Price catalog unavailable (${err.message}) — catalog check skipped`);
+    catalogFetchedAt = Date.now(); // don't hammer a broken endpoint on every call
+  }
+  return catalog;
+}
+
+export function getPriceCatalog() {
+  return catalog ? Object.fromEntries(catalog) : {};
+}
+
+// Returns null if the payment is acceptable, otherwise the rejection reason
+export async function checkPaymentPolicy({ url, recipient, cost }) {
+  const policy = config.paymentPolicy;
+  const path = pathOf(url);
+  const to = (recipient || '').toLowerCase();
+
+  if (!Number.isFinite(cost) || cost <= 0) {
+    return `invalid quoted amount ${cost}`;
+  }
+
+  if (!isAddress(recipient || '')) {
+    return `recipient "${untrustedText(recipient)}" is not a valid address`;
+  }
+
+  if (policy.allowedRecipients.length > 0) {
+    if (!policy.allowedRecipients.includes(to)) {
+      return `recipient ${recipient} is not in the allowlist`;
+    }
+  } else if (!warnedNoAllowlist) {
+    warnedNoAllowlist = true;
+    log('No X402_ALLOWED_RECIPIENTS configured — any recipient is accepted');
+  }
+
+  if (cost > policy.maxPricePerCall) {
+    return `quoted ${cost} USDC exceeds the per-call ceiling of ${policy.maxPricePerCall} USDC`;
+  }
+
+  const endpointMax = policy.endpointMaxPrices[path];
+  if (endpointMax !== undefined && cost > endpointMax) {
+    return `quoted ${cost} USDC exceeds the ${endpointMax} USDC limit for ${path}`;
+  }
+
+  if (Date.now() - catalogFetchedAt > CATALOG_TTL_MS) await refreshPriceCatalog();
+  const listed = catalog?.get(path);
+  if (listed) {
+    const ceiling = listed.price * (1 + policy.priceTolerance);
+    if (cost > ceiling) {
+      return `quoted ${cost} USDC is above the catalog price of ${listed.price} USDC for ${path}`;
+    }
+    if (listed.recipient && listed.recipient !== to) {
+      return `recipient ${recipient} differs from the catalog recipient for ${path}`;
+    }
+  }
+
+  return null;
+}
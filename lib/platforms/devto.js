@@ -1,5 +1,6 @@
 // Dev.to — Post articles via API (free)
 import { config } from '../../config.js';
+import { truncate, limitFor } from '../text-length.js';
 
 function log(msg) { console.log(`[devto] ${msg}`); }
 
@@ -18,7 +19,7 @@ export async function post({ title, body_markdown, published = false, tags = []
     },
     body: JSON.stringify({
       article: {
-        title: title.slice(0, 150),
+        title: truncate(title, limitFor('devto', 'maxTitleChars'), { platform: 'devto' }),
         body_markdown,
         published,
         tags: tags.slice(0, 4),
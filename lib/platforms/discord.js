@@ -1,23 +1,40 @@
 // Discord — Post via webhook (free, no auth needed)
 import { config } from '../../config.js';
+import { localImage } from './media.js';
+import { truncate, limitFor } from '../text-length.js';
 
 function log(msg) { console.log(`[discord] ${msg}`); }
 
-export async function post(embed) {
+// Archived images go up as webhook attachments referenced by attachment://<file>
+function withAttachments(body) {
+  const files = [];
+  const embeds = (body.embeds || []).map(e => {
+    const local = e.image?.url && localImage(e.image.url);
+    if (!local) return e;
+    files.push(local);
+    return { ...e, image: { url: `attachment://${local.filename}` } };
+  });
+  if (files.length === 0) {
+    return { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
+  }
+  const form = new FormData();
+  form.append('payload_json', JSON.stringify({ ...body, embeds }));
+  files.forEach((f, i) => form.append(`files[${i}]`, new Blob([f.bytes], { type: f.mimeType }), f.filename));
+  return { method: 'POST', body: form };
+}
+
+// Posts to the configured webhook, or to `webhookUrl` (an extra channel in another language)
+export async function post(embed, webhookUrl = config.platforms.discord.webhookUrl) {
   if (!config.platforms.discord.enabled) {
     log('Discord not configured — skipping');
     return { success: false, message: 'Not configured' };
   }
 
   const body = typeof embed === 'string'
-    ? { content: embed.slice(0, 2000) }
+    ? { content: truncate(embed, limitFor('discord'), { platform: 'discord' }) }
     : embed;
 
-  const res = await fetch(config.platforms.discord.webhookUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
-  });
+  const res = await fetch(webhookUrl, withAttachments(body));
 
   if (res.ok || res.status === 204) {
     log('Posted to Discord');
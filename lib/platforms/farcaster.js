@@ -7,6 +7,8 @@ import {
   getSSLHubRpcClient,
 } from '@farcaster/hub-nodejs';
 import { Message } from '@farcaster/core';
+import { isPubliclyReachable } from './media.js';
+import { truncate, limitFor } from '../text-length.js';
 
 function log(msg) { console.log(`[farcaster] ${msg}`); }
 
@@ -22,7 +24,24 @@ function getSigner() {
   return _signer;
 }
 
-export async function post(text) {
+// Casts embed images by URL (max 2 embeds, 256 bytes each); the protocol has no alt text field
+function imageEmbeds(imageUrls) {
+  return [].concat(imageUrls || []).filter(url => {
+    if (!/^https?:\/\//.test(url)) return false;
+    if (!isPubliclyReachable(url)) {
+      log('Image is only served locally — set MEDIA_PUBLIC_URL to embed it in casts');
+      return false;
+    }
+    if (Buffer.byteLength(url) > 256) {
+      log('Image URL longer than 256 bytes — cast posted without embed');
+      return false;
+    }
+    return true;
+  }).slice(0, 2).map(url => ({ url }));
+}
+
+// `imageUrl`: one image URL or a list (the first two are embedded)
+export async function post(text, imageUrl) {
   const cfg = config.platforms.farcaster;
   if (!cfg.enabled) {
     log('Farcaster not configured — skipping');
@@ -32,14 +51,14 @@ export async function post(text) {
   try {
     const signer = getSigner();
     const fid = cfg.fid || 2788746;
-    const castText = text.slice(0, 320);
+    const castText = truncate(text, limitFor('farcaster'), { platform: 'farcaster' });
 
     // Build the cast message
     log(`Building cast (${castText.length} chars) for FID ${fid}...`);
     const castResult = await makeCastAdd(
       {
         text: castText,
-        embeds: [],
+        embeds: imageEmbeds(imageUrl),
         embedsDeprecated: [],
         mentions: [],
         mentionsPositions: [],
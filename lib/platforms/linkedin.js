@@ -1,9 +1,49 @@
 // LinkedIn — Post via API (free, needs OAuth2 token)
 import { config } from '../../config.js';
+import { fetchImage } from './media.js';
+import { truncate, limitFor } from '../text-length.js';
 
 function log(msg) { console.log(`[linkedin] ${msg}`); }
 
-export async function post(text) {
+// Register an image asset, upload the bytes, return the asset URN (null → text-only post)
+async function uploadImage(imageUrl, personUrn, token) {
+  const image = await fetchImage(imageUrl);
+  if (!image) return null;
+  try {
+    const reg = await fetch('https://api.linkedin.com/v2/assets?action=registerUpload', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+        'X-Restli-Protocol-Version': '2.0.0',
+      },
+      body: JSON.stringify({
+        registerUploadRequest: {
+          recipes: ['urn:li:digitalmediaRecipe:feedshare-image'],
+          owner: personUrn,
+          serviceRelationships: [{ relationshipType: 'OWNER', identifier: 'urn:li:userGeneratedContent' }],
+        },
+      }),
+    });
+    if (!reg.ok) throw new Error(`register HTTP ${reg.status} ${(await reg.text()).slice(0, 200)}`);
+    const { value } = await reg.json();
+    const uploadUrl = value.uploadMechanism['com.linkedin.digitalmedia.uploading.MediaUploadHttpRequest'].uploadUrl;
+
+    const up = await fetch(uploadUrl, {
+      method: 'PUT',
+      headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': image.mimeType },
+      body: image.bytes,
+    });
+    if (!up.ok) throw new Error(`upload HTTP ${up.status}`);
+    log(`Uploaded image asset ${value.asset}`);
+    return value.asset;
+  } catch (err) {
+    log(`Image upload failed, posting text only: ${err.message}`);
+    return null;
+  }
+}
+
+export async function post(text, imageUrl, altText) {
   const cfg = config.platforms.linkedin;
   if (!cfg.enabled) {
     log('LinkedIn not configured — generate-only mode');
@@ -16,6 +56,7 @@ export async function post(text) {
   });
   const profile = await profileRes.json();
   const personUrn = `urn:li:person:${profile.sub}`;
+  const asset = await uploadImage(imageUrl, personUrn, cfg.accessToken);
 
   const res = await fetch('https://api.linkedin.com/v2/ugcPosts', {
     method: 'POST',
@@ -29,8 +70,10 @@ export async function post(text) {
       lifecycleState: 'PUBLISHED',
       specificContent: {
         'com.linkedin.ugc.ShareContent': {
-          shareCommentary: { text: text.slice(0, 3000) },
-          shareMediaCategory: 'NONE',
+          shareCommentary: { text: truncate(text, limitFor('linkedin'), { platform: 'linkedin', boundary: 'sentence' }) },
+          shareMediaCategory: asset ? 'IMAGE' : 'NONE',
+          // ShareMedia.description is what LinkedIn exposes as the image's alternative text
+          ...(asset && { media: [{ status: 'READY', media: asset, description: { text: (altText || '').slice(0, 300) } }] }),
         },
       },
       visibility: { 'com.linkedin.ugc.MemberNetworkVisibility': 'PUBLIC' },
@@ -0,0 +1,54 @@
+// Media helpers shared by the platform adapters — fetch the generated visual once per post
+import { assetIdFromUrl, readAsset } from '../media-store.js';
+
+const IMAGE_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // Twitter's limit for images, the tightest of our networks
+
+function log(msg) { console.log(`[media] ${msg}`); }
+
+// → { bytes: Buffer, mimeType, extension } or null if the image can't be attached
+export async function fetchImage(url) {
+  if (!url) return null;
+  const id = assetIdFromUrl(url);
+  if (id) {
+    const local = localImage(url);
+    const problem = !local ? 'unsupported image type'
+      : local.bytes.length > MAX_IMAGE_BYTES ? `${local.bytes.length} bytes exceeds ${MAX_IMAGE_BYTES}` : null;
+    if (problem) log(`Image not attachable (${id}): ${problem}`);
+    return problem ? null : local;
+  }
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const mimeType = (res.headers.get('content-type') || '').split(';')[0].trim();
+    if (!IMAGE_TYPES[mimeType]) throw new Error(`unsupported type ${mimeType || 'unknown'}`);
+    const bytes = Buffer.from(await res.arrayBuffer());
+    if (bytes.length > MAX_IMAGE_BYTES) throw new Error(`${bytes.length} bytes exceeds ${MAX_IMAGE_BYTES}`);
+    return { bytes, mimeType, extension: IMAGE_TYPES[mimeType] };
+  } catch (err) {
+    log(`Image not attachable (${url.slice(0, 80)}): ${err.message}`);
+    return null;
+  }
+}
+
+// Archived asset bytes for a /media/<id> URL — uploads use these, never the expired source
+export function localImage(url) {
+  const id = assetIdFromUrl(url);
+  if (!id) return null;
+  const asset = readAsset(id);
+  if (!asset || !IMAGE_TYPES[asset.mimeType]) return null;
+  return { ...asset, filename: id };
+}
+
+// Can a remote service fetch this URL itself? (dashboard on localhost → no)
+export function isPubliclyReachable(url) {
+  try {
+    const { hostname } = new URL(url);
+    return !/^(localhost|127\.|10\.|192\.168\.|\[::1\])/.test(hostname);
+  } catch { return false; }
+}
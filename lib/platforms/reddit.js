@@ -1,5 +1,6 @@
 // Reddit — Post via OAuth2 API (free)
 import { config } from '../../config.js';
+import { truncate, limitFor } from '../text-length.js';
 
 function log(msg) { console.log(`[reddit] ${msg}`); }
 
@@ -43,8 +44,8 @@ export async function post({ subreddit, title, body }) {
   const params = new URLSearchParams({
     kind: 'self',
     sr: subreddit,
-    title: title.slice(0, 300),
-    text: body.slice(0, 40000),
+    title: truncate(title, limitFor('reddit', 'maxTitleChars'), { platform: 'reddit' }),
+    text: truncate(body, limitFor('reddit', 'maxBodyChars'), { platform: 'reddit', boundary: 'sentence' }),
     api_type: 'json',
   });
 
@@ -1,10 +1,19 @@
 // Telegram — Admin preview + Public channel posting
 import { config } from '../../config.js';
+import { localImage } from './media.js';
+import { truncate, limitFor, fits } from '../text-length.js';
+import { paragraph, bold, render, formatFor, TELEGRAM_PARSE_MODES } from '../rich-text.js';
 
 const API = `https://api.telegram.org/bot${config.platforms.telegram.botToken}`;
 
 function log(msg) { console.log(`[telegram] ${msg}`); }
 
+// Admin messages are built as rich text and rendered in the configured parse mode
+function formatted(doc) {
+  const format = formatFor('telegram');
+  return { text: render(doc, format), parse_mode: TELEGRAM_PARSE_MODES[format] };
+}
+
 // Send preview to admin for approval
 export async function sendPreview(contents) {
   if (!config.platforms.telegram.enabled) {
@@ -12,23 +21,22 @@ export async function sendPreview(contents) {
     return null;
   }
 
-  let message = `Community Agent — New Post Ready\n\n`;
-
+  const doc = [paragraph(bold('Community Agent — New Post Ready'))];
   for (const [platform, content] of Object.entries(contents)) {
-    const text = typeof content === 'string' ? content : (content.text || content.title || JSON.stringify(content));
-    // Strip markdown to avoid Telegram parse errors
-    const clean = text.replace(/[*_`\[\]]/g, '').slice(0, 500);
-    message += `--- ${platform.toUpperCase()} ---\n${clean}\n\n`;
+    const text = typeof content === 'string' ? content
+      : Array.isArray(content) ? content.join('\n\n')
+      : (content.text || content.title || JSON.stringify(content));
+    // Shown as it will be sent, escapes included
+    doc.push(paragraph(bold(`--- ${platform.toUpperCase()} ---`), `\n${truncate(text, 500)}`));
   }
-
-  message += `Reply /approve to post to all platforms\nReply /reject to discard`;
+  doc.push(paragraph('Reply /approve to post to all platforms\nReply /reject to discard'));
 
   const res = await fetch(`${API}/sendMessage`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
       chat_id: config.platforms.telegram.adminChatId,
-      text: message,
+      ...formatted(doc),
       disable_web_page_preview: true,
     }),
   });
@@ -39,46 +47,54 @@ export async function sendPreview(contents) {
   return data;
 }
 
+// sendPhoto by URL, or as a multipart upload when the image is in the local media store
+function sendPhoto(fields, imageUrl) {
+  const local = localImage(imageUrl);
+  if (!local) {
+    return fetch(`${API}/sendPhoto`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...fields, photo: imageUrl }),
+    });
+  }
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) form.append(k, String(v));
+  form.append('photo', new Blob([local.bytes], { type: local.mimeType }), local.filename);
+  return fetch(`${API}/sendPhoto`, { method: 'POST', body: form });
+}
+
 // Send image to admin
 export async function sendImage(imageUrl, caption) {
   if (!config.platforms.telegram.enabled || !imageUrl) return null;
 
-  const res = await fetch(`${API}/sendPhoto`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      chat_id: config.platforms.telegram.adminChatId,
-      photo: imageUrl,
-      caption: caption?.slice(0, 1024) || '',
-      parse_mode: 'Markdown',
-    }),
-  });
+  const res = await sendPhoto({
+    chat_id: config.platforms.telegram.adminChatId,
+    caption: truncate(caption || '', limitFor('telegram', 'maxCaptionChars'), { platform: 'telegram' }),
+  }, imageUrl);
   return res.json();
 }
 
-// Post to public channel
-export async function postToChannel(text, imageUrl) {
-  const channelId = config.platforms.telegram.channelId;
+// Post to a public channel (the configured one unless `channelId` is given).
+// `message` is an adapted { text, parseMode } or plain text; rendered text is never cut (that could split an escape), so a caption that
+// doesn't fit goes out as a bare photo followed by the message.
+export async function postToChannel(message, imageUrl, channelId = config.platforms.telegram.channelId) {
+  const { text, parseMode } = typeof message === 'string' ? { text: message } : message;
+  const parse = parseMode ? { parse_mode: parseMode } : {};
   if (!channelId) {
     log('No TELEGRAM_CHANNEL_ID configured — skipping channel post');
     return null;
   }
 
-  if (imageUrl) {
-    const res = await fetch(`${API}/sendPhoto`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: channelId,
-        photo: imageUrl,
-        caption: text.slice(0, 1024),
-        parse_mode: 'Markdown',
-      }),
-    });
+  if (imageUrl && fits(text, 'telegram', 'maxCaptionChars')) {
+    const res = await sendPhoto({ chat_id: channelId, caption: text, ...parse }, imageUrl);
     const data = await res.json();
     log(data.ok ? `Posted to channel ${channelId} (with image)` : `Channel post failed: ${JSON.stringify(data)}`);
     return data;
   }
+  if (imageUrl) {
+    const photo = await (await sendPhoto({ chat_id: channelId }, imageUrl)).json();
+    if (!photo.ok) log(`Channel image failed: ${JSON.stringify(photo)}`);
+  }
 
   const res = await fetch(`${API}/sendMessage`, {
     method: 'POST',
@@ -86,7 +102,7 @@ export async function postToChannel(text, imageUrl) {
     body: JSON.stringify({
       chat_id: channelId,
       text,
-      parse_mode: 'Markdown',
+      ...parse,
       disable_web_page_preview: false,
     }),
   });
@@ -153,20 +169,23 @@ export async function waitForApproval(timeoutMs = 300_000) {
 export async function sendReport(results) {
   if (!config.platforms.telegram.enabled) return;
 
-  let msg = `Community Agent Report\n\n`;
-  for (const [platform, result] of Object.entries(results)) {
-    const icon = result.success ? 'OK' : 'FAIL';
-    const message = (result.message || '').replace(/[*_`\[\]()~>#+=|{}.!-]/g, '');
-    msg += `${icon} ${platform}: ${message.slice(0, 100)}\n`;
-  }
-  msg += `\n${new Date().toISOString()}`;
+  const lines = Object.entries(results).map(([platform, result], i) => [
+    ...(i ? ['\n'] : []),
+    bold(`${result.success ? 'OK' : 'FAIL'} ${platform}`),
+    `: ${truncate(result.message || '', 100)}`,
+  ]);
+  const doc = [
+    paragraph(bold('Community Agent Report')),
+    paragraph(...lines.flat()),
+    paragraph(new Date().toISOString()),
+  ];
 
   await fetch(`${API}/sendMessage`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
       chat_id: config.platforms.telegram.adminChatId,
-      text: msg,
+      ...formatted(doc),
     }),
   });
 }
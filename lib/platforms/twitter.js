@@ -1,6 +1,10 @@
 // Twitter/X — Generate-only (manual post) OR auto-post if API keys configured
 import { config } from '../../config.js';
 import crypto from 'crypto';
+import fs from 'fs';
+import { join } from 'path';
+import { fetchImage } from './media.js';
+import { truncate, limitFor } from '../text-length.js';
 
 function log(msg) { console.log(`[twitter] ${msg}`); }
 
@@ -31,23 +35,81 @@ function buildAuthHeader(method, url, body, cfg) {
   return `OAuth ${header}`;
 }
 
-export async function post(text, imageUrl) {
-  const cfg = config.platforms.twitter;
+// ─── Thread log (data/twitter-threads.json) ──────────────────────
+// Every posted tweet ID is recorded per thread, so a retry continues the
+// reply chain where it stopped instead of posting the opening tweets again.
+// Completed threads are kept KEEP_COMPLETED_DAYS to turn away re-posts, then dropped.
+const THREADS_FILE = join(config.dataDir, 'twitter-threads.json');
+const KEEP_COMPLETED_DAYS = 30;
 
-  if (!cfg.enabled) {
-    log('Twitter API not configured — generate-only mode');
-    return {
-      success: false,
-      message: 'Generate-only (no API key)',
-      content: text,
-      imageUrl,
-      manualPost: true,
-    };
+// Unfinished threads, and those completed within KEEP_COMPLETED_DAYS
+function loadThreads() {
+  if (!fs.existsSync(THREADS_FILE)) return {};
+  let threads;
+  try { threads = JSON.parse(fs.readFileSync(THREADS_FILE, 'utf-8')); } catch (e) {
+    log(`Thread log unreadable, starting empty: ${e.message}`);
+    return {};
+  }
+  const since = Date.now() - KEEP_COMPLETED_DAYS * 86_400_000;
+  return Object.fromEntries(Object.entries(threads).filter(([, t]) => !t.completedAt || new Date(t.completedAt).getTime() >= since));
+}
+
+function saveThread(key, thread) {
+  const threads = loadThreads();
+  threads[key] = thread;
+  fs.mkdirSync(config.dataDir, { recursive: true });
+  fs.writeFileSync(THREADS_FILE, JSON.stringify(threads, null, 2), 'utf-8');
+}
+
+function threadKey(posts) {
+  return crypto.createHash('sha256').update(JSON.stringify(posts)).digest('hex').slice(0, 16);
+}
+
+// A single tweet, an ordered list of tweets, or { thread: [...] }
+function toPosts(content) {
+  if (Array.isArray(content)) return content;
+  if (content && typeof content === 'object') return content.thread || [content.text || ''];
+  return [content];
+}
+
+// v1.1 media upload (multipart body is not part of the OAuth signature), then alt text
+async function uploadMedia(imageUrl, altText, cfg) {
+  const image = await fetchImage(imageUrl);
+  if (!image) return null;
+  try {
+    const uploadUrl = 'https://upload.twitter.com/1.1/media/upload.json';
+    const form = new FormData();
+    form.append('media', new Blob([image.bytes], { type: image.mimeType }), `visual.${image.extension}`);
+    const res = await fetch(uploadUrl, {
+      method: 'POST',
+      headers: { 'Authorization': buildAuthHeader('POST', uploadUrl, {}, cfg) },
+      body: form,
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status} ${(await res.text()).slice(0, 200)}`);
+    const mediaId = (await res.json()).media_id_string;
+
+    if (altText) {
+      const metaUrl = 'https://upload.twitter.com/1.1/media/metadata/create.json';
+      const meta = await fetch(metaUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': buildAuthHeader('POST', metaUrl, {}, cfg) },
+        body: JSON.stringify({ media_id: mediaId, alt_text: { text: altText.slice(0, 1000) } }),
+      });
+      if (!meta.ok) log(`Alt text not set: HTTP ${meta.status}`);
+    }
+    log(`Uploaded media ${mediaId}`);
+    return mediaId;
+  } catch (err) {
+    log(`Media upload failed, posting without image: ${err.message}`);
+    return null;
   }
+}
 
-  // Auto-post via Twitter API v2
+async function sendTweet(text, replyTo, mediaIds, cfg) {
   const url = 'https://api.twitter.com/2/tweets';
-  const body = { text: text.slice(0, 280) };
+  const body = { text };
+  if (replyTo) body.reply = { in_reply_to_tweet_id: replyTo };
+  if (mediaIds?.length) body.media = { media_ids: mediaIds };
   const auth = buildAuthHeader('POST', url, {}, cfg);
 
   const res = await fetch(url, {
@@ -58,14 +120,80 @@ export async function post(text, imageUrl) {
     },
     body: JSON.stringify(body),
   });
+  if (!res.ok) throw new Error(`HTTP ${res.status} ${(await res.text()).slice(0, 200)}`);
+  const data = await res.json();
+  return data.data?.id;
+}
+
+// `imageUrl` / `altText`: one image, or a list of up to 4 (stat card + AI picture)
+export async function post(content, imageUrl, altText) {
+  const cfg = config.platforms.twitter;
+  const images = [].concat(imageUrl || []).slice(0, 4);
+  const alts = [].concat(altText || []);
+  const posts = toPosts(content).map(t => truncate(t, limitFor('twitter'), { platform: 'twitter', boundary: 'sentence' })).filter(Boolean);
+
+  if (!cfg.enabled) {
+    log('Twitter API not configured — generate-only mode');
+    return {
+      success: false,
+      message: 'Generate-only (no API key)',
+      content: posts.join('\n\n'),
+      thread: posts,
+      imageUrl: images[0] || null,
+      images,
+      manualPost: true,
+    };
+  }
+
+  // Auto-post via Twitter API v2 — each tweet replies to the previous one
+  const key = threadKey(posts);
+  const thread = loadThreads()[key] || { posts, tweetIds: [], startedAt: new Date().toISOString(), completedAt: null };
+  if (thread.completedAt) {
+    log(`Thread ${key} already posted on ${thread.completedAt} — not posting it again`);
+    return {
+      success: false,
+      duplicate: true,
+      message: `Already posted on ${thread.completedAt.slice(0, 10)}: ${thread.tweetIds[0]}`,
+      tweetId: thread.tweetIds[0],
+      tweetIds: thread.tweetIds,
+    };
+  }
+  if (thread.tweetIds.length > 0) {
+    log(`Resuming thread ${key} at tweet ${thread.tweetIds.length + 1}/${posts.length}`);
+  }
+
+  // The visuals go on the opening tweet only
+  const mediaIds = [];
+  if (thread.tweetIds.length === 0) {
+    for (const [i, url] of images.entries()) {
+      const id = await uploadMedia(url, alts[i], cfg);
+      if (id) mediaIds.push(id);
+    }
+  }
 
-  if (res.ok) {
-    const data = await res.json();
-    log(`Posted tweet: ${data.data?.id}`);
-    return { success: true, message: `Tweet posted: ${data.data?.id}`, tweetId: data.data?.id };
+  for (let i = thread.tweetIds.length; i < posts.length; i++) {
+    try {
+      const id = await sendTweet(posts[i], thread.tweetIds[i - 1], i === 0 ? mediaIds : null, cfg);
+      thread.tweetIds.push(id);
+      saveThread(key, thread);
+      log(`Posted tweet ${i + 1}/${posts.length}: ${id}`);
+    } catch (err) {
+      log(`Twitter post failed at ${i + 1}/${posts.length}: ${err.message}`);
+      return {
+        success: false,
+        message: `Tweet ${i + 1}/${posts.length} failed: ${err.message}`,
+        // 403 "duplicate content" — retrying the same text can only fail again
+        duplicate: /\b403\b/.test(err.message) && /duplicate/i.test(err.message),
+        tweetIds: thread.tweetIds,
+        content: posts.slice(i).join('\n\n'),
+        manualPost: true,
+      };
+    }
   }
 
-  const err = await res.text();
-  log(`Twitter post failed: ${res.status} ${err}`);
-  return { success: false, message: `HTTP ${res.status}`, content: text, manualPost: true };
+  thread.completedAt = new Date().toISOString();
+  saveThread(key, thread);
+  const [first] = thread.tweetIds;
+  const message = posts.length > 1 ? `Thread posted: ${first} (${posts.length} tweets)` : `Tweet posted: ${first}`;
+  return { success: true, message, tweetId: first, tweetIds: thread.tweetIds };
 }
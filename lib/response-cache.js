@@ -0,0 +1,106 @@
+// Response cache — content-addressed store of paid x402 responses, so identical
+// requests (re-previews, Studio regenerations, retried runs) aren't paid twice
+import fs from 'fs';
+import { join } from 'path';
+import { config } from '../config.js';
+
+const CACHE_FILE = join(config.dataDir, 'response-cache.json');
+
+let store = null; // { entries: { [key]: entry }, stats: { hits, misses, savedUsdc } }
+const session = { hits: 0, savedUsdc: 0 };
+
+function log(msg) { console.log(`[cache] ${msg}`); }
+
+function load() {
+  if (store) return store;
+  store = { entries: {}, stats: { hits: 0, misses: 0, savedUsdc: 0 } };
+  if (fs.existsSync(CACHE_FILE)) {
+    try { store = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf-8')); } catch (e) {
+      log(`Cache unreadable, starting empty: ${e.message}`);
+    }
+  }
+  return store;
+}
+
+function save() {
+  try {
+    fs.mkdirSync(config.dataDir, { recursive: true });
+    fs.writeFileSync(CACHE_FILE, JSON.stringify(store), 'utf-8');
+  } catch (e) { log(`Failed to save cache: ${e.message}`); }
+}
+
+function ttlFor(url) {
+  let path;
+  try { path = new URL(url).pathname; } catch { path = url.split('?')[0]; }
+  const ttl = config.cache.ttlSeconds[path];
+  return (ttl ?? config.cache.defaultTtlSeconds) * 1000;
+}
+
+function totalBytes() {
+  return Object.values(load().entries).reduce((sum, e) => sum + e.size, 0);
+}
+
+// Drop expired entries, then least recently used ones until under the size limit
+function evict() {
+  const now = Date.now();
+  const entries = load().entries;
+  for (const [key, e] of Object.entries(entries)) {
+    if (e.expiresAt <= now) delete entries[key];
+  }
+  let bytes = totalBytes();
+  const byAge = Object.entries(entries).sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+  while (bytes > config.cache.maxBytes && byAge.length > 0) {
+    const [key, e] = byAge.shift();
+    delete entries[key];
+    bytes -= e.size;
+  }
+}
+
+export function get(key) {
+  if (!config.cache.enabled) return null;
+  const s = load();
+  const entry = s.entries[key];
+  if (!entry || entry.expiresAt <= Date.now()) {
+    s.stats.misses++;
+    return null;
+  }
+  entry.lastUsedAt = Date.now();
+  entry.hits = (entry.hits || 0) + 1;
+  s.stats.hits++;
+  s.stats.savedUsdc += entry.cost;
+  session.hits++;
+  session.savedUsdc += entry.cost;
+  save();
+  log(`Hit for ${entry.url} — saved ${entry.cost} USDC`);
+  return entry.response;
+}
+
+export function set(key, url, response, cost) {
+  if (!config.cache.enabled) return;
+  const ttl = ttlFor(url);
+  if (ttl <= 0) return;
+  const size = Buffer.byteLength(JSON.stringify(response));
+  if (size > config.cache.maxBytes) return;
+  const now = Date.now();
+  load().entries[key] = { url, response, cost, size, storedAt: now, lastUsedAt: now, expiresAt: now + ttl, hits: 0 };
+  evict();
+  save();
+}
+
+export function getCacheStats() {
+  const s = load();
+  return {
+    entries: Object.keys(s.entries).length,
+    bytes: totalBytes(),
+    hits: s.stats.hits,
+    misses: s.stats.misses,
+    savedUsdc: s.stats.savedUsdc,
+    sessionHits: session.hits,
+    sessionSavedUsdc: session.savedUsdc,
+  };
+}
+
+export function clear() {
+  load().entries = {};
+  save();
+}
@@ -0,0 +1,171 @@
+// Rich text — one neutral structure for post content, rendered per platform.
+// A document is a list of blocks; blocks hold inline nodes (plain strings or marks):
+//   { type: 'paragraph' | 'heading', content: [inline…] }
+//   { type: 'list', items: [[inline…], …] }
+//   { type: 'code', text } | { type: 'rule' }
+//   inline: 'text' | { type: 'bold' | 'code', text } | { type: 'link', text, url }
+// Strings are raw text: every renderer escapes them for its own syntax.
+import { config } from '../config.js';
+import { measure, truncate } from './text-length.js';
+
+// ─── Builders ─────────────────────────────────────────────────────────
+
+export const paragraph = (...content) => ({ type: 'paragraph', content });
+export const heading = (...content) => ({ type: 'heading', content });
+export const list = (...items) => ({ type: 'list', items: items.map(i => (Array.isArray(i) ? i : [i])) });
+export const codeBlock = text => ({ type: 'code', text });
+export const rule = () => ({ type: 'rule' });
+export const bold = text => ({ type: 'bold', text });
+export const code = text => ({ type: 'code', text });
+export const link = (text, url) => ({ type: 'link', text, url });
+
+export function isDocument(value) {
+  return Array.isArray(value) && value.every(b => b && typeof b === 'object' && typeof b.type === 'string');
+}
+
+// Plain (generated) text → one paragraph per blank-line-separated chunk; documents pass through
+export function toDocument(value) {
+  if (isDocument(value)) return value;
+  return String(value ?? '').split(/\n\s*\n/).map(s => s.trim()).filter(Boolean).map(s => paragraph(s));
+}
+
+// ─── Escaping ─────────────────────────────────────────────────────────
+
+// Every character Telegram reserves in MarkdownV2 text, and the subsets for code and link URLs
+const escapeMarkdownV2 = s => s.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+const escapeMarkdownV2Code = s => s.replace(/[`\\]/g, '\\$&');
+const escapeMarkdownV2Url = s => s.replace(/[)\\]/g, '\\$&');
+
+const escapeHtml = s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// CommonMark-style: inline markers anywhere, block markers only where a line starts
+function markdownEscaper(inline) {
+  return s => s
+    .replace(inline, '\\$&')
+    .replace(/^(\s*)([#>+-]|\d+\.)(?=\s)/gm, (_, sp, mark) => `${sp}${mark.replace(/[#>+\-.]/, '\\$&')}`);
+}
+const escapeDiscord = markdownEscaper(/[\\*_~`|[\]]/g);
+const escapeReddit = markdownEscaper(/[\\*_~`^[\]]/g);
+const escapeCommonMark = markdownEscaper(/[\\*_`[\]<>]/g);
+
+// ─── Renderers ────────────────────────────────────────────────────────
+
+const markdown = (escape, { headingPrefix = '## ', listBullet = '- ', ruleLine = '---' } = {}) => ({
+  text: escape,
+  bold: t => `**${escape(t)}**`,
+  code: t => `\`${t.replace(/`/g, "'")}\``,
+  link: (t, url) => `[${escape(t)}](${url.replace(/[()\s]/g, encodeURIComponent)})`,
+  heading: inner => headingPrefix ? `${headingPrefix}${inner}` : `**${inner}**`,
+  boldHeadings: !headingPrefix,
+  bullet: listBullet,
+  codeBlock: t => `\`\`\`\n${t.replace(/```/g, "'''")}\n\`\`\``,
+  rule: ruleLine,
+});
+
+const plain = {
+  text: t => t,
+  bold: t => t,
+  code: t => t,
+  link: (t, url) => (!t || t === url ? url : `${t} (${url})`),
+  heading: inner => inner,
+  bullet: '• ',
+  codeBlock: t => t,
+  rule: '———',
+};
+
+const FORMATS = {
+  'telegram-markdownv2': {
+    text: escapeMarkdownV2,
+    bold: t => `*${escapeMarkdownV2(t)}*`,
+    code: t => `\`${escapeMarkdownV2Code(t)}\``,
+    link: (t, url) => `[${escapeMarkdownV2(t)}](${escapeMarkdownV2Url(url)})`,
+    heading: inner => `*${inner}*`,
+    boldHeadings: true,
+    bullet: '• ',
+    codeBlock: t => `\`\`\`\n${escapeMarkdownV2Code(t)}\n\`\`\``,
+    rule: '———',
+  },
+  'telegram-html': {
+    text: escapeHtml,
+    bold: t => `<b>${escapeHtml(t)}</b>`,
+    code: t => `<code>${escapeHtml(t)}</code>`,
+    link: (t, url) => `<a href="${escapeHtml(url)}">${escapeHtml(t)}</a>`,
+    heading: inner => `<b>${inner}</b>`,
+    boldHeadings: true,
+    bullet: '• ',
+    codeBlock: t => `<pre>${escapeHtml(t)}</pre>`,
+    rule: '———',
+  },
+  // Discord has headings, but not inside embeds — bold reads the same everywhere
+  discord: markdown(escapeDiscord, { headingPrefix: '', ruleLine: '———' }),
+  reddit: markdown(escapeReddit),
+  markdown: markdown(escapeCommonMark),
+  plain,
+};
+
+// Telegram's parse_mode for each Telegram format
+export const TELEGRAM_PARSE_MODES = { 'telegram-markdownv2': 'MarkdownV2', 'telegram-html': 'HTML' };
+
+function renderInline(nodes, f) {
+  return nodes.map(n => {
+    if (typeof n === 'string') return f.text(n);
+    if (n.type === 'bold') return f.bold(n.text);
+    if (n.type === 'code') return f.code(n.text);
+    if (n.type === 'link') return f.link(n.text ?? n.url, n.url);
+    return f.text(String(n.text ?? ''));
+  }).join('');
+}
+
+export function render(doc, format) {
+  const f = FORMATS[format];
+  if (!f) throw new Error(`Unknown rich-text format "${format}". Available: ${Object.keys(FORMATS).join(', ')}`);
+  return toDocument(doc).map(block => {
+    // Headings rendered as bold can't nest bold marks
+    if (block.type === 'heading') return f.heading(renderInline(block.content, f.boldHeadings ? { ...f, bold: f.text } : f));
+    if (block.type === 'list') return block.items.map(i => f.bullet + renderInline(i, f)).join('\n');
+    if (block.type === 'code') return f.codeBlock(block.text);
+    if (block.type === 'rule') return f.rule;
+    return renderInline(block.content || [], f);
+  }).join('\n\n');
+}
+
+export function toPlainText(doc) {
+  return render(doc, 'plain');
+}
+
+// Which format each network gets
+export function formatFor(platform) {
+  if (platform === 'telegram') return config.platforms.telegram.parseMode === 'HTML' ? 'telegram-html' : 'telegram-markdownv2';
+  return { discord: 'discord', reddit: 'reddit', devto: 'markdown' }[platform] || 'plain';
+}
+
+export function renderFor(platform, doc) {
+  return render(doc, formatFor(platform));
+}
+
+// ─── Fitting ──────────────────────────────────────────────────────────
+
+// Shorten `body` until head + body + foot renders within `max` (platform units).
+// Cuts happen in the raw text, before escaping, so no escape or entity is ever split.
+export function fitDocument({ head = [], body, foot = [] }, platform, max) {
+  const blocks = toDocument(body).map(b => structuredClone(b));
+  const size = () => measure(renderFor(platform, [...head, ...blocks, ...foot]), platform);
+  let over = size() - max;
+  while (over > 0 && blocks.length) {
+    const last = blocks[blocks.length - 1];
+    const inline = last.type === 'list' ? last.items[last.items.length - 1] : last.content;
+    const i = inline ? inline.findLastIndex(n => typeof n === 'string') : -1;
+    const current = i >= 0 ? inline[i] : '';
+    // Escapes make rendered text longer than raw text; cut the raw overflow (at least 1) and re-measure
+    const shorter = current.length > over + 1 ? truncate(current, measure(current, platform) - over, { platform, boundary: 'sentence' }) : '';
+    if (i >= 0 && shorter) {
+      inline[i] = shorter;
+    } else if (last.type === 'list' && last.items.length > 1) {
+      last.items.pop();
+    } else {
+      blocks.pop();
+    }
+    over = size() - max;
+  }
+  return [...head, ...blocks, ...foot];
+}
@@ -0,0 +1,201 @@
+// Wallet signers — where the agent's key lives and how payments get signed
+//   env      — raw AGENT_PRIVATE_KEY (legacy)
+//   keystore — encrypted Ethereum V3 keystore, unlocked with a passphrase held in memory only
+//   remote   — HTTP signing daemon (see signer-daemon.js); the key never enters this process
+import fs from 'fs';
+import { dirname } from 'path';
+import crypto from 'crypto';
+import readline from 'readline';
+import { keccak256 } from 'viem';
+import { privateKeyToAccount, toAccount } from 'viem/accounts';
+import { config } from '../config.js';
+
+const SIGNER_TYPES = ['env', 'keystore', 'remote'];
+
+let active = null; // viem Account
+let passphrase = process.env.AGENT_KEYSTORE_PASSPHRASE || null;
+
+function log(msg) { console.log(`[signer] ${msg}`); }
+
+function isConfigured() {
+  switch (config.signer.type) {
+    case 'keystore': return fs.existsSync(config.signer.keystorePath);
+    case 'remote': return !!config.signer.remoteUrl;
+    default: return !!process.env.AGENT_PRIVATE_KEY;
+  }
+}
+
+// Can the agent pay right now? A locked keystore counts as no wallet
+export function hasWallet() {
+  if (!isConfigured()) return false;
+  return config.signer.type !== 'keystore' || !!(active || passphrase);
+}
+
+export function getSignerStatus() {
+  return {
+    type: config.signer.type,
+    configured: isConfigured(),
+    unlocked: hasWallet(),
+    address: active?.address || null,
+    remoteUrl: config.signer.type === 'remote' ? config.signer.remoteUrl : undefined,
+  };
+}
+
+export function setSigner({ type, remoteUrl }) {
+  if (!SIGNER_TYPES.includes(type)) throw new Error(`Unknown signer "${type}". Available: ${SIGNER_TYPES.join(', ')}`);
+  if (type === config.signer.type && (remoteUrl ?? config.signer.remoteUrl) === config.signer.remoteUrl) return;
+  config.signer.type = type;
+  if (remoteUrl !== undefined) config.signer.remoteUrl = remoteUrl;
+  active = null;
+  log(`Active signer: ${type}`);
+}
+
+// The account that signs payments — throws if the signer is missing or locked
+export async function getAccount() {
+  if (active) return active;
+  switch (config.signer.type) {
+    case 'keystore': {
+      if (!fs.existsSync(config.signer.keystorePath)) throw new Error(`No keystore at ${config.signer.keystorePath}`);
+      if (!passphrase) throw new Error('Keystore locked — set AGENT_KEYSTORE_PASSPHRASE or unlock it from the dashboard');
+      const json = JSON.parse(fs.readFileSync(config.signer.keystorePath, 'utf-8'));
+      active = privateKeyToAccount(decryptKeystore(json, passphrase));
+      break;
+    }
+    case 'remote':
+      if (!config.signer.remoteUrl) throw new Error('AGENT_SIGNER_URL not set');
+      active = await remoteAccount();
+      break;
+    default: {
+      const key = process.env.AGENT_PRIVATE_KEY;
+      if (!key) throw new Error('AGENT_PRIVATE_KEY not set');
+      active = privateKeyToAccount(key.startsWith('0x') ? key : `0x${key}`);
+    }
+  }
+  log(`${config.signer.type} signer ready: ${active.address}`);
+  return active;
+}
+
+export async function unlockKeystore(secret) {
+  passphrase = secret;
+  active = null;
+  try { return await getAccount(); } catch (err) {
+    passphrase = null;
+    throw err;
+  }
+}
+
+export function lockSigner() {
+  if (config.signer.type === 'keystore') passphrase = null;
+  active = null;
+}
+
+// Ask for the keystore passphrase on the terminal (agent.js startup)
+export async function promptPassphrase(question = 'Keystore passphrase: ') {
+  if (!process.stdin.isTTY) return null;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  rl._writeToOutput = (s) => { if (s.startsWith(question)) rl.output.write(s); };
+  const answer = await new Promise(resolve => rl.question(question, resolve));
+  rl.close();
+  process.stdout.write('\n');
+  return answer;
+}
+
+// Encrypt a raw key into the keystore file; the plain key is never written anywhere.
+// An existing keystore (maybe the only copy of a funded key) is only replaced with
+// `overwrite`, and then copied to <path>.<timestamp>.bak first.
+export function importKey(privateKey, secret, { path = config.signer.keystorePath, overwrite = false } = {}) {
+  if (fs.existsSync(path)) {
+    if (!overwrite) throw new Error(`A keystore already exists at ${path} — overwrite it explicitly to replace it`);
+    const backup = `${path}.${new Date().toISOString().replace(/[:.]/g, '-')}.bak`;
+    fs.writeFileSync(backup, fs.readFileSync(path), { mode: 0o600, flag: 'wx' });
+    log(`Previous keystore backed up to ${backup}`);
+  }
+  const pk = privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
+  const json = encryptKeystore(pk, secret);
+  fs.mkdirSync(dirname(path), { recursive: true });
+  fs.writeFileSync(path, JSON.stringify(json, null, 2), { encoding: 'utf-8', mode: 0o600 });
+  log(`Keystore written for 0x${json.address}`);
+  return `0x${json.address}`;
+}
+
+// ─── Ethereum V3 keystore (scrypt or pbkdf2 + aes-128-ctr) ────────────
+function deriveKey(secret, kdf, params) {
+  const salt = Buffer.from(params.salt, 'hex');
+  if (kdf === 'scrypt') {
+    const { n, r, p, dklen } = params;
+    return crypto.scryptSync(secret, salt, dklen, { N: n, r, p, maxmem: 256 * n * r });
+  }
+  if (kdf === 'pbkdf2') {
+    if (params.prf !== 'hmac-sha256') throw new Error(`Unsupported pbkdf2 prf: ${params.prf}`);
+    return crypto.pbkdf2Sync(secret, salt, params.c, params.dklen, 'sha256');
+  }
+  throw new Error(`Unsupported keystore kdf: ${kdf}`);
+}
+
+function keystoreMac(derived, ciphertext) {
+  return keccak256(Buffer.concat([derived.subarray(16, 32), ciphertext])).slice(2);
+}
+
+export function encryptKeystore(privateKey, secret) {
+  const kdfparams = { dklen: 32, n: 262144, r: 8, p: 1, salt: crypto.randomBytes(32).toString('hex') };
+  const derived = deriveKey(secret, 'scrypt', kdfparams);
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-128-ctr', derived.subarray(0, 16), iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(privateKey.slice(2), 'hex')), cipher.final()]);
+  return {
+    version: 3,
+    id: crypto.randomUUID(),
+    address: privateKeyToAccount(privateKey).address.slice(2).toLowerCase(),
+    crypto: {
+      ciphertext: ciphertext.toString('hex'),
+      cipherparams: { iv: iv.toString('hex') },
+      cipher: 'aes-128-ctr',
+      kdf: 'scrypt',
+      kdfparams,
+      mac: keystoreMac(derived, ciphertext),
+    },
+  };
+}
+
+export function decryptKeystore(json, secret) {
+  const c = json.crypto || json.Crypto;
+  if (json.version !== 3 || !c) throw new Error('Not a V3 keystore');
+  if (c.cipher !== 'aes-128-ctr') throw new Error(`Unsupported keystore cipher: ${c.cipher}`);
+  const derived = deriveKey(secret, c.kdf, c.kdfparams);
+  const ciphertext = Buffer.from(c.ciphertext, 'hex');
+  if (keystoreMac(derived, ciphertext) !== c.mac.toLowerCase()) throw new Error('Wrong keystore passphrase');
+  const decipher = crypto.createDecipheriv('aes-128-ctr', derived.subarray(0, 16), Buffer.from(c.cipherparams.iv, 'hex'));
+  return `0x${Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('hex')}`;
+}
+
+// ─── Remote signer (HTTP JSON; bigints travel as { __bigint: "123" }) ──
+export function toWire(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? { __bigint: v.toString() } : v));
+}
+
+export function fromWire(text) {
+  return JSON.parse(text, (_, v) => (v && typeof v === 'object' && typeof v.__bigint === 'string' ? BigInt(v.__bigint) : v));
+}
+
+async function signerRequest(method, path, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.signer.remoteToken) headers.Authorization = `Bearer ${config.signer.remoteToken}`;
+  const res = await fetch(`${config.signer.remoteUrl}${path}`, {
+    method,
+    headers,
+    body: body ? toWire(body) : undefined,
+  });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Remote signer ${path}: HTTP ${res.status} ${text.slice(0, 200)}`);
+  return fromWire(text);
+}
+
+async function remoteAccount() {
+  const { address } = await signerRequest('GET', '/address');
+  return toAccount({
+    address,
+    signMessage: async ({ message }) => (await signerRequest('POST', '/sign-message', { message })).signature,
+    signTransaction: async (transaction) => (await signerRequest('POST', '/sign-transaction', { transaction })).signedTransaction,
+    signTypedData: async (typedData) => (await signerRequest('POST', '/sign-typed-data', { typedData })).signature,
+  });
+}
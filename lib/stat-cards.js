@@ -0,0 +1,204 @@
+// Stat cards — branded images drawn from fetchStats() and the stats history, at
+// each network's aspect ratio (config.cards.formats). Four panels: the API count,
+// an uptime gauge, a 24h-calls sparkline and a top-endpoints bar chart.
+// Rendered locally (lib/card-render.js) and kept in the media store: no paid call.
+// Every word on a card comes from CARD_LABELS, which strategies translate with their
+// other texts to render one set of cards per language.
+import { config } from '../config.js';
+import { toSvg, toPng, textWidth, fitText } from './card-render.js';
+import { storeImage } from './media-store.js';
+import { series, weekOverWeek } from './stats-history.js';
+
+function log(msg) { console.log(`[stat-cards] ${msg}`); }
+
+const formatCount = v => Number(v || 0).toLocaleString('en-US');
+// The Bazaar has reported top endpoints with `count` and with `calls`
+const callsOf = t => Number(t.count ?? t.calls) || 0;
+
+// 1234567 → "1.2M", for the numbers that must fit a panel
+function compact(v) {
+  const x = Number(v || 0);
+  if (x >= 1e6) return `${(x / 1e6).toFixed(x >= 1e7 ? 0 : 1)}M`;
+  if (x >= 1e5) return `${Math.round(x / 1e3)}K`;
+  return formatCount(x);
+}
+
+// English labels, drawn on the cards and used in their alt text
+export const CARD_LABELS = {
+  apisLive: 'APIs live',
+  thisWeek: 'this week',
+  tagline: 'Pay-per-call in USDC',
+  uptime: 'Uptime',
+  calls24h: 'Calls / 24h',
+  callsLast24h: 'calls in the last 24h',
+  trendPending: 'Trend builds up day by day',
+  trendChart: 'trend chart',
+  days: 'days',
+  topEndpoints: 'Top endpoints',
+  noCalls: 'No calls recorded yet',
+  statCard: 'stat card',
+};
+
+// ─── Panels ───────────────────────────────────────────────────────────
+
+function panelFrame(shapes, { x, y, w, h }, label, radius) {
+  const { panel, muted } = config.cards.theme;
+  shapes.push({ type: 'rect', x, y, w, h, r: radius, fill: panel });
+  const pad = h * 0.1;
+  shapes.push({ type: 'text', x: x + pad, y: y + pad + h * 0.07, text: label, size: h * 0.07, fill: muted });
+  return pad;
+}
+
+function apiCountPanel(shapes, box, data, radius) {
+  const { accent, good, muted } = config.cards.theme;
+  const pad = panelFrame(shapes, box, data.labels.apisLive, radius);
+  const size = Math.min(box.h * 0.4, (box.w - 2 * pad) / 4.5);
+  shapes.push({ type: 'text', x: box.x + pad, y: box.y + box.h * 0.64, text: compact(data.totalServices), size, fill: accent });
+  const added = data.week?.deltas.totalServices?.change;
+  shapes.push({
+    type: 'text', x: box.x + pad, y: box.y + box.h - pad, size: box.h * 0.07,
+    text: added ? `${added > 0 ? '+' : ''}${added} ${data.labels.thisWeek}` : data.labels.tagline,
+    fill: added > 0 ? good : muted,
+  });
+}
+
+// Half-ring from left to right; the arc's share is the uptime percentage
+function uptimePanel(shapes, box, data, radius) {
+  const { track, text, good, accent, bad } = config.cards.theme;
+  panelFrame(shapes, box, data.labels.uptime, radius);
+  const uptime = Math.max(0, Math.min(100, Number(data.uptimePercent) || 0));
+  const r = Math.min(box.w * 0.3, box.h * 0.48);
+  const width = r * 0.2;
+  const cx = box.x + box.w / 2;
+  const cy = box.y + box.h * 0.86;
+  shapes.push({ type: 'arc', cx, cy, r, width, from: 180, to: 360, stroke: track });
+  if (uptime > 0) {
+    shapes.push({ type: 'arc', cx, cy, r, width, from: 180, to: 180 + 1.8 * uptime, stroke: uptime >= 99 ? good : uptime >= 95 ? accent : bad });
+  }
+  shapes.push({ type: 'text', x: cx, y: cy - r * 0.15, text: `${uptime}%`, size: r * 0.3, fill: text, anchor: 'middle' });
+}
+
+function callsPanel(shapes, box, data, radius) {
+  const { accent, text, muted } = config.cards.theme;
+  const pad = panelFrame(shapes, box, data.labels.calls24h, radius);
+  shapes.push({ type: 'text', x: box.x + box.w - pad, y: box.y + pad + box.h * 0.14, text: formatCount(data.recentCalls24h), size: box.h * 0.14, fill: text, anchor: 'end' });
+
+  const area = { x: box.x + pad, y: box.y + box.h * 0.42, w: box.w - 2 * pad, h: box.h * 0.58 - pad };
+  const values = data.calls.map(p => p.value);
+  if (values.length < 2) {
+    shapes.push({ type: 'line', points: [[area.x, area.y + area.h * 0.6], [area.x + area.w, area.y + area.h * 0.6]], width: box.h * 0.012, stroke: muted });
+    shapes.push({ type: 'text', x: area.x, y: area.y + area.h * 0.35, text: data.labels.trendPending, size: box.h * 0.055, fill: muted });
+    return;
+  }
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const points = values.map((v, i) => [area.x + (i / (values.length - 1)) * area.w, area.y + area.h - ((v - min) / range) * area.h]);
+  shapes.push({ type: 'polygon', points: [[area.x, area.y + area.h], ...points, [area.x + area.w, area.y + area.h]], fill: accent, opacity: 0.15 });
+  shapes.push({ type: 'line', points, width: box.h * 0.018, stroke: accent });
+  const [lx, ly] = points[points.length - 1];
+  const dot = box.h * 0.035;
+  shapes.push({ type: 'rect', x: lx - dot, y: ly - dot, w: dot * 2, h: dot * 2, r: dot, fill: accent });
+  shapes.push({ type: 'text', x: area.x, y: box.y + box.h - pad * 0.35, text: `${values.length} ${data.labels.days}`, size: box.h * 0.045, fill: muted });
+}
+
+function topEndpointsPanel(shapes, box, data, radius) {
+  const { accent, track, text, muted } = config.cards.theme;
+  const pad = panelFrame(shapes, box, data.labels.topEndpoints, radius);
+  const tops = (data.topEndpoints || []).filter(t => t.endpoint).slice(0, 4);
+  if (!tops.length) {
+    shapes.push({ type: 'text', x: box.x + pad, y: box.y + box.h * 0.6, text: data.labels.noCalls, size: box.h * 0.06, fill: muted });
+    return;
+  }
+  const top = box.y + box.h * 0.3;
+  const rowH = (box.h * 0.7 - pad) / 4;
+  const size = Math.min(rowH * 0.38, box.h * 0.06);
+  const max = Math.max(...tops.map(callsOf)) || 1;
+  const labelW = (box.w - 2 * pad) * 0.42;
+  const countW = textWidth('000,000', size);
+  const barX = box.x + pad + labelW + size;
+  const barW = box.x + box.w - pad - countW - size - barX;
+
+  tops.forEach((t, i) => {
+    const mid = top + rowH * (i + 0.5);
+    shapes.push({ type: 'text', x: box.x + pad, y: mid + size / 2, text: fitText(t.endpoint, size, labelW), size, fill: text });
+    shapes.push({ type: 'rect', x: barX, y: mid - rowH * 0.22, w: barW, h: rowH * 0.44, r: rowH * 0.1, fill: track });
+    shapes.push({ type: 'rect', x: barX, y: mid - rowH * 0.22, w: Math.max(rowH * 0.2, (barW * callsOf(t)) / max), h: rowH * 0.44, r: rowH * 0.1, fill: accent });
+    shapes.push({ type: 'text', x: box.x + box.w - pad, y: mid + size / 2, text: compact(callsOf(t)), size, fill: muted, anchor: 'end' });
+  });
+}
+
+// ─── Card ─────────────────────────────────────────────────────────────
+
+function cardShapes(data, width, height) {
+  const { background, accent, muted } = config.cards.theme;
+  const margin = Math.round(height * 0.06);
+  const gap = margin * 0.5;
+  const radius = margin * 0.3;
+  const headSize = height * 0.045;
+  const footSize = height * 0.026;
+  const host = config.projectUrl.replace(/^https?:\/\//, '').replace(/\/$/, '');
+
+  const shapes = [
+    { type: 'rect', x: 0, y: 0, w: width, h: height, fill: background },
+    { type: 'rect', x: 0, y: 0, w: width, h: Math.max(4, height * 0.008), fill: accent },
+    { type: 'text', x: margin, y: margin + headSize, text: config.projectName, size: headSize, fill: accent },
+    { type: 'text', x: width - margin, y: margin + headSize, text: fitText(data.title, headSize * 0.6, width / 2), size: headSize * 0.6, fill: muted, anchor: 'end' },
+    { type: 'text', x: margin, y: height - margin * 0.6, text: host, size: footSize, fill: muted },
+    { type: 'text', x: width - margin, y: height - margin * 0.6, text: data.date, size: footSize, fill: muted, anchor: 'end' },
+  ];
+
+  const top = margin + headSize + margin * 0.6;
+  const bottom = height - margin * 0.6 - footSize - margin * 0.5;
+  const w = (width - 2 * margin - gap) / 2;
+  const h = (bottom - top - gap) / 2;
+  const cell = (col, row) => ({ x: margin + col * (w + gap), y: top + row * (h + gap), w, h });
+  apiCountPanel(shapes, cell(0, 0), data, radius);
+  uptimePanel(shapes, cell(1, 0), data, radius);
+  callsPanel(shapes, cell(0, 1), data, radius);
+  topEndpointsPanel(shapes, cell(1, 1), data, radius);
+  return shapes;
+}
+
+// Describes the card for alt text: same numbers, in words
+function altText(data) {
+  const { labels } = data;
+  const added = data.week?.deltas.totalServices?.change;
+  const tops = (data.topEndpoints || []).slice(0, 4).map(t => `${t.endpoint} (${formatCount(callsOf(t))})`);
+  return [
+    `${config.projectName} ${labels.statCard}: ${formatCount(data.totalServices)} ${labels.apisLive}${added ? ` (${added > 0 ? '+' : ''}${added} ${labels.thisWeek})` : ''}`,
+    `${data.uptimePercent}% ${labels.uptime.toLowerCase()}`,
+    `${formatCount(data.recentCalls24h)} ${labels.callsLast24h}${data.calls.length > 1 ? ` (${labels.trendChart}, ${data.calls.length} ${labels.days})` : ''}`,
+    tops.length ? `${labels.topEndpoints.toLowerCase()}: ${tops.join(', ')}` : null,
+  ].filter(Boolean).join(', ');
+}
+
+// Render the cards for `platforms` (one per distinct size) and store them.
+// `labels`: CARD_LABELS, translated or not (missing ones stay in English).
+// → { cards: { [platform | 'default']: url }, svgUrl, alt }
+export function renderStatCards(stats, { title = 'Platform stats', platforms = [], labels = {} } = {}) {
+  const data = {
+    ...stats,
+    title,
+    labels: { ...CARD_LABELS, ...labels },
+    date: new Date().toISOString().slice(0, 10),
+    calls: series('recentCalls24h', { days: config.cards.sparklineDays }),
+    week: (w => (w?.complete ? w : null))(weekOverWeek()),
+  };
+  const { formats } = config.cards;
+  const rendered = new Map(); // "1200x675" → url
+  const cards = {};
+  let svgUrl = null;
+
+  for (const platform of ['default', ...platforms.filter(p => formats[p])]) {
+    const [width, height] = formats[platform] || formats.default;
+    const size = `${width}x${height}`;
+    if (!rendered.has(size)) {
+      const shapes = cardShapes(data, width, height);
+      rendered.set(size, storeImage(toPng(shapes, width, height), 'image/png', { kind: 'stat-card' }).url);
+      if (platform === 'default') svgUrl = storeImage(Buffer.from(toSvg(shapes, width, height)), 'image/svg+xml', { kind: 'stat-card' }).url;
+    }
+    cards[platform] = rendered.get(size);
+  }
+  log(`Rendered ${rendered.size} card size(s): ${[...rendered.keys()].join(', ')}`);
+  return { cards, svgUrl, alt: altText(data) };
+}
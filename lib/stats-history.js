@@ -0,0 +1,127 @@
+// Stats history — every live fetchStats() result is kept as a timestamped
+// snapshot in data/stats-history.json, so strategies can talk about a week
+// instead of the last 24h. Snapshots closer than minIntervalMinutes replace each
+// other; past the detailed window only the last snapshot of each day is kept.
+import fs from 'fs';
+import { join } from 'path';
+import { config } from '../config.js';
+
+const HISTORY_FILE = join(config.dataDir, 'stats-history.json');
+const DAY = 86_400_000;
+// fetchStats() fields worth a time series
+export const METRICS = ['totalServices', 'totalCalls', 'totalPayments', 'uptimePercent', 'recentCalls24h', 'integrations'];
+
+function log(msg) { console.log(`[stats-history] ${msg}`); }
+
+export function loadSnapshots() {
+  try { return JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf-8')); } catch { return []; }
+}
+
+function saveSnapshots(snapshots) {
+  fs.mkdirSync(config.dataDir, { recursive: true });
+  fs.writeFileSync(HISTORY_FILE, JSON.stringify(snapshots), 'utf-8');
+}
+
+// Detailed snapshots for `detailedDays`, then one per day up to `retentionDays`
+function prune(snapshots, now) {
+  const { detailedDays, retentionDays } = config.statsHistory;
+  const lastOfDay = new Map();
+  for (const s of snapshots) {
+    const age = now - new Date(s.at).getTime();
+    if (age > retentionDays * DAY) continue;
+    lastOfDay.set(age > detailedDays * DAY ? s.at.slice(0, 10) : s.at, s);
+  }
+  return [...lastOfDay.values()];
+}
+
+// ─── Recording ────────────────────────────────────────────────────────
+
+// `services`: endpoint list from the catalog when known, for "new services" by name
+export function recordSnapshot(stats, { services, at = new Date() } = {}) {
+  try {
+    const snapshot = { at: at.toISOString() };
+    for (const m of METRICS) if (typeof stats[m] === 'number') snapshot[m] = stats[m];
+    if (services?.length) snapshot.services = [...services].sort();
+
+    let snapshots = loadSnapshots();
+    const last = snapshots[snapshots.length - 1];
+    if (last && at - new Date(last.at) < config.statsHistory.minIntervalMinutes * 60_000) {
+      snapshots[snapshots.length - 1] = { ...(last.services && !snapshot.services ? { services: last.services } : {}), ...snapshot };
+    } else {
+      snapshots.push(snapshot);
+    }
+    snapshots = prune(snapshots, at.getTime());
+    saveSnapshots(snapshots);
+  } catch (e) { log(`Failed to record snapshot: ${e.message}`); }
+}
+
+// ─── Queries ──────────────────────────────────────────────────────────
+
+// Latest snapshot taken at or before `date` (null if history starts later)
+export function snapshotAt(date, snapshots = loadSnapshots()) {
+  const t = new Date(date).getTime();
+  let found = null;
+  for (const s of snapshots) if (new Date(s.at).getTime() <= t) found = s;
+  return found;
+}
+
+// Daily series for a metric: the last value of each day, oldest first → [{ date, value }]
+export function series(metric, { days = 30, now = new Date() } = {}) {
+  const since = now.getTime() - days * DAY;
+  const byDay = new Map();
+  for (const s of loadSnapshots()) {
+    if (new Date(s.at).getTime() < since || typeof s[metric] !== 'number') continue;
+    byDay.set(s.at.slice(0, 10), s[metric]);
+  }
+  return [...byDay].map(([date, value]) => ({ date, value }));
+}
+
+function delta(from, to) {
+  if (typeof from !== 'number' || typeof to !== 'number') return null;
+  const change = Math.round((to - from) * 100) / 100;
+  return { from, to, change, growthPercent: from ? Math.round((change / from) * 1000) / 10 : null };
+}
+
+// Calls over the period: the cumulative counter's increase when the Bazaar reports
+// one, otherwise the sum of the daily 24h counts
+function callsBetween(start, end, snapshots) {
+  if (typeof start?.totalCalls === 'number' && typeof end?.totalCalls === 'number' && end.totalCalls >= start.totalCalls) {
+    return end.totalCalls - start.totalCalls;
+  }
+  const daily = new Map();
+  const [from, to] = [new Date(start?.at || 0).getTime(), new Date(end.at).getTime()];
+  for (const s of snapshots) {
+    const t = new Date(s.at).getTime();
+    if (t > from && t <= to && typeof s.recentCalls24h === 'number') daily.set(s.at.slice(0, 10), s.recentCalls24h);
+  }
+  return [...daily.values()].reduce((sum, n) => sum + n, 0);
+}
+
+// Week over week: the latest snapshot against the one from `days` days before.
+// → { since, until, complete, deltas: { [metric]: { from, to, change, growthPercent } },
+//     calls7d, newServices: { count, names } } — null without history
+export function weekOverWeek({ now = new Date(), days = 7 } = {}) {
+  const snapshots = loadSnapshots();
+  const current = snapshotAt(now, snapshots);
+  if (!current) return null;
+  // No snapshot that old yet: compare with the oldest one and say so
+  const previous = snapshotAt(new Date(now.getTime() - days * DAY), snapshots) || snapshots[0];
+  const complete = now.getTime() - new Date(previous.at).getTime() >= (days - 0.5) * DAY;
+
+  const deltas = {};
+  for (const m of METRICS) {
+    const d = delta(previous[m], current[m]);
+    if (d) deltas[m] = d;
+  }
+  const names = current.services && previous.services
+    ? current.services.filter(s => !previous.services.includes(s))
+    : [];
+  return {
+    since: previous.at,
+    until: current.at,
+    complete,
+    deltas,
+    calls7d: callsBetween(previous === current ? null : previous, current, snapshots),
+    newServices: { count: Math.max(0, deltas.totalServices?.change || 0, names.length), names },
+  };
+}
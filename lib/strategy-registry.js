@@ -0,0 +1,172 @@
+// Strategy registry — every module in strategies/, plus config.strategies.pluginDir
+// for strategies kept outside the repo, is imported once and checked against the
+// contract before it can run:
+//   name         lowercase slug, unique — what --strategy, the API and schedules use
+//   description  one line, for lists and dropdowns
+//   options      execute()'s options: { [key]: { type, description, default, required, enum } }
+//   execute      async (options, ctx) → { contents, stats, template, … }; ctx.exclude lists
+//                templates a duplicate-avoiding rerun must not pick again (lib/dedupe.js)
+//   paidCalls    optional, declared x402 calls for estimates
+// Strategies are looked up by name, never imported from a path given by a caller.
+// Modules that break the contract are reported (--list-strategies, /api/strategies)
+// and cannot be run.
+import fs from 'fs';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { config } from '../config.js';
+
+const BUILTIN_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'strategies');
+const NAME = /^[a-z0-9][a-z0-9-]*$/;
+export const OPTION_TYPES = ['string', 'number', 'boolean'];
+
+let registry = null; // { strategies: Map<name, { module, source, file }>, invalid: [{ file, source, errors }] }
+
+function log(msg) { console.log(`[strategies] ${msg}`); }
+
+// ─── Contract ─────────────────────────────────────────────────────────
+
+function validateOptions(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) return ['options must be an object (use {} for none)'];
+  const errors = [];
+  for (const [key, spec] of Object.entries(options)) {
+    if (!spec || typeof spec !== 'object') { errors.push(`option "${key}" must be an object`); continue; }
+    if (!OPTION_TYPES.includes(spec.type)) errors.push(`option "${key}" has type ${JSON.stringify(spec.type)} (expected ${OPTION_TYPES.join(', ')})`);
+    if (spec.description !== undefined && typeof spec.description !== 'string') errors.push(`option "${key}" description must be a string`);
+    if (spec.default !== undefined && OPTION_TYPES.includes(spec.type) && typeof spec.default !== spec.type) {
+      errors.push(`option "${key}" default must be a ${spec.type}`);
+    }
+    if (spec.required !== undefined && typeof spec.required !== 'boolean') errors.push(`option "${key}" required must be a boolean`);
+    if (spec.enum !== undefined && (!Array.isArray(spec.enum) || !spec.enum.length || spec.enum.some(v => typeof v !== spec.type))) {
+      errors.push(`option "${key}" enum must be a non-empty list of ${spec.type} values`);
+    }
+  }
+  return errors;
+}
+
+function validate(mod) {
+  const errors = [];
+  if (typeof mod.name !== 'string' || !NAME.test(mod.name)) errors.push('name must be a lowercase slug (a-z, 0-9, -)');
+  if (typeof mod.description !== 'string' || !mod.description.trim()) errors.push('description must be a non-empty string');
+  if (typeof mod.execute !== 'function') errors.push('execute must be a function');
+  if (!('options' in mod)) errors.push('options schema missing (export const options = {})');
+  else errors.push(...validateOptions(mod.options));
+  if (mod.paidCalls !== undefined && typeof mod.paidCalls !== 'function') errors.push('paidCalls must be a function');
+  return errors;
+}
+
+// ─── Options ──────────────────────────────────────────────────────────
+
+const TRUE = ['true', '1', 'yes', 'on'];
+const FALSE = ['false', '0', 'no', 'off'];
+
+// CLI flags and form fields arrive as strings: coerce them to the declared type
+function coerce(value, type) {
+  if (typeof value === type) return value;
+  if (typeof value !== 'string') return undefined;
+  const v = value.trim();
+  if (type === 'string') return value;
+  if (type === 'number') return v !== '' && Number.isFinite(Number(v)) ? Number(v) : undefined;
+  if (TRUE.includes(v.toLowerCase())) return true;
+  if (FALSE.includes(v.toLowerCase())) return false;
+  return undefined;
+}
+
+// Check `input` against the strategy's schema → the options execute() gets, defaults
+// filled in. Throws one error listing every problem (unknown key, wrong type, missing).
+export function resolveOptions(mod, input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error(`Invalid options for ${mod.name}: expected an object`);
+  const schema = mod.options || {};
+  const errors = [];
+  const options = {};
+  for (const key of Object.keys(input)) {
+    if (!schema[key]) errors.push(`unknown option "${key}"${Object.keys(schema).length ? ` (accepted: ${Object.keys(schema).join(', ')})` : ' (this strategy takes none)'}`);
+  }
+  for (const [key, spec] of Object.entries(schema)) {
+    const raw = input[key];
+    // An empty form field counts as not given
+    if (raw === undefined || raw === null || raw === '') {
+      if (spec.required) errors.push(`"${key}" is required`);
+      else if (spec.default !== undefined) options[key] = spec.default;
+      continue;
+    }
+    const value = coerce(raw, spec.type);
+    if (value === undefined) errors.push(`"${key}" must be a ${spec.type} (got ${JSON.stringify(raw)})`);
+    else if (spec.enum && !spec.enum.includes(value)) errors.push(`"${key}" must be one of ${spec.enum.join(', ')}`);
+    else if (spec.required && spec.type === 'string' && !value.trim()) errors.push(`"${key}" is required`);
+    else options[key] = value;
+  }
+  if (errors.length) throw new Error(`Invalid options for ${mod.name}: ${errors.join('; ')}`);
+  return options;
+}
+
+// ─── Discovery ────────────────────────────────────────────────────────
+
+function sources() {
+  const dirs = [{ dir: BUILTIN_DIR, source: 'builtin' }];
+  if (config.strategies.pluginDir) dirs.push({ dir: resolve(config.strategies.pluginDir), source: 'plugin' });
+  return dirs;
+}
+
+async function scan() {
+  const strategies = new Map();
+  const invalid = [];
+  for (const { dir, source } of sources()) {
+    if (!fs.existsSync(dir)) {
+      if (source === 'plugin') log(`Plugin directory ${dir} not found`);
+      continue;
+    }
+    const files = fs.readdirSync(dir).filter(f => /\.m?js$/.test(f)).sort();
+    for (const f of files) {
+      const file = join(dir, f);
+      let mod;
+      try {
+        mod = await import(pathToFileURL(file).href);
+      } catch (e) {
+        invalid.push({ file, source, errors: [`import failed: ${e.message}`] });
+        continue;
+      }
+      const errors = validate(mod);
+      // Built-ins are scanned first: a plugin can't take over an existing name
+      if (!errors.length && strategies.has(mod.name)) errors.push(`name "${mod.name}" already used by ${strategies.get(mod.name).file}`);
+      if (errors.length) {
+        invalid.push({ file, source, errors });
+        log(`Ignoring ${file}: ${errors.join('; ')}`);
+        continue;
+      }
+      strategies.set(mod.name, { module: mod, source, file });
+    }
+  }
+  return { strategies, invalid };
+}
+
+// Scanned once per process; `reload` picks up new files (already imported ones are cached by Node)
+export async function loadStrategies({ reload = false } = {}) {
+  if (!registry || reload) registry = await scan();
+  return registry;
+}
+
+export async function hasStrategy(name) {
+  return (await loadStrategies()).strategies.has(name);
+}
+
+export async function getStrategy(name) {
+  const { strategies } = await loadStrategies();
+  const entry = strategies.get(name);
+  if (!entry) throw new Error(`Unknown strategy: ${name}. Available: ${[...strategies.keys()].join(', ')}`);
+  return entry.module;
+}
+
+// → { strategies: [{ name, description, options, visuals, source }], invalid: [{ file, source, errors }] }
+export async function listStrategies() {
+  const { strategies, invalid } = await loadStrategies();
+  return {
+    strategies: [...strategies.values()].map(({ module: m, source }) => ({
+      name: m.name,
+      description: m.description,
+      options: m.options,
+      visuals: m.visuals || null,
+      source,
+    })),
+    invalid,
+  };
+}
@@ -0,0 +1,259 @@
+// Post templates — user-editable text for each strategy, with {{placeholders}}
+// for fetchStats() fields, per-platform variants and rotation without recent repeats.
+// A template set (templates/<strategy>.json, overridden by data/templates/<strategy>.json):
+//   {
+//     "rotation": { "mode": "sequential" | "random", "avoidRecent": 3 },
+//     "variables": ["apiName"],            // strategy options the templates may use
+//     "templates": [{
+//       "id": "launch",
+//       "text": "…{{totalServices}} APIs…", // the post (and the AI's fallback)
+//       "prompt": "Rewrite: {{text}}",       // optional: AI rewrite via /api/summarize
+//       "maxLength": 400,
+//       "platforms": {                       // optional variants; {{content}} = main post
+//         "twitter": "New: {{content}}",
+//         "devto": { "text": "…", "prompt": "…" }
+//       },
+//       "enabled": true
+//     }]
+//   }
+import fs from 'fs';
+import { join } from 'path';
+import { config } from '../config.js';
+import { generateText } from './content-gen.js';
+import { weekOverWeek } from './stats-history.js';
+
+const HISTORY_FILE = join(config.dataDir, 'template-history.json');
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g; // {{name}} or {{name|fallback}}
+const PLATFORMS = Object.keys(config.limits);
+const BUILTIN_VARIABLES = ['projectName', 'projectUrl', 'date', 'weekday', 'topApis', 'week', 'content', 'text', ...Object.keys(config.projectFacts)];
+// fetchStats() fields available to every template
+const STAT_FIELDS = ['totalServices', 'totalCalls', 'totalPayments', 'uptimePercent', 'recentCalls24h', 'topEndpoints', 'monitoring', 'integrations', 'tests'];
+
+function log(msg) { console.log(`[templates] ${msg}`); }
+
+function readJson(path) {
+  return JSON.parse(fs.readFileSync(path, 'utf-8'));
+}
+
+function loadHistory() {
+  try { return readJson(HISTORY_FILE); } catch { return {}; }
+}
+
+function saveHistory(history) {
+  fs.mkdirSync(config.dataDir, { recursive: true });
+  fs.writeFileSync(HISTORY_FILE, JSON.stringify(history, null, 2), 'utf-8');
+}
+
+function checkName(strategy) {
+  if (!/^[a-z0-9-]+$/.test(strategy || '')) throw new Error(`Invalid strategy name "${strategy}"`);
+}
+
+// ─── Loading & Saving ─────────────────────────────────────────────────
+
+// → { strategy, source: 'custom' | 'default', rotation, variables, templates }
+export function loadTemplateSet(strategy) {
+  checkName(strategy);
+  const custom = join(config.templates.overrideDir, `${strategy}.json`);
+  const builtin = join(config.templates.dir, `${strategy}.json`);
+  const source = fs.existsSync(custom) ? 'custom' : fs.existsSync(builtin) ? 'default' : null;
+  if (!source) throw new Error(`No templates for strategy "${strategy}"`);
+
+  const set = readJson(source === 'custom' ? custom : builtin);
+  const errors = validateTemplateSet(set);
+  if (errors.length) throw new Error(`Invalid templates for "${strategy}" (${source}): ${errors.join('; ')}`);
+  return { strategy, source, ...set };
+}
+
+export function listTemplateSets() {
+  const names = new Set();
+  for (const dir of [config.templates.dir, config.templates.overrideDir]) {
+    if (!fs.existsSync(dir)) continue;
+    for (const f of fs.readdirSync(dir)) if (f.endsWith('.json')) names.add(f.slice(0, -5));
+  }
+  return [...names].sort().map(strategy => {
+    try { return loadTemplateSet(strategy); } catch (e) { return { strategy, error: e.message }; }
+  });
+}
+
+export function saveTemplateSet(strategy, set) {
+  checkName(strategy);
+  const errors = validateTemplateSet(set);
+  if (errors.length) throw new Error(errors.join('; '));
+  const { rotation, variables, templates } = set;
+  fs.mkdirSync(config.templates.overrideDir, { recursive: true });
+  fs.writeFileSync(join(config.templates.overrideDir, `${strategy}.json`), JSON.stringify({ rotation, variables, templates }, null, 2), 'utf-8');
+  log(`Saved custom templates for ${strategy} (${templates.length})`);
+}
+
+// Drop the dashboard's copy and go back to templates/<strategy>.json
+export function resetTemplateSet(strategy) {
+  checkName(strategy);
+  const custom = join(config.templates.overrideDir, `${strategy}.json`);
+  if (fs.existsSync(custom)) fs.unlinkSync(custom);
+}
+
+// → list of problems (empty when the set is usable)
+export function validateTemplateSet(set) {
+  const errors = [];
+  if (!set || typeof set !== 'object') return ['template set must be an object'];
+  const { rotation = {}, variables = [], templates } = set;
+  if (rotation.mode && !['sequential', 'random'].includes(rotation.mode)) errors.push(`rotation.mode must be "sequential" or "random"`);
+  if (rotation.avoidRecent !== undefined && !(Number.isInteger(rotation.avoidRecent) && rotation.avoidRecent >= 0)) {
+    errors.push('rotation.avoidRecent must be a non-negative integer');
+  }
+  if (!Array.isArray(variables) || variables.some(v => typeof v !== 'string')) errors.push('variables must be a list of names');
+  if (!Array.isArray(templates) || templates.length === 0) return [...errors, 'templates must be a non-empty list'];
+
+  const known = new Set([...BUILTIN_VARIABLES, ...(Array.isArray(variables) ? variables : [])]);
+  const isKnown = name => known.has(name.split('.')[0]) || STAT_FIELDS.includes(name.split('.')[0]);
+  const ids = new Set();
+  templates.forEach((t, i) => {
+    const where = `templates[${i}]${t?.id ? ` (${t.id})` : ''}`;
+    if (!t || typeof t !== 'object') return errors.push(`${where} must be an object`);
+    if (!/^[\w-]+$/.test(t.id || '')) errors.push(`${where}: id is required (letters, digits, - or _)`);
+    else if (ids.has(t.id)) errors.push(`${where}: duplicate id`);
+    ids.add(t.id);
+    if (typeof t.text !== 'string' || !t.text.trim()) errors.push(`${where}: text is required`);
+    if (t.prompt !== undefined && typeof t.prompt !== 'string') errors.push(`${where}: prompt must be text`);
+
+    const strings = [t.text, t.prompt];
+    for (const [platform, variant] of Object.entries(t.platforms || {})) {
+      if (!PLATFORMS.includes(platform)) errors.push(`${where}: unknown platform "${platform}"`);
+      const v = typeof variant === 'string' ? { text: variant } : variant;
+      if (typeof v?.text !== 'string') errors.push(`${where}: platforms.${platform} needs text`);
+      strings.push(v?.text, v?.prompt);
+    }
+    for (const s of strings.filter(s => typeof s === 'string')) {
+      for (const [, name] of s.matchAll(PLACEHOLDER)) {
+        if (!isKnown(name)) errors.push(`${where}: unknown placeholder {{${name}}}`);
+      }
+    }
+  });
+  return errors;
+}
+
+// ─── Placeholders ─────────────────────────────────────────────────────
+
+// {{week.*}}: the last 7 days from the stats history (lib/stats-history.js).
+// Fields stay empty until a full week is recorded, so templates fall back.
+function weekVars() {
+  const week = weekOverWeek();
+  if (!week?.complete) return {};
+  const { totalServices, totalCalls, uptimePercent } = week.deltas;
+  const signed = n => `${n > 0 ? '+' : ''}${n}`;
+  const highlights = [
+    totalServices?.change ? `${signed(totalServices.change)} APIs${totalServices.growthPercent ? ` (${signed(totalServices.growthPercent)}%)` : ''}` : '',
+    week.calls7d ? `${week.calls7d.toLocaleString('en-US')} calls in 7 days` : '',
+    uptimePercent?.change ? `uptime ${signed(uptimePercent.change)} pts` : '',
+  ].filter(Boolean);
+  return {
+    calls7d: week.calls7d,
+    callsGrowth: totalCalls?.growthPercent,
+    newServices: week.newServices.count,
+    newServiceNames: week.newServices.names.join(', '),
+    servicesGrowth: totalServices?.growthPercent,
+    uptimeChange: uptimePercent?.change,
+    highlights: highlights.join(', '),
+  };
+}
+
+// Values for {{placeholders}}: the stats, a few conveniences, and strategy options
+export function templateVars(stats, extra = {}) {
+  const now = new Date();
+  return {
+    ...stats,
+    ...config.projectFacts,
+    topApis: (stats.topEndpoints || []).slice(0, 5).map(e => e.name || e.endpoint).join(', '),
+    week: weekVars(),
+    projectName: config.projectName,
+    projectUrl: config.projectUrl,
+    date: now.toISOString().slice(0, 10),
+    weekday: now.toLocaleDateString('en-US', { weekday: 'long' }),
+    ...extra,
+  };
+}
+
+// Replace {{name}} / {{a.b}}; missing or empty values render the fallback, if any
+export function fill(template, vars) {
+  return (template || '').replace(PLACEHOLDER, (_, name, fallback = '') => {
+    const value = name.split('.').reduce((v, k) => (v == null ? undefined : v[k]), vars);
+    if (value == null || value === '' || (Array.isArray(value) && !value.length)) return fallback;
+    if (Array.isArray(value)) return value.map(v => (typeof v === 'object' ? v.name || v.endpoint || JSON.stringify(v) : v)).join(', ');
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+// ─── Rotation ─────────────────────────────────────────────────────────
+
+// Next template for a strategy, skipping the last `avoidRecent` published and those in
+// `exclude` (already tried by this run). Picking records nothing — previews, estimates and
+// posts that never go out leave the rotation alone; recordTemplateUse() does, on publish.
+export function pickTemplate(strategy, { exclude = [] } = {}) {
+  const set = loadTemplateSet(strategy);
+  const enabled = set.templates.filter(t => t.enabled !== false);
+  if (!enabled.length) throw new Error(`All templates for "${strategy}" are disabled`);
+
+  const used = loadHistory()[strategy] || [];
+  const avoid = Math.min(set.rotation?.avoidRecent ?? 3, enabled.length - 1);
+  const recent = avoid > 0 ? used.slice(-avoid).map(h => h.id) : [];
+  // Templates tried this run go first; then recent ones, as long as something is left
+  const untried = enabled.filter(t => !exclude.includes(t.id));
+  const fresh = (untried.length ? untried : enabled).filter(t => !recent.includes(t.id));
+  const pool = fresh.length ? fresh : untried.length ? untried : enabled;
+
+  let template;
+  if (set.rotation?.mode === 'random') {
+    template = pool[Math.floor(Math.random() * pool.length)];
+  } else {
+    // Sequential: the first eligible template after the last one used, in file order
+    const last = enabled.findIndex(t => t.id === used[used.length - 1]?.id);
+    template = [...enabled.slice(last + 1), ...enabled.slice(0, last + 1)].find(t => pool.includes(t));
+  }
+
+  log(`${strategy}: template "${template.id}"${recent.length ? ` (recent: ${recent.join(', ')})` : ''}`);
+  return template;
+}
+
+// Once a post from `template` went out somewhere (`results` as for recordPublished),
+// the rotation moves past it
+export function recordTemplateUse(strategy, template, results) {
+  if (!strategy || !template || !Object.values(results).some(r => r?.success)) return;
+  const history = loadHistory();
+  history[strategy] = [...(history[strategy] || []), { id: template, at: new Date().toISOString() }].slice(-config.templates.recentHistory);
+  saveHistory(history);
+}
+
+export function recentTemplates(strategy) {
+  return loadHistory()[strategy] || [];
+}
+
+// ─── Composition ──────────────────────────────────────────────────────
+
+// Fill a template: the main post (AI-rewritten when it has a prompt, the filled
+// text being the fallback) and its platform variants, which can embed {{content}}.
+// `generate: false` skips the AI entirely (live previews).
+// → { content, platforms: { [platform]: text } }
+export async function composeFromTemplate(template, vars, { generate = true } = {}) {
+  const rewrite = async (spec, local, v) => (generate && spec.prompt
+    ? generateText(fill(spec.prompt, { ...v, text: local }), spec.maxLength || template.maxLength || 500, local)
+    : local);
+
+  const text = fill(template.text, vars);
+  const content = await rewrite(template, text, vars);
+  const platforms = {};
+  for (const [platform, variant] of Object.entries(template.platforms || {})) {
+    const spec = typeof variant === 'string' ? { text: variant } : variant;
+    const withContent = { ...vars, content };
+    platforms[platform] = await rewrite(spec, fill(spec.text, withContent), withContent);
+  }
+  return { content, platforms };
+}
+
+// Most AI rewrites any template of the strategy can trigger (for cost estimates)
+export function promptCount(strategy) {
+  try {
+    const { templates } = loadTemplateSet(strategy);
+    return Math.max(0, ...templates.map(t => (t.prompt ? 1 : 0) +
+      Object.values(t.platforms || {}).filter(v => typeof v === 'object' && v.prompt).length));
+  } catch { return 0; }
+}
@@ -0,0 +1,111 @@
+// Text measurement — counts text the way each network does and truncates on
+// grapheme, word or sentence boundaries. Limits and counting units live in config.limits.
+//   twitter    — weighted code points (twitter-text v3): Latin & common punctuation 1,
+//                everything else (CJK, most emoji…) 2; every URL counts as 23
+//   utf8       — UTF-8 bytes (Farcaster casts)
+//   utf16      — UTF-16 code units, i.e. JS .length (Telegram, Discord, LinkedIn)
+//   codepoints — Unicode code points (Reddit, Dev.to, HN titles)
+import { config } from '../config.js';
+
+const TWITTER_URL_LENGTH = 23;
+// twitter-text v3 ranges that weigh 1; everything else weighs 2
+const TWITTER_LIGHT_RANGES = [[0x0000, 0x10FF], [0x2000, 0x200D], [0x2010, 0x201F], [0x2032, 0x2037]];
+// Explicit links and bare domains, which Twitter also turns into t.co links
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"]+|\b(?:[a-z0-9-]+\.)+(?:com|org|net|io|ai|dev|app|xyz|co|gg|me|to|so|sh)\b(?:\/[^\s<>"]*)?/gi;
+const EMOJI = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+const ELLIPSIS = '…';
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+const sentences = new Intl.Segmenter('en', { granularity: 'sentence' });
+
+function twitterGraphemeWeight(g) {
+  if (EMOJI.test(g)) return 2; // an emoji sequence counts once, however many code points
+  let weight = 0;
+  for (const ch of g) {
+    const cp = ch.codePointAt(0);
+    weight += TWITTER_LIGHT_RANGES.some(([lo, hi]) => cp >= lo && cp <= hi) ? 1 : 2;
+  }
+  return weight;
+}
+
+const UNIT_WEIGHT = {
+  twitter: twitterGraphemeWeight,
+  utf8: g => Buffer.byteLength(g, 'utf-8'),
+  utf16: g => g.length,
+  codepoints: g => [...g].length,
+};
+
+function unitFor(platform) {
+  return config.limits[platform]?.counting || 'utf16';
+}
+
+// Split text into atoms that are never cut: URLs whole, everything else per grapheme
+function tokenize(text, unit) {
+  const weigh = UNIT_WEIGHT[unit];
+  const tokens = [];
+  let last = 0;
+  const pushGraphemes = s => {
+    for (const { segment } of graphemes.segment(s)) tokens.push({ text: segment, weight: weigh(segment) });
+  };
+  for (const m of text.matchAll(URL_PATTERN)) {
+    const url = m[0].replace(/[.,;:!?)\]]+$/, ''); // trailing punctuation isn't part of the link
+    pushGraphemes(text.slice(last, m.index));
+    tokens.push({ text: url, weight: unit === 'twitter' ? TWITTER_URL_LENGTH : [...url].reduce((n, g) => n + weigh(g), 0), url: true });
+    last = m.index + url.length;
+  }
+  pushGraphemes(text.slice(last));
+  return tokens;
+}
+
+// Length of `text` as the platform counts it
+export function measure(text, platform) {
+  const unit = unitFor(platform);
+  const input = unit === 'twitter' ? text.normalize('NFC') : text;
+  return tokenize(input, unit).reduce((n, t) => n + t.weight, 0);
+}
+
+// Configured limit for a platform field (maxChars, maxTitleChars, maxCaptionChars…)
+export function limitFor(platform, field = 'maxChars') {
+  return config.limits[platform]?.[field];
+}
+
+export function fits(text, platform, field = 'maxChars') {
+  return measure(text, platform) <= limitFor(platform, field);
+}
+
+// Cut `text` to at most `max` (platform units), preferring the last sentence end,
+// then the last word break, then any grapheme. Sentence cuts need no ellipsis.
+//   boundary — 'sentence' | 'word' | 'grapheme' (the finest boundary allowed)
+export function truncate(text, max, { platform, boundary = 'word', ellipsis = ELLIPSIS } = {}) {
+  if (measure(text, platform) <= max) return text;
+  const unit = unitFor(platform);
+  const tokens = tokenize(unit === 'twitter' ? text.normalize('NFC') : text, unit);
+  const budget = max - measure(ellipsis, platform);
+  if (budget <= 0) return '';
+
+  // Longest token prefix within budget, with its offset in the text
+  let used = 0;
+  let cut = 0;
+  for (const t of tokens) {
+    if (used + t.weight > budget) break;
+    used += t.weight;
+    cut += t.text.length;
+  }
+  const head = tokens.map(t => t.text).join('').slice(0, cut);
+  // Don't fall back so far that most of the budget is wasted
+  const minKeep = Math.floor(cut * 0.5);
+
+  if (boundary === 'sentence') {
+    let end = 0;
+    for (const { segment, index } of sentences.segment(head)) {
+      const stop = index + segment.trimEnd().length;
+      if (/[.!?。！？]$/.test(segment.trimEnd()) && stop <= cut) end = stop;
+    }
+    if (end >= minKeep && end > 0) return head.slice(0, end);
+  }
+  if (boundary === 'sentence' || boundary === 'word') {
+    const space = head.search(/\s\S*$/);
+    if (space >= minKeep && space > 0) return head.slice(0, space).replace(/[\s,;:–—-]+$/, '') + ellipsis;
+  }
+  return head.trimEnd() + ellipsis;
+}
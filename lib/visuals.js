@@ -0,0 +1,101 @@
+// Post visuals — each strategy picks stat cards (rendered locally, free), an AI
+// picture from /api/image (paid), or both. Overridable in config.visuals.
+// With both, networks that take one image get the card, and Twitter and
+// Farcaster get the card plus the picture.
+// Cards carry words: strategies translate cardTexts() with their other texts and
+// call localizeCards() per language, so each language posts its own cards.
+import { config } from '../config.js';
+import { generateImage } from './content-gen.js';
+import { renderStatCards, CARD_LABELS } from './stat-cards.js';
+import { assetIdFromUrl, assetUrl } from './media-store.js';
+import { parseContentKey } from './languages.js';
+
+export const VISUAL_MODES = ['cards', 'ai', 'both', 'none'];
+const MULTI_IMAGE = new Set(['twitter', 'farcaster']);
+// What a run's cards were drawn from, to draw them again in another language
+const cardSources = new WeakMap(); // visuals → { stats, platforms, labels }
+
+function log(msg) { console.log(`[visuals] ${msg}`); }
+
+// `preferred`: the strategy's own choice
+export function visualMode(strategy, preferred = 'cards') {
+  const mode = config.visuals.strategies[strategy] || config.visuals.mode || preferred;
+  return VISUAL_MODES.includes(mode) ? mode : preferred;
+}
+
+const wantsCards = mode => mode === 'cards' || mode === 'both';
+const wantsAi = mode => (mode === 'ai' || mode === 'both') && config.generateImages;
+
+// Paid calls the visuals add to a run, for estimates
+export function visualCalls(strategy, preferred) {
+  return wantsAi(visualMode(strategy, preferred)) ? [{ endpoint: '/api/image', count: 1 }] : [];
+}
+
+// → { imageUrl, imageAlt, visuals: { mode, cards, cardAlt, svgUrl, aiUrl, aiAlt, localized } }
+// `localized`: { [language]: { cards, cardAlt, svgUrl } }, filled by localizeCards()
+// imageUrl/imageAlt is the main visual (card first), for previews and single-image uses.
+export async function createVisuals(strategy, { stats, preferred, title, prompt, aiAlt }) {
+  const mode = visualMode(strategy, preferred);
+  const visuals = { mode, cards: {}, cardAlt: null, svgUrl: null, aiUrl: null, aiAlt: null, localized: {} };
+
+  if (wantsCards(mode)) {
+    try {
+      const platforms = Object.keys(config.cards.formats);
+      const { cards, svgUrl, alt } = renderStatCards(stats, { title, platforms });
+      Object.assign(visuals, { cards, svgUrl, cardAlt: alt });
+      cardSources.set(visuals, { stats, platforms, labels: { ...CARD_LABELS, title } });
+    } catch (e) { log(`Stat cards failed: ${e.message}`); }
+  }
+  if (wantsAi(mode) && prompt) {
+    visuals.aiUrl = await generateImage(prompt);
+    if (visuals.aiUrl) visuals.aiAlt = aiAlt;
+  }
+
+  const imageUrl = visuals.cards.default || visuals.aiUrl || null;
+  return { imageUrl, imageAlt: imageUrl === visuals.aiUrl ? visuals.aiAlt : visuals.cardAlt, visuals };
+}
+
+// The card's words (labels and title) for a strategy's texts, null without cards
+export function cardTexts({ visuals }) {
+  return cardSources.get(visuals)?.labels || null;
+}
+
+// Draw the cards again with `labels` (cardTexts() translated into `language`).
+// The source language keeps the cards createVisuals() drew.
+export function localizeCards({ visuals }, labels, language) {
+  const source = cardSources.get(visuals);
+  if (!source || !labels || language === config.sourceLanguage || visuals.localized[language]) return;
+  try {
+    const { title, ...rest } = labels;
+    const { cards, svgUrl, alt } = renderStatCards(source.stats, { title, platforms: source.platforms, labels: rest });
+    visuals.localized[language] = { cards, svgUrl, cardAlt: alt };
+  } catch (e) { log(`Stat cards (${language}) failed: ${e.message}`); }
+}
+
+// Archived images are linked through the current media base URL, not the one they were made with
+function current(url) {
+  const id = assetIdFromUrl(url);
+  return id ? assetUrl(id) : url;
+}
+
+// Images a content key goes out with → { urls, alts } (single-image networks take the first).
+// Works on a strategy result, a queue item or a publish request; without `visuals`
+// it falls back to the lone imageUrl. Cards come in the key's language when
+// localizeCards() drew them (`language` overrides it, for strategies building a language).
+export function imagesFor({ imageUrl, imageAlt, visuals }, key, language = parseContentKey(key).language) {
+  const platform = parseContentKey(key).platform;
+  const images = [];
+  if (!visuals) {
+    if (imageUrl) images.push([imageUrl, imageAlt]);
+  } else {
+    const { cards, cardAlt } = visuals.localized?.[language] || visuals;
+    const card = cards?.[platform] || cards?.default;
+    if (card) images.push([current(card), cardAlt]);
+    if (visuals.aiUrl && (!card || MULTI_IMAGE.has(platform))) images.push([current(visuals.aiUrl), visuals.aiAlt]);
+  }
+  return { urls: images.map(([url]) => url), alts: images.map(([, alt]) => alt || null) };
+}
+
+export function imageFor(post, key, language) {
+  return imagesFor(post, key, language).urls[0] || null;
+}
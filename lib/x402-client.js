@@ -1,51 +1,124 @@
 // x402 API Client — handles automatic x402 payment flow
-import { createPublicClient, createWalletClient, http, parseAbi } from 'viem';
-import { privateKeyToAccount } from 'viem/accounts';
-import { base } from 'viem/chains';
+import { createPublicClient, createWalletClient, defineChain, encodeFunctionData, http, keccak256, parseAbi } from 'viem';
+import * as viemChains from 'viem/chains';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import { config } from '../config.js';
+import { reserveBudget, releaseReservation, recordPayment, getWindowTotals, currentSpendContext } from './ledger.js';
+import * as journal from './payment-journal.js';
+import * as cache from './response-cache.js';
+import { getAccount } from './signers.js';
+import { checkPaymentPolicy, untrustedText } from './payment-policy.js';
+import { request } from './http.js';
 
 const USDC_ABI = parseAbi([
   'function transfer(address to, uint256 amount) returns (bool)',
   'function balanceOf(address) view returns (uint256)',
 ]);
 
-let account = null;
-let publicClient = null;
-let walletClient = null;
+// EIP-3009 typed data, as signed for x402 "exact" EVM payments
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' },
+  ],
+};
+
+const clients = new Map(); // network → { net, chain, transport, publicClient }
 let sessionSpending = 0;
 const payments = [];
 
-function initWallet() {
-  if (account) return;
-  const key = process.env.AGENT_PRIVATE_KEY;
-  if (!key) throw new Error('AGENT_PRIVATE_KEY not set');
-  const pk = key.startsWith('0x') ? key : `0x${key}`;
-  account = privateKeyToAccount(pk);
-  publicClient = createPublicClient({ chain: base, transport: http() });
-  walletClient = createWalletClient({ account, chain: base, transport: http() });
-  log(`Wallet initialized: ${account.address}`);
+// Client events for the dashboard: 'payment-rejected' { endpoint, recipient, amount, reason }
+export const clientEvents = new EventEmitter();
+
+function chainFor(name, net) {
+  const known = Object.values(viemChains).find(c => c?.id === net.chainId);
+  if (known) return known;
+  return defineChain({
+    id: net.chainId,
+    name,
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: { default: { http: [net.rpcUrl] } },
+  });
+}
+
+// viem clients for a network (RPC override honoured), bound to the active signer
+async function getClients(network = config.chain) {
+  const account = await getAccount();
+  let entry = clients.get(network);
+  if (!entry) {
+    const net = config.networks[network];
+    if (!net) throw new Error(`Unknown network: ${network}`);
+    if (!net.usdcAddress) throw new Error(`No USDC contract configured for ${network} — set USDC_ADDRESS`);
+    const chain = chainFor(network, net);
+    const transport = http(net.rpcUrl);
+    entry = { net, chain, transport, publicClient: createPublicClient({ chain, transport }) };
+    clients.set(network, entry);
+  }
+  return {
+    ...entry,
+    account,
+    walletClient: createWalletClient({ account, chain: entry.chain, transport: entry.transport }),
+  };
+}
+
+function txLink(network, txHash) {
+  const explorer = config.networks[network]?.explorerUrl;
+  return explorer ? `${explorer}/tx/${txHash}` : txHash;
 }
 
 function log(msg) {
   console.log(`[x402-client] ${msg}`);
 }
 
-// Call an x402 API with automatic payment handling
+// Policy + budget gate shared by both payment flows; throws on rejection
+async function authorizePayment(url, recipient, cost) {
+  let reason = await checkPaymentPolicy({ url, recipient, cost });
+  let reservationId = null;
+  if (!reason) {
+    try { reservationId = reserveBudget(cost, url); } catch (err) { reason = err.message; }
+  }
+  if (reason) {
+    log(`Payment refused for ${url}: ${reason}`);
+    clientEvents.emit('payment-rejected', { endpoint: url, recipient: untrustedText(recipient), amount: cost, reason });
+    throw new Error(`Payment refused: ${reason}`);
+  }
+  return reservationId;
+}
+
+// A payment that moved no funds gives its budget reservation back
+function failPayment(entry, error) {
+  journal.markFailed(entry.id, error);
+  releaseReservation(entry.reservationId);
+}
+
+// Call an x402 API with automatic payment handling.
+// Identical paid requests are served from the response cache unless options.noCache is set.
 export async function callApi(endpoint, options = {}) {
   const url = endpoint.startsWith('http')
     ? endpoint
     : `${config.serverUrl}${endpoint}`;
 
-  const res = await fetch(url, {
+  if (!options.noCache) {
+    const cached = cache.get(journal.requestKey(url, options));
+    if (cached) return cached;
+  }
+
+  // No payment attached yet, so this leg may be retried (GET by default, or options.idempotent)
+  const res = await request(url, {
     method: options.method || 'GET',
     headers: { 'Content-Type': 'application/json', ...options.headers },
     body: options.body ? JSON.stringify(options.body) : undefined,
-  });
+  }, { retry: options.idempotent });
 
   // Normal response — no payment needed
   if (res.status !== 402) {
-    const text = await res.text();
-    try { return JSON.parse(text); } catch { return { response: text }; }
+    if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}: ${(await res.text().catch(() => '')).slice(0, 200)}`);
+    return parseResponse(res);
   }
 
   // x402 Payment Required
@@ -54,68 +127,376 @@ export async function callApi(endpoint, options = {}) {
     throw new Error('API returned 402 but response is not valid JSON');
   }
 
+  // A previous attempt at this exact call already signed a payment — replay its proof
+  const pending = journal.findResumable(journal.requestKey(url, options));
+  const resumed = pending && journal.claim(pending.id);
+  if (resumed) {
+    log(`Resuming journaled payment ${resumed.id} (${resumed.status}) instead of paying again`);
+    return resumePayment(resumed);
+  }
+
+  // Standard x402: { x402Version, accepts: [PaymentRequirements] }
+  if (Array.isArray(body.accepts)) {
+    return payWithAuthorization(url, options, body);
+  }
+
+  // Legacy Bazaar flow: { payment_details: { amount, recipient } }
   const details = body.payment_details;
   if (!details?.amount || !details?.recipient) {
     throw new Error(`Non-standard 402 response: ${JSON.stringify(body)}`);
   }
+  return payWithTransfer(url, options, details);
+}
 
-  const cost = parseFloat(details.amount);
+async function parseResponse(res) {
+  const text = await res.text();
+  try { return JSON.parse(text); } catch { return { response: text }; }
+}
 
-  // Budget check
-  if (sessionSpending + cost > config.maxBudget) {
-    throw new Error(
-      `Budget limit reached: ${sessionSpending.toFixed(4)}/${config.maxBudget} USDC. ` +
-      `This call costs ${cost} USDC.`
-    );
+// Carries a payment proof — sent once, never retried, even through an open circuit
+function retryWithProof(url, options, proofHeaders) {
+  return request(url, {
+    method: options.method || 'GET',
+    headers: { 'Content-Type': 'application/json', ...proofHeaders, ...options.headers },
+    body: options.body ? JSON.stringify(options.body) : undefined,
+  }, { retry: false, gate: false });
+}
+
+// Book a completed payment in the ledger exactly once per journal entry
+function bookPayment(entry, txHash) {
+  if (entry.ledgerId) return entry.ledgerId;
+  const record = recordPayment({
+    amount: entry.amount,
+    txHash,
+    endpoint: entry.url,
+    scheme: entry.scheme,
+    network: entry.network,
+    context: entry.context,
+    reservationId: entry.reservationId,
+  });
+  sessionSpending += entry.amount;
+  payments.push(record);
+  return record.id;
+}
+
+function journaledOptions(entry) {
+  return { method: entry.method, body: entry.body ?? undefined, headers: entry.headers };
+}
+
+async function paidCallError(entry, res, note = '') {
+  const text = (await res.text().catch(() => '')).slice(0, 200);
+  return new Error(`HTTP ${res.status} from ${entry.url} after payment${note}${text ? `: ${text}` : ''}`);
+}
+
+// Parse the paid response and keep successful ones for identical future requests
+async function paidResponse(entry, res) {
+  const data = await parseResponse(res);
+  if (res.ok) cache.set(entry.key, entry.url, data, entry.amount);
+  return data;
+}
+
+// Legacy flow: on-chain USDC transfer, then retry with X-Payment-TxHash.
+// The transaction is signed locally and journaled before it is broadcast,
+// so a crash at any point leaves a hash we can wait on instead of paying again.
+async function payWithTransfer(url, options, details) {
+  const cost = parseFloat(details.amount);
+  const network = details.network || details.chain || config.chain;
+  if (!config.acceptNetworks.includes(network)) {
+    throw new Error(`Server asks for payment on ${network}, agent pays on: ${config.acceptNetworks.join(', ')}`);
   }
 
-  initWallet();
+  // Policy (allowlist, price limits, catalog) + ledger budget caps, reserved until booked
+  const reservationId = await authorizePayment(url, details.recipient, cost);
+
+  let clients;
+  try { clients = await getClients(network); } catch (err) {
+    releaseReservation(reservationId);
+    throw err;
+  }
+  const { net, account, walletClient } = clients;
+  const entry = journal.beginPayment({
+    url, options, scheme: 'transfer', network,
+    amount: cost, recipient: details.recipient, context: currentSpendContext(), reservationId,
+  });
 
-  // Send USDC payment on-chain
   log(`Paying ${cost} USDC to ${details.recipient}...`);
   const amountInUnits = BigInt(Math.round(cost * 1e6));
-  let txHash;
+  let rawTransaction;
   try {
-    txHash = await walletClient.writeContract({
-      address: config.usdcAddress,
-      abi: USDC_ABI,
-      functionName: 'transfer',
-      args: [details.recipient, amountInUnits],
+    const request = await walletClient.prepareTransactionRequest({
+      to: net.usdcAddress,
+      data: encodeFunctionData({
+        abi: USDC_ABI,
+        functionName: 'transfer',
+        args: [details.recipient, amountInUnits],
+      }),
     });
+    rawTransaction = await walletClient.signTransaction(request);
   } catch (err) {
     const msg = err.message?.includes('insufficient funds')
       ? `Insufficient funds in wallet ${account.address} — need ${cost} USDC + gas`
       : err.shortMessage || err.message?.split('\n')[0] || 'Transaction failed';
+    failPayment(entry, msg);
     throw new Error(msg);
   }
 
-  const receipt = await publicClient.waitForTransactionReceipt({
-    hash: txHash,
-    timeout: 120_000,
-  });
+  return completeTransfer(journal.markSigned(entry.id, { txHash: keccak256(rawTransaction), rawTransaction }));
+}
 
-  if (receipt.status !== 'success') {
-    throw new Error(`Payment transaction failed: ${txHash}`);
+async function completeTransfer(entry) {
+  const { publicClient } = await getClients(entry.network);
+  if (entry.status === 'signed') {
+    try {
+      await publicClient.sendRawTransaction({ serializedTransaction: entry.rawTransaction });
+    } catch (err) {
+      // A rebroadcast of a tx the node already has is fine — anything else stays resumable
+      if (!/already known|nonce too low/i.test(err.message || '')) {
+        journal.release(entry.id);
+        throw new Error(`Broadcast failed for ${entry.txHash} (kept in journal): ${err.shortMessage || err.message}`);
+      }
+    }
+    entry = journal.markBroadcast(entry.id);
   }
 
-  sessionSpending += cost;
-  payments.push({ amount: cost, txHash, endpoint: url, timestamp: new Date().toISOString() });
-  log(`Paid ${cost} USDC — tx: ${config.explorerUrl}/tx/${txHash}`);
+  if (entry.status === 'broadcast') {
+    let receipt;
+    try {
+      receipt = await publicClient.waitForTransactionReceipt({ hash: entry.txHash, timeout: 120_000 });
+    } catch (err) {
+      journal.release(entry.id);
+      throw new Error(`No receipt yet for ${entry.txHash} (kept in journal): ${err.shortMessage || err.message}`);
+    }
+    if (receipt.status !== 'success') {
+      failPayment(entry, `Transaction reverted: ${entry.txHash}`);
+      throw new Error(`Payment transaction failed: ${entry.txHash}`);
+    }
+    entry = journal.markConfirmed(entry.id, bookPayment(entry, entry.txHash));
+    log(`Paid ${entry.amount} USDC — tx: ${txLink(entry.network, entry.txHash)}`);
+  }
 
   // Retry with payment proof
-  const retryRes = await fetch(url, {
+  let retryRes;
+  try {
+    retryRes = await retryWithProof(entry.url, journaledOptions(entry), {
+      'X-Payment-TxHash': entry.txHash,
+      'X-Payment-Chain': entry.network,
+    });
+  } catch (err) {
+    journal.release(entry.id);
+    throw err;
+  }
+  if (!retryRes.ok) {
+    journal.release(entry.id);
+    throw await paidCallError(entry, retryRes, ' (kept in journal)');
+  }
+  journal.markSettled(entry.id);
+  return paidResponse(entry, retryRes);
+}
+
+// Pick the requirement we can pay: "exact" scheme, USDC on an accepted network (primary first)
+function selectRequirement(accepts) {
+  const payable = accepts.filter(r =>
+    r.scheme === 'exact'
+    && config.acceptNetworks.includes(r.network)
+    && r.asset?.toLowerCase() === config.networks[r.network]?.usdcAddress?.toLowerCase()
+  );
+  return payable.find(r => r.network === config.chain) || payable[0];
+}
+
+// Standard x402 flow: sign an EIP-3009 transferWithAuthorization and send it
+// in X-PAYMENT — no gas, no block wait; the server's facilitator settles it.
+async function payWithAuthorization(url, options, body) {
+  const req = selectRequirement(body.accepts);
+  if (!req) {
+    const offered = body.accepts.map(r => `${r.scheme}/${r.network}`).join(', ');
+    throw new Error(`No payable x402 requirement (need exact USDC on ${config.acceptNetworks.join('|')}, got: ${offered || 'none'})`);
+  }
+  if (!req.payTo || !req.maxAmountRequired) {
+    throw new Error(`Invalid x402 payment requirement: ${JSON.stringify(req)}`);
+  }
+
+  const value = BigInt(req.maxAmountRequired);
+  const cost = Number(value) / 1e6;
+  const reservationId = await authorizePayment(url, req.payTo, cost);
+
+  let account;
+  try { account = await getAccount(); } catch (err) {
+    releaseReservation(reservationId);
+    throw err;
+  }
+  const entry = journal.beginPayment({
+    url, options, scheme: req.scheme, network: req.network,
+    amount: cost, recipient: req.payTo, context: currentSpendContext(), reservationId,
+  });
+
+  const now = Math.floor(Date.now() / 1000);
+  const authorization = {
+    from: account.address,
+    to: req.payTo,
+    value: value.toString(),
+    validAfter: String(now - 600),
+    validBefore: String(now + (req.maxTimeoutSeconds || 60)),
+    nonce: `0x${crypto.randomBytes(32).toString('hex')}`,
+  };
+
+  log(`Signing ${cost} USDC authorization to ${req.payTo}...`);
+  let signature;
+  try {
+    signature = await account.signTypedData({
+      domain: {
+        name: req.extra?.name || 'USD Coin',
+        version: req.extra?.version || '2',
+        chainId: config.networks[req.network].chainId,
+        verifyingContract: req.asset,
+      },
+      types: TRANSFER_WITH_AUTHORIZATION_TYPES,
+      primaryType: 'TransferWithAuthorization',
+      message: {
+        ...authorization,
+        value,
+        validAfter: BigInt(authorization.validAfter),
+        validBefore: BigInt(authorization.validBefore),
+      },
+    });
+  } catch (err) {
+    failPayment(entry, `Signing failed: ${err.message}`);
+    throw err;
+  }
+
+  const paymentHeader = encodeHeader({
+    x402Version: body.x402Version || 1,
+    scheme: req.scheme,
+    network: req.network,
+    payload: { signature, authorization },
+  });
+
+  return completeAuthorization(journal.markSigned(entry.id, { paymentHeader, validBefore: Number(authorization.validBefore) }));
+}
+
+async function completeAuthorization(entry) {
+  if (entry.status === 'signed' && Date.now() / 1000 > entry.validBefore) {
+    // Never left this process, so no funds moved
+    failPayment(entry, 'Authorization expired before it was sent');
+    throw new Error('x402 authorization expired before it was sent — retry the call');
+  }
+
+  // Already sent once: the first send may have settled even though its answer was lost
+  const replay = entry.status === 'sent';
+  entry = journal.markSent(entry.id);
+  let retryRes;
+  try {
+    retryRes = await retryWithProof(entry.url, journaledOptions(entry), { 'X-PAYMENT': entry.paymentHeader });
+  } catch (err) {
+    journal.release(entry.id);
+    throw err;
+  }
+  const settlement = decodeHeader(retryRes.headers.get('X-PAYMENT-RESPONSE'));
+
+  if (retryRes.status === 402 || settlement?.success === false) {
+    const reason = settlement?.errorReason || (await retryRes.text().catch(() => '')).slice(0, 200) || `HTTP ${retryRes.status}`;
+    if (!replay) {
+      failPayment(entry, reason);
+      throw new Error(`x402 payment rejected by server: ${reason}`);
+    }
+    // Servers refuse a replay once the nonce is used, i.e. when the first send settled:
+    // book it so the caps count it, and stop replaying
+    journal.markSettled(entry.id, { ledgerId: bookPayment(entry, null), error: `Replay refused: ${reason}` });
+    log(`Replay of ${entry.id} refused (${reason}) — booked ${entry.amount} USDC as settled by the first send`);
+    throw new Error(`x402 payment replay refused (${reason}) — the first send is booked as paid, its response was lost`);
+  }
+
+  // A server error that settled nothing: the authorization may still be settled, keep it replayable
+  if (!retryRes.ok && !settlement?.success) {
+    journal.release(entry.id);
+    throw await paidCallError(entry, retryRes, ' (kept in journal)');
+  }
+
+  const txHash = settlement?.transaction || null;
+  journal.markSettled(entry.id, { txHash, ledgerId: bookPayment(entry, txHash) });
+  log(txHash
+    ? `Paid ${entry.amount} USDC — tx: ${txLink(entry.network, txHash)}`
+    : `Paid ${entry.amount} USDC — settlement pending (no X-PAYMENT-RESPONSE)`);
+
+  if (!retryRes.ok) throw await paidCallError(entry, retryRes);
+  return paidResponse(entry, retryRes);
+}
+
+async function resumePayment(entry) {
+  if (entry.status === 'intent') {
+    failPayment(entry, 'Interrupted before signing — no funds moved');
+    throw new Error(`Payment ${entry.id} was never signed — nothing to resume`);
+  }
+  return entry.scheme === 'transfer' ? completeTransfer(entry) : completeAuthorization(entry);
+}
+
+// Replay every orphaned payment left by a crashed process (dashboard startup, CLI)
+export async function resumeOrphanedPayments() {
+  const closed = journal.closeStaleIntents();
+  if (closed) log(`Closed ${closed} unsigned payment intent(s)`);
+  const results = [];
+  for (const orphan of journal.getOrphans()) {
+    const entry = journal.claim(orphan.id);
+    if (!entry) continue;
+    try {
+      await resumePayment(entry);
+      results.push({ id: entry.id, url: entry.url, success: true });
+    } catch (err) {
+      results.push({ id: entry.id, url: entry.url, success: false, message: err.message });
+    }
+  }
+  return results;
+}
+
+export function getOrphanedPayments() {
+  return journal.getOrphans().map(({ rawTransaction, paymentHeader, headers, claim, ...rest }) => rest);
+}
+
+export async function resumeOrphanedPayment(id) {
+  if (!journal.getOrphans().some(e => e.id === id)) throw new Error(`No orphaned payment ${id}`);
+  const entry = journal.claim(id);
+  if (!entry) throw new Error(`Payment ${id} is already being resumed`);
+  return resumePayment(entry);
+}
+
+function encodeHeader(obj) {
+  return Buffer.from(JSON.stringify(obj)).toString('base64');
+}
+
+function decodeHeader(value) {
+  if (!value) return null;
+  try { return JSON.parse(Buffer.from(value, 'base64').toString('utf-8')); } catch {
+    log(`Unparseable X-PAYMENT-RESPONSE header: ${value.slice(0, 80)}`);
+    return null;
+  }
+}
+
+// Ask what a call would cost without paying: read the 402 challenge and stop there.
+// Only a 2xx means the call is free; any other status is a quote error, not a price.
+export async function quoteApi(endpoint, options = {}) {
+  const url = endpoint.startsWith('http')
+    ? endpoint
+    : `${config.serverUrl}${endpoint}`;
+
+  const res = await request(url, {
     method: options.method || 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Payment-TxHash': txHash,
-      'X-Payment-Chain': 'base',
-      ...options.headers,
-    },
+    headers: { 'Content-Type': 'application/json', ...options.headers },
     body: options.body ? JSON.stringify(options.body) : undefined,
-  });
+  }, { retry: options.idempotent });
+  if (res.status !== 402) {
+    await res.body?.cancel();
+    return res.ok ? { url, cost: 0, free: true } : { url, cost: null, error: `HTTP ${res.status}` };
+  }
 
-  const retryText = await retryRes.text();
-  try { return JSON.parse(retryText); } catch { return { response: retryText }; }
+  const body = await res.json().catch(() => null);
+  if (Array.isArray(body?.accepts)) {
+    const req = selectRequirement(body.accepts);
+    if (!req?.maxAmountRequired) throw new Error(`No payable x402 requirement for ${url}`);
+    return { url, cost: Number(BigInt(req.maxAmountRequired)) / 1e6, recipient: req.payTo, scheme: req.scheme };
+  }
+  if (body?.payment_details?.amount) {
+    return { url, cost: parseFloat(body.payment_details.amount), recipient: body.payment_details.recipient, scheme: 'transfer' };
+  }
+  throw new Error(`Unrecognised 402 response from ${url}`);
 }
 
 // Call a free API (no payment)
@@ -123,29 +504,46 @@ export async function callFreeApi(endpoint) {
   const url = endpoint.startsWith('http')
     ? endpoint
     : `${config.serverUrl}${endpoint}`;
-  const res = await fetch(url);
+  const res = await request(url);
+  if (!res.ok) {
+    await res.body?.cancel();
+    throw new Error(`HTTP ${res.status} from ${url}`);
+  }
   const text = await res.text();
   try { return JSON.parse(text); } catch { return { response: text }; }
 }
 
 // Get wallet balance
 export async function getBalance() {
-  initWallet();
+  const { net, account, publicClient } = await getClients(config.chain);
   const balance = await publicClient.readContract({
-    address: config.usdcAddress,
+    address: net.usdcAddress,
     abi: USDC_ABI,
     functionName: 'balanceOf',
     args: [account.address],
   });
+  const spending = getSpending();
   return {
     address: account.address,
+    network: config.chain,
     balanceUsdc: (Number(balance) / 1e6).toFixed(6),
     sessionSpent: sessionSpending.toFixed(4),
-    sessionRemaining: (config.maxBudget - sessionSpending).toFixed(4),
+    remaining: spending.remaining.toFixed(4),
+    windows: spending.windows,
     payments,
   };
 }
 
+// spent = last 24h; remaining = tightest of the daily/weekly/monthly caps
 export function getSpending() {
-  return { spent: sessionSpending, remaining: config.maxBudget - sessionSpending, payments };
+  const windows = getWindowTotals();
+  const remaining = Math.min(...Object.values(windows).map(w => w.remaining));
+  return {
+    spent: windows.daily.spent,
+    remaining,
+    windows,
+    sessionSpent: sessionSpending,
+    payments,
+    cache: cache.getCacheStats(),
+  };
 }
@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+// x402 Community Agent — mock x402 Bazaar server for offline development
+// Speaks the same 402 challenge/response protocol as https://x402-api.onrender.com
+// with deterministic fixture content. Point the agent at it with X402_SERVER_URL=http://127.0.0.1:4020
+//
+//   MOCK_PROTOCOL  x402 (X-PAYMENT, EIP-3009) | legacy (payment_details + X-Payment-TxHash, needs a devnet:
+//                  the agent broadcasts a real USDC transfer)
+//   MOCK_VERIFIER  fake (signature / hash checks only, no chain) | devnet (checks against the RPC of MOCK_NETWORK)
+//   MOCK_PRICES    per-endpoint overrides, e.g. "/api/summarize=0.01,/api/image=0.08"
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import http from 'http';
+import fs from 'fs';
+import crypto from 'crypto';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '.env') });
+
+import {
+  createPublicClient, createWalletClient, http as httpTransport, keccak256, parseAbi, parseEventLogs,
+  parseSignature, recoverTypedDataAddress, isAddress,
+} from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { config } from './config.js';
+import { toPng } from './lib/card-render.js';
+
+const PORT = parseInt(process.env.MOCK_PORT || '4020', 10);
+const HOST = process.env.MOCK_HOST || '127.0.0.1';
+const BASE_URL = `http://${HOST}:${PORT}`;
+const PROTOCOL = process.env.MOCK_PROTOCOL || 'x402';
+const VERIFIER = process.env.MOCK_VERIFIER || 'fake';
+const NETWORK = process.env.MOCK_NETWORK || config.chain;
+const PAY_TO = (process.env.MOCK_PAY_TO || '0x4020000000000000000000000000000000004020').toLowerCase();
+const FIXTURES = JSON.parse(fs.readFileSync(process.env.MOCK_FIXTURES || join(__dirname, 'mock', 'fixtures.json'), 'utf-8'));
+
+const USDC_ABI = parseAbi([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'function balanceOf(address) view returns (uint256)',
+  'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)',
+]);
+
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' },
+  ],
+};
+
+const net = config.networks[NETWORK];
+const usedProofs = new Set(); // nonces (x402) and tx hashes (legacy) already redeemed
+const stats = { challenges: 0, paid: 0, rejected: 0, earnedUsdc: 0 };
+
+function log(msg) { console.log(`[mock-bazaar] ${msg}`); }
+
+// ─── Prices (fixtures, then MOCK_PRICES overrides) ────────────────
+const prices = Object.fromEntries(FIXTURES.services.map(s => [s.endpoint, s.price_usdc]));
+for (const pair of (process.env.MOCK_PRICES || '').split(',').map(p => p.trim()).filter(Boolean)) {
+  const [endpoint, price] = pair.split('=');
+  if (!endpoint || !Number.isFinite(parseFloat(price))) throw new Error(`Bad MOCK_PRICES entry: ${pair}`);
+  prices[endpoint] = parseFloat(price);
+}
+
+// ─── Deterministic fixture content ───────────────────────────────
+function digest(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Same input → same rotation of a fixture list
+function pick(list, seed, count) {
+  const start = parseInt(digest(seed).slice(0, 8), 16) % list.length;
+  return Array.from({ length: Math.min(count, list.length) }, (_, i) => list[(start + i) % list.length]);
+}
+
+function truncateWords(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 3);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}...`;
+}
+
+// A fixture summary picked by the prompt: the prompt itself (instructions, lengths,
+// tone) never comes back, as with the real endpoint
+function summarize(text, maxLength) {
+  return truncateWords(pick(FIXTURES.summaries, text, 1)[0], maxLength);
+}
+
+function sentiment(text) {
+  const words = text.toLowerCase().match(/[a-z]+/g) || [];
+  const { positive, negative } = FIXTURES.sentimentWords;
+  const hits = words.map(w => (positive.includes(w) ? 1 : negative.includes(w) ? -1 : 0)).filter(Boolean);
+  // In [-1, 1] like the real endpoint: the balance of positive and negative words
+  const score = hits.length ? hits.reduce((a, b) => a + b, 0) / hits.length : 0;
+  return { sentiment: score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral', score };
+}
+
+// A PNG like the real endpoint returns (the agent only archives raster images)
+function imagePng(id) {
+  const hue = parseInt(id.slice(0, 4), 16) % 360;
+  const shapes = [
+    { type: 'rect', x: 0, y: 0, w: 512, h: 512, fill: '#0d0d12' },
+    { type: 'arc', cx: 256, cy: 256, r: 160, width: 12, from: 0, to: 360, stroke: hslHex(hue, 0.9, 0.55) },
+    { type: 'text', x: 256, y: 270, text: 'x402 mock', size: 28, fill: '#ff9900', anchor: 'middle' },
+    { type: 'text', x: 256, y: 310, text: id.slice(0, 16), size: 12, fill: '#888888', anchor: 'middle' },
+  ];
+  return toPng(shapes, 512, 512);
+}
+
+function hslHex(h, s, l) {
+  const f = n => {
+    const k = (n + h / 30) % 12;
+    const c = l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(c * 255).toString(16).padStart(2, '0');
+  };
+  return `#${f(0)}${f(8)}${f(4)}`;
+}
+
+// Paid endpoints: pathname → handler(query) returning the JSON body
+const PAID = {
+  '/api/summarize': q => ({ summary: summarize(q.get('text') || '', parseInt(q.get('max_length') || '500', 10)) }),
+  // Every line tagged, so batched labels come back translated too
+  '/api/translate': q => ({ translated: (q.get('text') || '').split('\n').map(l => `[${q.get('to') || 'fr'}] ${l}`).join('\n'), to: q.get('to') || 'fr' }),
+  '/api/sentiment': q => sentiment(q.get('text') || ''),
+  '/api/search': q => ({ query: q.get('q') || '', results: pick(FIXTURES.search, q.get('q') || '', 3) }),
+  '/api/news': q => ({ query: q.get('q') || '', articles: pick(FIXTURES.news, q.get('q') || '', 3) }),
+  '/api/image': q => {
+    const id = digest(`${q.get('prompt') || ''}|${q.get('size') || ''}`);
+    return { url: `${BASE_URL}/mock/images/${id}.png`, prompt: q.get('prompt') || '' };
+  },
+};
+
+// ─── 402 challenges ──────────────────────────────────────────────
+function atomic(price) {
+  return String(Math.round(price * 1e6));
+}
+
+function challenge(path, url) {
+  const price = prices[path];
+  if (PROTOCOL === 'legacy') {
+    return { error: 'Payment Required', payment_details: { amount: price, recipient: PAY_TO, currency: 'USDC', network: NETWORK } };
+  }
+  return {
+    x402Version: 1,
+    error: 'X-PAYMENT header is required',
+    accepts: [{
+      scheme: 'exact',
+      network: NETWORK,
+      maxAmountRequired: atomic(price),
+      resource: url,
+      description: FIXTURES.services.find(s => s.endpoint === path)?.description || path,
+      mimeType: 'application/json',
+      payTo: PAY_TO,
+      maxTimeoutSeconds: 60,
+      asset: net.usdcAddress,
+      extra: { name: process.env.MOCK_USDC_NAME || 'USD Coin', version: '2' },
+    }],
+  };
+}
+
+// ─── Verifiers — return { transaction } or throw with the rejection reason ──
+let publicClient = null;
+function chainClient() {
+  if (!publicClient) {
+    if (!net.rpcUrl) throw new Error(`No RPC for ${NETWORK} — set X402_RPC_URL`);
+    publicClient = createPublicClient({ transport: httpTransport(net.rpcUrl) });
+  }
+  return publicClient;
+}
+
+async function verifyAuthorization(header, path) {
+  let payment;
+  try { payment = JSON.parse(Buffer.from(header, 'base64').toString('utf-8')); } catch {
+    throw new Error('invalid_payload');
+  }
+  const auth = payment.payload?.authorization;
+  const signature = payment.payload?.signature;
+  if (payment.scheme !== 'exact' || !auth || !signature) throw new Error('invalid_payload');
+  if (payment.network !== NETWORK) throw new Error('invalid_network');
+  if (auth.to?.toLowerCase() !== PAY_TO) throw new Error('invalid_exact_evm_payload_recipient_mismatch');
+  if (BigInt(auth.value) < BigInt(atomic(prices[path]))) throw new Error('invalid_exact_evm_payload_authorization_value');
+  const now = Math.floor(Date.now() / 1000);
+  if (now < Number(auth.validAfter) || now > Number(auth.validBefore)) throw new Error('invalid_exact_evm_payload_authorization_valid_before');
+  if (usedProofs.has(auth.nonce)) throw new Error('invalid_exact_evm_payload_authorization_nonce_used');
+
+  const message = {
+    ...auth,
+    value: BigInt(auth.value),
+    validAfter: BigInt(auth.validAfter),
+    validBefore: BigInt(auth.validBefore),
+  };
+  const signer = await recoverTypedDataAddress({
+    domain: { name: process.env.MOCK_USDC_NAME || 'USD Coin', version: '2', chainId: net.chainId, verifyingContract: net.usdcAddress },
+    types: TRANSFER_WITH_AUTHORIZATION_TYPES,
+    primaryType: 'TransferWithAuthorization',
+    message,
+    signature,
+  });
+  if (signer.toLowerCase() !== auth.from?.toLowerCase()) throw new Error('invalid_exact_evm_payload_signature');
+  usedProofs.add(auth.nonce);
+
+  if (VERIFIER !== 'devnet') return { transaction: keccak256(signature), payer: signer };
+
+  // Devnet: settle for real when a facilitator key is given, otherwise just check funds
+  if (process.env.MOCK_FACILITATOR_KEY) {
+    const { v, r, s } = parseSignature(signature);
+    const wallet = createWalletClient({
+      account: privateKeyToAccount(process.env.MOCK_FACILITATOR_KEY),
+      chain: { id: net.chainId, name: NETWORK, nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }, rpcUrls: { default: { http: [net.rpcUrl] } } },
+      transport: httpTransport(net.rpcUrl),
+    });
+    const hash = await wallet.writeContract({
+      address: net.usdcAddress,
+      abi: USDC_ABI,
+      functionName: 'transferWithAuthorization',
+      args: [auth.from, auth.to, message.value, message.validAfter, message.validBefore, auth.nonce, Number(v), r, s],
+    });
+    const receipt = await chainClient().waitForTransactionReceipt({ hash, timeout: 30_000 });
+    if (receipt.status !== 'success') throw new Error('settle_exact_failed_onchain');
+    return { transaction: hash, payer: signer };
+  }
+  const balance = await chainClient().readContract({ address: net.usdcAddress, abi: USDC_ABI, functionName: 'balanceOf', args: [auth.from] });
+  if (balance < message.value) throw new Error('insufficient_funds');
+  return { transaction: keccak256(signature), payer: signer };
+}
+
+async function verifyTransfer(txHash, chain, path) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(txHash || '')) throw new Error('invalid transaction hash');
+  if (chain && chain !== NETWORK) throw new Error(`payment sent on ${chain}, expected ${NETWORK}`);
+  if (usedProofs.has(txHash.toLowerCase())) throw new Error('transaction already used');
+
+  if (VERIFIER === 'devnet') {
+    const receipt = await chainClient().getTransactionReceipt({ hash: txHash });
+    if (receipt.status !== 'success') throw new Error('transaction reverted');
+    const transfers = parseEventLogs({ abi: USDC_ABI, eventName: 'Transfer', logs: receipt.logs })
+      .filter(l => l.address.toLowerCase() === net.usdcAddress.toLowerCase() && l.args.to.toLowerCase() === PAY_TO);
+    const paid = transfers.reduce((sum, l) => sum + l.args.value, 0n);
+    if (paid < BigInt(atomic(prices[path]))) throw new Error(`transaction pays ${paid} units, expected ${atomic(prices[path])}`);
+  }
+  usedProofs.add(txHash.toLowerCase());
+  return { transaction: txHash };
+}
+
+// ─── HTTP ────────────────────────────────────────────────────────
+function send(res, data, status = 200, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+function encodeHeader(obj) {
+  return Buffer.from(JSON.stringify(obj)).toString('base64');
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, BASE_URL);
+  const path = url.pathname;
+
+  // Free endpoints
+  if (path === '/api/public-stats') return send(res, FIXTURES.publicStats);
+  if (path === '/api/services') {
+    return send(res, { services: FIXTURES.services.map(s => ({ ...s, price_usdc: prices[s.endpoint], payTo: PAY_TO })) });
+  }
+  if (path === '/mock/status') return send(res, { protocol: PROTOCOL, verifier: VERIFIER, network: NETWORK, payTo: PAY_TO, prices, stats });
+  const image = path.match(/^\/mock\/images\/([0-9a-f]{64})\.png$/);
+  if (image) {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    return res.end(imagePng(image[1]));
+  }
+
+  const handler = PAID[path];
+  if (!handler) return send(res, { error: 'Not found' }, 404);
+
+  // Paid endpoints — no proof → 402 challenge
+  const xPayment = req.headers['x-payment'];
+  const txHash = req.headers['x-payment-txhash'];
+  if (!xPayment && !txHash) {
+    stats.challenges++;
+    return send(res, challenge(path, url.href), 402);
+  }
+
+  let settlement;
+  try {
+    settlement = xPayment
+      ? await verifyAuthorization(xPayment, path)
+      : await verifyTransfer(txHash, req.headers['x-payment-chain'], path);
+  } catch (err) {
+    stats.rejected++;
+    log(`Rejected payment for ${path}: ${err.message}`);
+    const body = { ...challenge(path, url.href), error: err.message };
+    const headers = xPayment ? { 'X-PAYMENT-RESPONSE': encodeHeader({ success: false, errorReason: err.message, network: NETWORK, transaction: '' }) } : {};
+    return send(res, body, 402, headers);
+  }
+
+  stats.paid++;
+  stats.earnedUsdc += prices[path];
+  log(`Paid ${prices[path]} USDC for ${path} — tx ${settlement.transaction.slice(0, 18)}...`);
+  const headers = xPayment
+    ? { 'X-PAYMENT-RESPONSE': encodeHeader({ success: true, transaction: settlement.transaction, network: NETWORK, payer: settlement.payer }) }
+    : {};
+  send(res, handler(url.searchParams), 200, headers);
+}
+
+// ─── Startup ─────────────────────────────────────────────────────
+if (!net) throw new Error(`Unknown network: ${NETWORK}`);
+if (!isAddress(net.usdcAddress || '')) throw new Error(`No USDC contract for ${NETWORK} — set USDC_ADDRESS`);
+if (!['x402', 'legacy'].includes(PROTOCOL)) throw new Error(`MOCK_PROTOCOL must be x402 or legacy, got ${PROTOCOL}`);
+if (!['fake', 'devnet'].includes(VERIFIER)) throw new Error(`MOCK_VERIFIER must be fake or devnet, got ${VERIFIER}`);
+
+http.createServer((req, res) => {
+  handle(req, res).catch(err => {
+    log(`Error on ${req.url}: ${err.message}`);
+    send(res, { error: err.message }, 500);
+  });
+}).listen(PORT, HOST, () => {
+  log(`Listening on ${BASE_URL} — ${PROTOCOL} payments on ${NETWORK}, ${VERIFIER} verifier, pay to ${PAY_TO}`);
+  log(`Prices: ${Object.entries(prices).map(([e, p]) => `${e}=${p}`).join(', ')}`);
+});
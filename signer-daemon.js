@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// x402 Community Agent — local signing daemon
+// Holds the agent key (unlocked keystore) in its own process; the agent and
+// dashboard sign through it with AGENT_SIGNER=remote, AGENT_SIGNER_URL=http://127.0.0.1:8546
+// Every request needs `Authorization: Bearer $AGENT_SIGNER_TOKEN`. Without a token the
+// daemon only starts with --no-auth, on a loopback SIGNER_HOST.
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import http from 'http';
+import fs from 'fs';
+import crypto from 'crypto';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '.env') });
+
+import { privateKeyToAccount } from 'viem/accounts';
+import { config } from './config.js';
+import { decryptKeystore, promptPassphrase, toWire, fromWire } from './lib/signers.js';
+
+const PORT = parseInt(process.env.SIGNER_PORT || '8546', 10);
+const HOST = process.env.SIGNER_HOST || '127.0.0.1';
+const TOKEN = process.env.AGENT_SIGNER_TOKEN || '';
+const NO_AUTH = process.argv.includes('--no-auth');
+const LOOPBACK = HOST === 'localhost' || HOST === '::1' || /^127\./.test(HOST);
+
+function log(msg) { console.log(`[signer-daemon] ${msg}`); }
+
+function send(res, data, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(status === 200 ? toWire(data) : JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', c => data += c);
+    req.on('end', () => { try { resolve(fromWire(data || '{}')); } catch { resolve({}); } });
+    req.on('error', reject);
+  });
+}
+
+function authorized(req) {
+  if (!TOKEN) return true; // --no-auth on loopback, checked at startup
+  const given = Buffer.from(req.headers.authorization || '');
+  const expected = Buffer.from(`Bearer ${TOKEN}`);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function loadAccount() {
+  const path = config.signer.keystorePath;
+  if (!fs.existsSync(path)) throw new Error(`No keystore at ${path} — run: node agent.js --import-key`);
+  const secret = process.env.AGENT_KEYSTORE_PASSPHRASE || await promptPassphrase();
+  if (!secret) throw new Error('No passphrase (set AGENT_KEYSTORE_PASSPHRASE or run in a terminal)');
+  return privateKeyToAccount(decryptKeystore(JSON.parse(fs.readFileSync(path, 'utf-8')), secret));
+}
+
+// Anyone who can reach an open daemon can sign payments from the agent's wallet
+if (!TOKEN && !NO_AUTH) throw new Error('AGENT_SIGNER_TOKEN is not set — set one (and the same on the agent), or pass --no-auth on a loopback SIGNER_HOST');
+if (!TOKEN && !LOOPBACK) throw new Error(`--no-auth is only allowed on a loopback SIGNER_HOST, not ${HOST}`);
+
+const account = await loadAccount();
+
+const server = http.createServer(async (req, res) => {
+  if (!authorized(req)) return send(res, { error: 'Unauthorized' }, 401);
+  try {
+    if (req.method === 'GET' && req.url === '/address') {
+      return send(res, { address: account.address });
+    }
+    if (req.method === 'POST' && req.url === '/sign-message') {
+      const { message } = await readBody(req);
+      return send(res, { signature: await account.signMessage({ message }) });
+    }
+    if (req.method === 'POST' && req.url === '/sign-typed-data') {
+      const { typedData } = await readBody(req);
+      log(`Signing ${typedData?.primaryType} for ${typedData?.domain?.name || 'unknown domain'}`);
+      return send(res, { signature: await account.signTypedData(typedData) });
+    }
+    if (req.method === 'POST' && req.url === '/sign-transaction') {
+      const { transaction } = await readBody(req);
+      log(`Signing transaction to ${transaction?.to} on chain ${transaction?.chainId}`);
+      return send(res, { signedTransaction: await account.signTransaction(transaction) });
+    }
+    send(res, { error: 'Not found' }, 404);
+  } catch (e) {
+    log(`Signing failed: ${e.message}`);
+    send(res, { error: e.message }, 500);
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  log(`Signing for ${account.address} on http://${HOST}:${PORT}${TOKEN ? ' (token required)' : ' — NO AUTH (--no-auth)'}`);
+});
@@ -1,50 +1,74 @@
 // Strategy: New API Announcement — Announce when new APIs are added
 import {
-  fetchStats, generateText, generateImage,
+  fetchStats,
   adaptForTwitter, adaptForDiscord, adaptForTelegram, adaptForLinkedIn, adaptForFarcaster,
 } from '../lib/content-gen.js';
-import { config } from '../config.js';
+import { paragraph, bold, code, toDocument } from '../lib/rich-text.js';
+import { pickTemplate, templateVars, composeFromTemplate, promptCount } from '../lib/templates.js';
+import { localizeContents, translateCalls } from '../lib/languages.js';
+import { createVisuals, visualCalls, imageFor, cardTexts, localizeCards } from '../lib/visuals.js';
 
 export const name = 'new-api';
 export const description = 'Announce new APIs added to the marketplace';
+export const options = {
+  apiName: { type: 'string', description: 'Name of the API to announce', required: true },
+  apiDescription: { type: 'string', description: 'What the API does, in one sentence', default: 'A new API has been added to x402 Bazaar' },
+  apiPrice: { type: 'string', description: 'Price per call in USDC, e.g. 0.001', default: 'varies' },
+  apiEndpoint: { type: 'string', description: 'Endpoint path, e.g. /api/weather', default: '' },
+};
+// A launch picture, with the stat card alongside where the network takes both
+export const visuals = 'both';
 
-export async function execute(options = {}) {
-  const apiName = options.apiName || 'New API';
-  const apiDescription = options.apiDescription || 'A new API has been added to x402 Bazaar';
-  const apiPrice = options.apiPrice || 'varies';
-  const apiEndpoint = options.apiEndpoint || '';
+// The template's AI rewrites, their translations and the launch picture if enabled
+export function paidCalls() {
+  return [
+    { endpoint: '/api/summarize', count: promptCount('new-api') },
+    ...translateCalls(1 + promptCount('new-api')),
+    ...visualCalls('new-api', visuals),
+  ];
+}
+
+// `options` comes through resolveOptions(): checked against the schema, defaults filled in
+export async function execute(options = {}, ctx = {}) {
+  const { apiName, apiDescription, apiPrice, apiEndpoint } = options;
 
   const stats = await fetchStats();
 
   console.log(`[new-api] Announcing: ${apiName}`);
 
-  // Local fallback content
-  const localContent = `New on x402 Bazaar: ${apiName}! ${apiDescription}. Price: ${apiPrice} USDC per call. Total marketplace: ${stats.totalServices} APIs. AI agents can use this API autonomously, paying with USDC via x402 protocol. No subscriptions needed.`;
-
-  const mainContent = await generateText(
-    `Write an exciting announcement for a new API on x402 Bazaar marketplace. ` +
-    `API name: ${apiName}. Description: ${apiDescription}. Price: ${apiPrice} USDC per call. ` +
-    `Total APIs now: ${stats.totalServices}. ` +
-    `Key point: AI agents can use this API autonomously, paying with USDC via the x402 protocol. ` +
-    `Keep it short, professional, and exciting.`,
-    350,
-    localContent
-  );
-
-  let imageUrl = null;
-  if (config.generateImages) {
-    imageUrl = await generateImage(
-      `New API launch announcement graphic. Tech aesthetic, neon orange on dark background. Abstract representation of API connections and data flow. Minimal and modern.`
-    );
-  }
-
-  const contents = {
-    twitter: adaptForTwitter(`New on x402 Bazaar: ${apiName}! ${mainContent}`, stats),
-    linkedin: adaptForLinkedIn(`New API: ${apiName}\n\n${mainContent}`, stats),
-    discord: adaptForDiscord(`New API: ${apiName}\n\n${mainContent}`, stats, imageUrl),
-    telegram: adaptForTelegram(`New API: *${apiName}*\n\n${mainContent}`, stats, imageUrl),
-    farcaster: adaptForFarcaster(`New on x402 Bazaar: ${apiName}! ${mainContent}`),
-  };
-
-  return { contents, stats, imageUrl };
+  // Post text from templates/new-api.json; the filled template is the local fallback
+  const template = pickTemplate('new-api', { exclude: ctx.exclude });
+  const vars = templateVars(stats, { apiName, apiDescription, apiPrice, apiEndpoint });
+  const { content: mainContent, platforms: variants } = await composeFromTemplate(template, vars);
+
+  const media = await createVisuals('new-api', {
+    stats,
+    preferred: visuals,
+    title: `New API: ${apiName}`,
+    prompt: `New API launch announcement graphic. Tech aesthetic, neon orange on dark background. Abstract representation of API connections and data flow. Minimal and modern.`,
+    aiAlt: `Neon orange API nodes connected on a dark background, announcing ${apiName} on x402 Bazaar`,
+  });
+
+  // Only the texts are translated: the API name and endpoint are added back as-is.
+  // They often contain `_` or `*` — they stay raw text and each renderer escapes them.
+  const texts = { label: 'New API: ', mainContent, variants, card: cardTexts(media) };
+  const { contents, languages } = await localizeContents(texts, (t, language) => {
+    localizeCards(media, t.card, language);
+    const announcement = [
+      paragraph(t.label, bold(apiName), ...(apiEndpoint ? [' — ', code(apiEndpoint)] : [])),
+      ...toDocument(t.mainContent),
+    ];
+    // Rich-text networks keep the structured heading unless the template has its own variant
+    const body = platform => t.variants[platform] ?? announcement;
+    return {
+      twitter: [adaptForTwitter(t.variants.twitter ?? t.mainContent, stats)],
+      linkedin: adaptForLinkedIn(body('linkedin'), stats),
+      discord: adaptForDiscord(body('discord'), stats, imageFor(media, 'discord', language)),
+      telegram: adaptForTelegram(body('telegram'), stats, imageFor(media, 'telegram', language)),
+      farcaster: adaptForFarcaster(t.variants.farcaster ?? t.mainContent),
+    };
+  });
+
+  // The price isn't a stat, but the lint should accept it in the text
+  return { contents, languages, stats, facts: { apiPrice }, ...media, template: template.id };
 }
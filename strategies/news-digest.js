@@ -0,0 +1,140 @@
+// Strategy: News Digest — Weekly roundup of x402, agent-payments and AI-agent news
+import {
+  fetchStats, generateText,
+  adaptForTwitterThread, adaptForTelegram, adaptForDevTo,
+} from '../lib/content-gen.js';
+import { config } from '../config.js';
+import { paragraph, heading, bold, link } from '../lib/rich-text.js';
+import { truncate } from '../lib/text-length.js';
+import { pickTemplate, templateVars, composeFromTemplate, promptCount } from '../lib/templates.js';
+import { localizeContents, translateCalls } from '../lib/languages.js';
+import { createVisuals, visualCalls, imageFor, cardTexts, localizeCards } from '../lib/visuals.js';
+import { collectStories, rankStories } from '../lib/news.js';
+
+export const name = 'news-digest';
+export const description = 'Weekly news roundup (x402, agent payments, AI agents) for Telegram, Dev.to and a Twitter thread';
+export const options = {
+  topics: { type: 'string', description: 'Comma-separated queries for /api/news and /api/search', default: 'x402, agent payments, AI agents' },
+  days: { type: 'number', description: 'Only stories published in the last N days', default: 7 },
+  limit: { type: 'number', description: 'Stories in the digest (1-10)', default: 5 },
+  summarize: { type: 'boolean', description: "One-sentence AI summary per story, otherwise the outlet's description", default: true },
+};
+// Headlines have no numbers to chart: text only unless config.visuals says otherwise
+export const visuals = 'none';
+
+const SUMMARY_CHARS = 200;
+
+const setting = (opts, key) => opts[key] ?? options[key].default;
+const queriesOf = opts => String(setting(opts, 'topics')).split(',').map(q => q.trim()).filter(Boolean);
+const limitOf = opts => Math.min(10, Math.max(1, Math.round(setting(opts, 'limit'))));
+
+// "a, b and c"
+function listOf(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items.join('');
+}
+
+// Numbers quoted from the stories, for the lint: they aren't stats
+function numbersIn(text) {
+  return (text.match(/\d[\d,]*(?:\.\d+)?/g) || []).map(n => parseFloat(n.replace(/,/g, '')));
+}
+
+// A news and a search call per topic, a summary per story, the template's
+// rewrites, their translations and the AI visual if chosen
+export function paidCalls(opts = {}) {
+  const queries = queriesOf(opts).length;
+  const limit = limitOf(opts);
+  return [
+    { endpoint: '/api/news', count: queries },
+    { endpoint: '/api/search', count: queries },
+    { endpoint: '/api/summarize', count: (setting(opts, 'summarize') ? limit : 0) + promptCount('news-digest') },
+    ...translateCalls(2 + limit),
+    ...visualCalls('news-digest', visuals),
+  ];
+}
+
+export async function execute(opts = {}, ctx = {}) {
+  const queries = queriesOf(opts);
+  console.log(`[news-digest] Collecting news: ${queries.join(', ')}`);
+  const stats = await fetchStats();
+
+  // New stories only: those featured in an earlier published digest are left out
+  const stories = rankStories(await collectStories(queries), { days: setting(opts, 'days'), limit: limitOf(opts), queries });
+  if (!stories.length) {
+    console.log('[news-digest] No new stories — nothing to post');
+    return { contents: {}, languages: {}, stats, stories: [] };
+  }
+
+  for (const s of stories) {
+    const own = truncate(s.summary || s.title, SUMMARY_CHARS, { boundary: 'sentence' });
+    s.summary = setting(opts, 'summarize')
+      ? await generateText(`Summarize this news story in one sentence for developers building AI agents: ${s.title}. ${s.summary}`, SUMMARY_CHARS, own)
+      : own;
+  }
+
+  // Intro from templates/news-digest.json; its platform variants are the thread opener and the article intro
+  const template = pickTemplate('news-digest', { exclude: ctx.exclude });
+  const sources = [...new Set(stories.map(s => s.source).filter(Boolean))];
+  const vars = templateVars(stats, {
+    storyCount: stories.length,
+    topics: listOf(queries),
+    sources: listOf(sources.length > 3 ? [...sources.slice(0, 3), 'more'] : sources),
+  });
+  const { content: intro, platforms: variants } = await composeFromTemplate(template, vars);
+
+  const media = await createVisuals('news-digest', {
+    stats,
+    preferred: visuals,
+    title: 'News digest',
+    prompt: `Editorial illustration for a weekly tech news roundup about AI agents and internet-native payments. Dark background, orange accents. Minimal and modern.`,
+    aiAlt: 'Dark editorial illustration with orange accents for the weekly AI-agent news roundup',
+  });
+
+  // Summaries and labels are translated; headlines, outlets and links stay as published
+  const texts = {
+    intro,
+    variants,
+    summaries: stories.map(s => s.summary),
+    readOn: 'Read on ',
+    source: 'Source: ',
+    outro: `Building agents that pay for their own API calls? ${config.projectName} lists pay-per-call APIs they can use with USDC: `,
+    devtoTitle: `Agent payments news roundup — week of ${vars.date}`,
+    card: cardTexts(media),
+  };
+
+  const { contents, languages } = await localizeContents(texts, (t, language) => {
+    localizeCards(media, t.card, language);
+    const outlet = s => s.source || s.url;
+    const thread = [
+      t.variants.twitter ?? t.intro,
+      ...stories.map(s => `${s.title} (${outlet(s)})\n${s.url}`),
+      `${t.outro}${config.projectUrl}`,
+    ];
+    return {
+      telegram: adaptForTelegram([
+        paragraph(t.variants.telegram ?? t.intro),
+        ...stories.map((s, i) => paragraph(bold(`${i + 1}. ${s.title}`), '\n', t.summaries[i], '\n', t.readOn, link(outlet(s), s.url))),
+      ], stats, imageFor(media, 'telegram', language)),
+      devto: adaptForDevTo(t.devtoTitle, [
+        paragraph(t.variants.devto ?? t.intro),
+        ...stories.flatMap((s, i) => [
+          heading(`${i + 1}. ${s.title}`),
+          paragraph(t.summaries[i]),
+          paragraph(t.source, link(outlet(s), s.url)),
+        ]),
+        paragraph(t.outro, link(config.projectUrl.replace(/^https?:\/\//, ''), config.projectUrl)),
+      ], ['ai', 'news', 'api', 'blockchain']),
+      twitter: adaptForTwitterThread(thread.map((p, i) => `${i + 1}/${thread.length} ${p}`)),
+    };
+  });
+
+  // `stories` are marked as featured once a post goes out (lib/news.js recordFeatured)
+  return {
+    contents,
+    languages,
+    stats,
+    facts: { stories: stories.flatMap(s => numbersIn(`${s.title} ${s.summary}`)) },
+    stories: stories.map(({ key, title, url, source }) => ({ key, title, url, source })),
+    ...media,
+    template: template.id,
+  };
+}
@@ -0,0 +1,58 @@
+import { serve } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import { checkCatalog, markAnnounced, announcementsFor } from '../lib/catalog-watch.js';
+
+// The stub lists whatever `services` holds at the time of the check
+let services = [];
+let stub;
+before(async () => {
+  stub = await serve((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ services }));
+  });
+  config.serverUrl = stub.url;
+});
+after(() => stub.close());
+
+const service = (name, price = 0.01) => ({ endpoint: `/api/${name}`, name, description: `${name} things.`, price_usdc: price });
+const endpoints = list => list.map(s => s.endpoint);
+
+test('a service stays pending until its announcement is marked done', async () => {
+  services = [service('summarize')];
+  const baseline = await checkCatalog();
+  assert.equal(baseline.baseline, true);
+  assert.deepEqual(baseline.pending, []);
+
+  services = [service('summarize'), service('ocr')];
+  const first = await checkCatalog();
+  assert.deepEqual(endpoints(first.added), ['/api/ocr']);
+  assert.deepEqual(endpoints(first.pending), ['/api/ocr']);
+
+  // The announcement failed: the next check isn't news, but the service is still owed one
+  const second = await checkCatalog();
+  assert.deepEqual(second.added, []);
+  assert.deepEqual(endpoints(second.pending), ['/api/ocr']);
+
+  const [announcement] = announcementsFor(second.pending);
+  assert.deepEqual(announcement.endpoints, ['/api/ocr']);
+  assert.equal(announcement.options.apiName, 'ocr');
+  markAnnounced(announcement.endpoints);
+  assert.deepEqual((await checkCatalog()).pending, []);
+});
+
+test('a pending service delisted before its announcement is dropped', async () => {
+  services = [service('summarize'), service('ocr'), service('tts')];
+  assert.deepEqual(endpoints((await checkCatalog()).pending), ['/api/tts']);
+  services = [service('summarize'), service('ocr')];
+  assert.deepEqual((await checkCatalog()).pending, []);
+});
+
+test('a batch announcement covers every service it names', async () => {
+  const added = ['a', 'b', 'c'].map(name => ({ endpoint: `/api/${name}`, name, description: '', price: 0.01 }));
+  const announcements = announcementsFor(added);
+  assert.equal(announcements.length, 1);
+  assert.deepEqual(announcements[0].endpoints, ['/api/a', '/api/b', '/api/c']);
+  assert.equal(announcements[0].options.apiName, '3 new APIs');
+});
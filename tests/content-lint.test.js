@@ -0,0 +1,80 @@
+import { STATS, startMock } from './helpers.js';
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import { lintContents, formatIssues } from '../lib/content-lint.js';
+
+const only = rule => Object.assign(config.lint.rules, {
+  length: 'off', numbers: 'off', forbidden: 'off', links: 'off', sentiment: 'off', ...rule,
+});
+const messages = ({ issues }) => issues.map(i => i.message);
+
+describe('numbers', () => {
+  before(() => only({ numbers: 'block' }));
+
+  test('stats match at the precision they are written with', async () => {
+    const text = '42 APIs live, 99.7% uptime (100% rounded), 18,250 calls — 18.3k of them, 3\u202f120 payments, 640 calls in 24h.';
+    assert.deepEqual(await lintContents({ contents: { telegram: text }, stats: STATS }), { status: 'ok', issues: [] });
+  });
+
+  test('a number no stat or fact justifies blocks the post', async () => {
+    const lint = await lintContents({ contents: { telegram: '45 APIs live, 97% uptime' }, stats: STATS });
+    assert.equal(lint.status, 'blocked');
+    assert.deepEqual(messages(lint), ['"45" does not match any stat', '"97%" does not match any stat']);
+  });
+
+  test('small counts, years, links, facts and project facts pass', async () => {
+    const text = 'Top 5 APIs of 2026 at https://example.com/api/v2/12345 — now 0.005 USDC, 95% revenue share';
+    const lint = await lintContents({ contents: { telegram: text }, stats: STATS, facts: { apiPrice: '0.005' } });
+    assert.equal(lint.status, 'ok');
+  });
+});
+
+describe('forbidden phrases and length', () => {
+  before(() => only({ forbidden: 'block', length: 'flag' }));
+
+  test('forbidden phrases match whole words, case-insensitively', async () => {
+    assert.deepEqual(messages(await lintContents({ contents: { telegram: 'Guaranteed Returns for agents' } })), ['contains forbidden phrase "guaranteed returns"']);
+    assert.deepEqual(messages(await lintContents({ contents: { telegram: 'unguaranteed returnsless' } })), []);
+  });
+
+  test('each field is measured against its network limit', async () => {
+    const lint = await lintContents({ contents: { twitter: ['ok', 'x'.repeat(281)], hn: { title: 'y'.repeat(81), url: 'https://example.com' } } });
+    assert.equal(lint.status, 'flagged');
+    assert.deepEqual(lint.issues.map(i => `${i.platform}: ${i.message}`), [
+      'twitter: post 2/2 is over the 280-character limit',
+      'hn: title is over the 80-character limit',
+    ]);
+  });
+});
+
+describe('links and sentiment', () => {
+  let mock;
+  before(async () => {
+    mock = await startMock();
+    only({ links: 'flag', sentiment: 'flag' });
+  });
+  after(() => mock.stop());
+
+  test('unreachable links are flagged', async () => {
+    const text = `Stats at ${mock.url}/api/public-stats, docs at ${mock.url}/missing.`;
+    assert.deepEqual(messages(await lintContents({ contents: { telegram: text } })), [`link ${mock.url}/missing unreachable (HTTP 404)`]);
+  });
+
+  test('negative sentiment is flagged, positive passes', async () => {
+    config.lint.rules.links = 'off';
+    assert.deepEqual(messages(await lintContents({ contents: { telegram: 'A great new launch, growing fast' } })), []);
+    const lint = await lintContents({ contents: { telegram: 'Another outage: slow, broken, failed calls' } });
+    assert.equal(lint.status, 'flagged');
+    assert.deepEqual(messages(lint), ['sentiment is negative']);
+  });
+
+  test('an unavailable sentiment check is a warning, not a pass', async () => {
+    await mock.stop();
+    config.http.retries = 0;
+    const lint = await lintContents({ contents: { telegram: 'A great new launch' } });
+    assert.equal(lint.status, 'ok');
+    assert.deepEqual(lint.issues.map(i => [i.rule, i.action, i.message]), [['sentiment', 'warn', 'sentiment check unavailable']]);
+    assert.match(formatIssues(lint), /WARN {2}telegram \[sentiment\] sentiment check unavailable/);
+  });
+});
@@ -0,0 +1,72 @@
+import { startMock } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import { quoteApi } from '../lib/x402-client.js';
+import { estimateStrategy, refusalReason, formatEstimate } from '../lib/cost-estimator.js';
+
+let mock;
+before(async () => {
+  mock = await startMock({ MOCK_PRICES: '/api/summarize=0.004' });
+  config.lint.rules.sentiment = 'off'; // no lint calls in the estimates below
+});
+after(() => mock.stop());
+
+const strategy = calls => ({ name: 'test', paidCalls: () => calls });
+
+test('quoteApi reads the price from the 402 challenge', async () => {
+  const quote = await quoteApi('/api/summarize');
+  assert.equal(quote.cost, 0.004);
+  assert.equal(quote.scheme, 'exact');
+  assert.match(quote.recipient, /^0x4020/);
+});
+
+test('quoteApi: a 2xx answer is free, other statuses are quote errors', async () => {
+  assert.deepEqual(await quoteApi('/api/public-stats'), { url: `${config.serverUrl}/api/public-stats`, cost: 0, free: true });
+  const missing = await quoteApi('/api/missing');
+  assert.equal(missing.cost, null);
+  assert.equal(missing.error, 'HTTP 404');
+});
+
+test('estimateStrategy prices each declared call from live quotes', async () => {
+  const estimate = await estimateStrategy(strategy([{ endpoint: '/api/summarize', count: 3 }, { endpoint: '/api/image' }]), {}, { preview: true });
+  assert.deepEqual(estimate.calls.map(c => [c.endpoint, c.count, c.unitPrice, c.source]), [
+    ['/api/summarize', 3, 0.004, 'quote'],
+    ['/api/image', 1, 0.05, 'quote'],
+  ]);
+  assert.ok(Math.abs(estimate.total - 0.062) < 1e-9);
+  assert.equal(estimate.regenerations.count, 0);
+  assert.deepEqual(estimate.unknown, []);
+  assert.equal(estimate.affordable, estimate.total <= estimate.remaining);
+});
+
+test('a call that cannot be priced makes the run unaffordable', async () => {
+  const estimate = await estimateStrategy(strategy([{ endpoint: '/api/summarize' }, { endpoint: '/api/missing', count: 2 }]), {}, { preview: true });
+  const missing = estimate.calls.find(c => c.endpoint === '/api/missing');
+  assert.equal(missing.unitPrice, null);
+  assert.equal(missing.total, null);
+  assert.equal(missing.source, 'unknown');
+  assert.equal(estimate.total, 0.004);
+  assert.deepEqual(estimate.unknown, ['/api/missing']);
+  assert.equal(estimate.walletConfigured, true);
+  assert.equal(estimate.affordable, false);
+  assert.match(refusalReason(estimate), /Cannot price \/api\/missing/);
+});
+
+test('a full run counts the reruns a duplicate can cause, a preview does not', async () => {
+  config.lint.rules.sentiment = 'flag';
+  const mod = strategy([{ endpoint: '/api/summarize', count: 2 }]);
+  const preview = await estimateStrategy(mod, {}, { preview: true });
+  const run = await estimateStrategy(mod);
+  const lint = preview.calls.find(c => c.lint);
+  assert.equal(lint.endpoint, '/api/sentiment');
+  // Reruns repeat the strategy's calls, not the lint (it runs once, on the final posts)
+  assert.deepEqual(run.regenerations, { count: config.dedupe.maxRegenerations, perRun: 0.008, total: config.dedupe.maxRegenerations * 0.008 });
+  assert.ok(Math.abs(run.total - preview.total - run.regenerations.total) < 1e-9);
+  assert.match(formatEstimate(run), /regenerations\s+up to 2 × 0\.0080 = 0\.0160 USDC/);
+
+  config.dedupe.onDuplicate = 'skip';
+  assert.equal((await estimateStrategy(mod)).regenerations.total, 0);
+  config.dedupe.onDuplicate = 'regenerate';
+  config.lint.rules.sentiment = 'off';
+});
@@ -0,0 +1,55 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import { similarity, findDuplicates, recordPublished, generateUnique } from '../lib/dedupe.js';
+
+const ok = { success: true };
+
+test('similarity masks numbers and compares word trigrams', () => {
+  assert.equal(similarity('42 apis live with 99.7% uptime today', '43 apis live with 99.8% uptime today'), 1);
+  assert.equal(similarity('a new weather api for agents', 'the weekly news roundup is out'), 0);
+  const partial = similarity('x402 bazaar now lists weather forecasts for agents', 'x402 bazaar now lists translation for agents');
+  assert.ok(partial > 0 && partial < 0.5, `${partial}`);
+});
+
+test('published posts are found again, exactly or nearly, per content key', () => {
+  recordPublished(
+    { twitter: '42 APIs live on x402 Bazaar, 99.7% uptime. https://x402bazaar.org', telegram: 'Not published' },
+    { twitter: ok, telegram: { success: false } },
+    { strategy: 'daily-stats', template: 'short' },
+  );
+  const [exact] = findDuplicates({ twitter: '42 APIs live on x402 Bazaar, 99.7% uptime. https://x402bazaar.org/?ref=1' });
+  assert.equal(exact.kind, 'exact');
+  assert.equal(exact.strategy, 'daily-stats');
+
+  const [similar] = findDuplicates({ twitter: '45 APIs live on x402 Bazaar, 99.9% uptime.' });
+  assert.equal(similar.kind, 'similar');
+  assert.match(similar.reason, /^100% similar to the \d{4}-\d{2}-\d{2} post$/);
+
+  assert.deepEqual(findDuplicates({ telegram: 'Not published', 'twitter:fr': '42 APIs live on x402 Bazaar, 99.7% uptime.' }), []);
+});
+
+test('generateUnique reruns with the tried templates excluded, then skips what is still a duplicate', async () => {
+  recordPublished({ discord: 'Same words every time', devto: 'Template a' }, { discord: ok, devto: ok });
+  const runs = [];
+  const result = await generateUnique(async ctx => {
+    runs.push(ctx.exclude);
+    const template = ['a', 'b', 'c'][runs.length - 1];
+    return { template, contents: { discord: 'Same words every time', devto: `Template ${template}` } };
+  }, 'test');
+  // devto changed on the first rerun; discord never does, so regenerating stops there
+  assert.deepEqual(runs, [[], ['a']]);
+  assert.equal(result.template, 'b');
+  assert.deepEqual(result.skipped, ['discord']);
+  assert.deepEqual(Object.keys(result.contents), ['devto']);
+});
+
+test('with onDuplicate "skip" nothing is rerun', async () => {
+  config.dedupe.onDuplicate = 'skip';
+  let runs = 0;
+  const result = await generateUnique(async () => { runs++; return { contents: { devto: 'Template a' } }; }, 'test');
+  assert.equal(runs, 1);
+  assert.deepEqual(result.skipped, ['devto']);
+  config.dedupe.onDuplicate = 'regenerate';
+});
@@ -0,0 +1,94 @@
+// Shared test setup — import first: the agent's state goes to a fresh temp dir
+// (config.js reads AGENT_DATA_DIR when it loads)
+import fs from 'fs';
+import os from 'os';
+import net from 'net';
+import http from 'http';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+export const dataDir = fs.mkdtempSync(join(os.tmpdir(), 'x402-agent-test-'));
+process.env.AGENT_DATA_DIR = dataDir;
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// A throwaway wallet on a testnet, paying the mock server (started on demand below);
+// nothing reaches the real Bazaar
+export const TEST_KEY = '0xac0974bec39a17e36ba4a84b23a9b2e1d1d2b8f0b5d4b3b1c9f2d0e1a1b2c3d4';
+Object.assign(process.env, {
+  AGENT_SIGNER: 'env', AGENT_PRIVATE_KEY: TEST_KEY, X402_NETWORK: 'base-sepolia', X402_SERVER_URL: 'http://127.0.0.1:9',
+});
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+// Start mock-bazaar.js on a free port and point config.serverUrl at it
+// (env: MOCK_PRICES…) → { url, stop, status }
+export async function startMock(env = {}) {
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  const { config } = await import('../config.js');
+  config.serverUrl = url;
+  const child = spawn(process.execPath, [join(ROOT, 'mock-bazaar.js')], {
+    env: { ...process.env, MOCK_PORT: String(port), MOCK_HOST: '127.0.0.1', MOCK_VERIFIER: 'fake', MOCK_PROTOCOL: 'x402', ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  const stop = () => new Promise(resolve => {
+    if (child.exitCode !== null || child.signalCode !== null) return resolve();
+    child.once('exit', resolve);
+    child.kill();
+  });
+  process.on('exit', () => child.kill());
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => { child.kill(); reject(new Error(`Mock did not start:\n${output}`)); }, 10_000);
+    const read = chunk => {
+      output += chunk;
+      if (!output.includes('Listening on')) return;
+      clearTimeout(timer);
+      resolve({ url, stop, status: async () => (await fetch(`${url}/mock/status`)).json() });
+    };
+    child.stdout.on('data', read);
+    child.stderr.on('data', read);
+    child.on('exit', code => { clearTimeout(timer); reject(new Error(`Mock exited (${code}):\n${output}`)); });
+  });
+}
+
+// A throwaway server answering with `handler(req, res)`, for scripted
+// upstream behaviour the mock doesn't have → { url, close }
+export function serve(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler).listen(0, '127.0.0.1', () => {
+      const close = () => new Promise(done => {
+        server.closeAllConnections();
+        server.close(done);
+      });
+      resolve({ url: `http://127.0.0.1:${server.address().port}`, close });
+    });
+  });
+}
+
+// fetchStats() as it normalizes mock/fixtures.json
+export const STATS = {
+  totalServices: 42,
+  totalCalls: 18250,
+  totalPayments: 3120,
+  uptimePercent: 99.7,
+  recentCalls24h: 640,
+  topEndpoints: [
+    { endpoint: '/api/summarize', name: 'Summarize', calls: 5210 },
+    { endpoint: '/api/translate', name: 'Translate', calls: 3980 },
+    { endpoint: '/api/search', name: 'Web Search', calls: 2740 },
+  ],
+  monitoring: {},
+  integrations: 6,
+  tests: 0,
+};
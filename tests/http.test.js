@@ -0,0 +1,86 @@
+import { serve } from './helpers.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import { request, getCircuitState } from '../lib/http.js';
+import { callApi } from '../lib/x402-client.js';
+
+before(() => Object.assign(config.http, { backoffBaseMs: 1, backoffMaxMs: 5 }));
+
+// Answers `statuses` in turn (then the last one again) and counts requests
+async function scripted(...statuses) {
+  let calls = 0;
+  const server = await serve((req, res) => {
+    const status = statuses[Math.min(calls++, statuses.length - 1)];
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status }));
+  });
+  return { ...server, calls: () => calls };
+}
+
+test('idempotent requests are retried on 5xx, other requests are not', async () => {
+  const server = await scripted(503, 200);
+  try {
+    assert.equal((await request(`${server.url}/api/get`)).status, 200);
+    assert.equal(server.calls(), 2);
+    const post = await request(`${server.url}/api/post`, { method: 'POST' });
+    assert.equal(post.status, 200);
+    const failing = await scripted(502);
+    try {
+      assert.equal((await request(`${failing.url}/api/post`, { method: 'POST' })).status, 502);
+      assert.equal(failing.calls(), 1);
+    } finally { await failing.close(); }
+  } finally { await server.close(); }
+});
+
+test('4xx answers come back as they are', async () => {
+  const server = await scripted(404);
+  try {
+    assert.equal((await request(`${server.url}/api/missing`)).status, 404);
+    assert.equal(server.calls(), 1);
+  } finally { await server.close(); }
+});
+
+test('a hung upstream times out', async () => {
+  const server = await serve(() => {}); // never answers
+  try {
+    await assert.rejects(request(`${server.url}/api/slow`, {}, { retry: false, timeoutMs: 50 }), /Timeout after 50ms/);
+  } finally { await server.close(); }
+});
+
+test('consecutive failures open the circuit; only ungated requests get through', async () => {
+  const server = await scripted(500);
+  try {
+    await request(`${server.url}/api/a`); // 1 + 2 retries = 3 failures
+    assert.equal(server.calls(), 3);
+    assert.equal(getCircuitState()[server.url].state, 'open');
+    await assert.rejects(request(`${server.url}/api/a`), /Circuit open/);
+    assert.equal(server.calls(), 3);
+    assert.equal((await request(`${server.url}/api/a`, {}, { gate: false, retry: false })).status, 500);
+    assert.equal(server.calls(), 4);
+  } finally { await server.close(); }
+});
+
+test('a request carrying a payment is never sent twice', async () => {
+  let proofs = 0;
+  const server = await serve((req, res) => {
+    if (req.headers['x-payment']) {
+      proofs++;
+      res.writeHead(503);
+      return res.end();
+    }
+    res.writeHead(402, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      x402Version: 1,
+      accepts: [{
+        scheme: 'exact', network: 'base-sepolia', maxAmountRequired: '1000', resource: req.url,
+        payTo: '0x4020000000000000000000000000000000000001', maxTimeoutSeconds: 60,
+        asset: config.networks['base-sepolia'].usdcAddress, extra: { name: 'USD Coin', version: '2' },
+      }],
+    }));
+  });
+  try {
+    await assert.rejects(callApi(`${server.url}/api/paid`, { noCache: true }), /HTTP 503 .* after payment \(kept in journal\)/);
+  } finally { await server.close(); }
+  assert.equal(proofs, 1);
+});
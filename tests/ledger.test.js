@@ -0,0 +1,83 @@
+import { dataDir, startMock } from './helpers.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { config } from '../config.js';
+import { reserveBudget, releaseReservation, recordPayment, getEntries, getWindowTotals } from '../lib/ledger.js';
+import { callApi } from '../lib/x402-client.js';
+
+const LEDGER = join(dataDir, 'spend-ledger.json');
+
+let mock;
+before(async () => { mock = await startMock({ MOCK_PRICES: '/api/summarize=0.004' }); });
+after(() => mock.stop());
+
+beforeEach(() => {
+  fs.rmSync(LEDGER, { force: true });
+  Object.assign(config, { maxBudget: 0.5, maxWeeklyBudget: 2.5, maxMonthlyBudget: 8 });
+});
+
+test('reserveBudget holds the amount against every cap until released', () => {
+  config.maxBudget = 0.01;
+  const first = reserveBudget(0.006, '/api/a');
+  assert.equal(getWindowTotals().daily.reserved, 0.006);
+  assert.throws(() => reserveBudget(0.006, '/api/b'), /Budget limit reached \(daily\).*in flight/);
+  releaseReservation(first);
+  assert.equal(getWindowTotals().daily.reserved, 0);
+  assert.ok(reserveBudget(0.006, '/api/b'));
+  assert.equal(fs.existsSync(`${LEDGER}.lock`), false);
+});
+
+test('weekly and monthly caps refuse like the daily one', () => {
+  config.maxWeeklyBudget = 0.01;
+  recordPayment({ amount: 0.008, txHash: '0x1', endpoint: '/api/a' });
+  assert.throws(() => reserveBudget(0.004, '/api/b'), /\(weekly\)/);
+  config.maxMonthlyBudget = 0.009;
+  config.maxWeeklyBudget = 1;
+  assert.throws(() => reserveBudget(0.004, '/api/b'), /\(monthly\)/);
+});
+
+test('recordPayment replaces its reservation; history lists payments only', () => {
+  const id = reserveBudget(0.004, '/api/a');
+  recordPayment({ amount: 0.004, txHash: '0x2', endpoint: '/api/a', reservationId: id });
+  const totals = getWindowTotals().daily;
+  assert.equal(totals.spent, 0.004);
+  assert.equal(totals.reserved, 0);
+  assert.deepEqual(getEntries().map(e => e.txHash), ['0x2']);
+});
+
+test('reservations made by another process count too', () => {
+  config.maxBudget = 0.01;
+  reserveBudget(0.006, '/api/a');
+  // Another process adds its own reservation straight to the file
+  const other = JSON.parse(fs.readFileSync(LEDGER, 'utf-8'));
+  other.push({ ...other[0], id: 'other', amount: 0.003 });
+  fs.writeFileSync(LEDGER, JSON.stringify(other));
+  assert.throws(() => reserveBudget(0.002, '/api/b'), /Budget limit reached/);
+});
+
+test('totals and history show what another process booked since', () => {
+  recordPayment({ amount: 0.004, txHash: '0x3', endpoint: '/api/a' });
+  assert.equal(getWindowTotals().daily.spent, 0.004);
+  // The agent CLI books a payment while the dashboard is running
+  const other = JSON.parse(fs.readFileSync(LEDGER, 'utf-8'));
+  other.push({ ...other[0], id: 'cli', amount: 0.002, txHash: '0x4' });
+  fs.writeFileSync(LEDGER, JSON.stringify(other));
+  assert.equal(getWindowTotals().daily.spent, 0.006);
+  assert.deepEqual(getEntries().map(e => e.txHash), ['0x3', '0x4']);
+});
+
+test('concurrent paid calls cannot both pass a cap that fits one', async () => {
+  config.maxBudget = 0.006;
+  const results = await Promise.allSettled([
+    callApi('/api/summarize', { method: 'POST', body: { text: 'first', maxLength: 50 }, noCache: true }),
+    callApi('/api/summarize', { method: 'POST', body: { text: 'second', maxLength: 50 }, noCache: true }),
+  ]);
+  assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.match(results.find(r => r.status === 'rejected').reason.message, /Payment refused: Budget limit reached \(daily\)/);
+  const totals = getWindowTotals().daily;
+  assert.equal(totals.spent, 0.004);
+  assert.equal(totals.reserved, 0);
+  assert.equal((await mock.status()).stats.paid, 1);
+});
@@ -0,0 +1,37 @@
+import { startMock } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { archiveImage, storeImage, readAsset } from '../lib/media-store.js';
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>';
+let mock, svgServer, svgUrl;
+before(async () => {
+  mock = await startMock();
+  svgServer = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+    res.end(SVG);
+  });
+  await new Promise(resolve => svgServer.listen(0, '127.0.0.1', resolve));
+  svgUrl = `http://127.0.0.1:${svgServer.address().port}/image.svg`;
+});
+after(async () => {
+  svgServer.close();
+  await mock.stop();
+});
+
+test('archiveImage keeps a downloaded PNG under its content hash', async () => {
+  const asset = await archiveImage(`${mock.url}/mock/images/${'ab'.repeat(32)}.png`, { prompt: 'test' });
+  assert.match(asset.id, /^[0-9a-f]{64}\.png$/);
+  assert.equal(asset.mimeType, 'image/png');
+  assert.equal(readAsset(asset.id).bytes.subarray(1, 4).toString(), 'PNG');
+});
+
+test('archiveImage refuses a downloaded SVG', async () => {
+  assert.equal(await archiveImage(svgUrl), null);
+});
+
+test('storeImage still keeps locally rendered SVG', () => {
+  const asset = storeImage(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'), 'image/svg+xml', { kind: 'stat-card' });
+  assert.match(asset.id, /\.svg$/);
+});
@@ -0,0 +1,137 @@
+import { dataDir, serve } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { spawnSync } from 'child_process';
+import { config } from '../config.js';
+import * as journal from '../lib/payment-journal.js';
+import { callApi, getOrphanedPayments, resumeOrphanedPayments, getSpending } from '../lib/x402-client.js';
+
+const JOURNAL = join(dataDir, 'payment-journal.json');
+const readJournal = () => JSON.parse(fs.readFileSync(JOURNAL, 'utf-8'));
+
+const PAY_TO = '0x4020000000000000000000000000000000000001';
+
+// Scripted x402 server: drops the connection on the first paid request (the
+// payment left, the answer never came back) and accepts the proofs after that,
+// or refuses them as a used nonce with `refuseReplay`
+async function flakyServer({ refuseReplay = false } = {}) {
+  const proofs = [];
+  const server = await serve((req, res) => {
+    const proof = req.headers['x-payment'];
+    if (!proof) {
+      res.writeHead(402, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({
+        x402Version: 1,
+        accepts: [{
+          scheme: 'exact', network: 'base-sepolia', maxAmountRequired: '2000', resource: req.url, payTo: PAY_TO,
+          maxTimeoutSeconds: 60, asset: config.networks['base-sepolia'].usdcAddress, extra: { name: 'USD Coin', version: '2' },
+        }],
+      }));
+    }
+    proofs.push(proof);
+    if (proofs.length === 1) return req.socket.destroy();
+    if (refuseReplay) {
+      const refusal = Buffer.from(JSON.stringify({ success: false, errorReason: 'invalid_exact_evm_payload_authorization_nonce_used' })).toString('base64');
+      res.writeHead(402, { 'Content-Type': 'application/json', 'X-PAYMENT-RESPONSE': refusal });
+      return res.end('{}');
+    }
+    const settlement = Buffer.from(JSON.stringify({ success: true, transaction: `0x${'cd'.repeat(32)}` })).toString('base64');
+    res.writeHead(200, { 'Content-Type': 'application/json', 'X-PAYMENT-RESPONSE': settlement });
+    res.end(JSON.stringify({ answer: proofs.length }));
+  });
+  return { ...server, proofs };
+}
+
+test('the next identical call replays the journaled proof instead of paying again', async () => {
+  const server = await flakyServer();
+  const url = `${server.url}/api/summarize?text=resume`;
+  const spent = getSpending().spent;
+  try {
+    await assert.rejects(callApi(url, { noCache: true }), /Network error/);
+    const [orphan] = getOrphanedPayments().filter(e => e.url === url);
+    assert.equal(orphan.status, 'sent');
+    assert.equal(orphan.paymentHeader, undefined); // proofs aren't listed
+    // Money may have moved: the budget stays held while the outcome is unknown
+    assert.equal(getSpending().windows.daily.reserved, 0.002);
+
+    assert.deepEqual(await callApi(url, { noCache: true }), { answer: 2 });
+  } finally { await server.close(); }
+
+  assert.equal(server.proofs.length, 2);
+  assert.equal(server.proofs[1], server.proofs[0]); // same signed authorization
+  assert.equal(getOrphanedPayments().filter(e => e.url === url).length, 0);
+  assert.ok(Math.abs(getSpending().spent - spent - 0.002) < 1e-9); // booked once
+  assert.equal(getSpending().windows.daily.reserved, 0);
+});
+
+test('orphans left by an earlier run are resumed on startup', async () => {
+  const server = await flakyServer();
+  const url = `${server.url}/api/summarize?text=startup`;
+  try {
+    await assert.rejects(callApi(url, { noCache: true }));
+    const results = (await resumeOrphanedPayments()).filter(r => r.url === url);
+    assert.deepEqual(results.map(r => r.success), [true]);
+  } finally { await server.close(); }
+  assert.equal(server.proofs.length, 2);
+  assert.equal(server.proofs[1], server.proofs[0]);
+  assert.equal(getOrphanedPayments().length, 0);
+});
+
+test('a refused replay is booked as paid by the first send, not failed', async () => {
+  const server = await flakyServer({ refuseReplay: true });
+  const url = `${server.url}/api/summarize?text=nonce-used`;
+  const spent = getSpending().spent;
+  try {
+    await assert.rejects(callApi(url, { noCache: true }), /Network error/);
+    await assert.rejects(callApi(url, { noCache: true }), /replay refused \(invalid_exact_evm_payload_authorization_nonce_used\) — the first send is booked as paid/);
+  } finally { await server.close(); }
+
+  const entry = readJournal().find(e => e.url === url);
+  assert.equal(entry.status, 'settled');
+  assert.match(entry.error, /^Replay refused/);
+  assert.ok(entry.ledgerId);
+  assert.ok(Math.abs(getSpending().spent - spent - 0.002) < 1e-9);
+  assert.equal(getSpending().windows.daily.reserved, 0);
+});
+
+// Journal entry as another process would have written it
+function foreignEntry(fields) {
+  const now = new Date().toISOString();
+  return {
+    id: `foreign-${Math.random().toString(36).slice(2)}`, key: 'k', url: 'http://127.0.0.1:9/api/summarize', method: 'GET', body: null, headers: {},
+    scheme: 'exact', network: 'base-sepolia', amount: 0.001, recipient: '0x4020000000000000000000000000000000000001', context: null,
+    reservationId: null, status: 'sent', txHash: null, ledgerId: null, error: null, createdAt: now, updatedAt: now, ...fields,
+  };
+}
+
+test("another process's entries survive this process's writes", () => {
+  const foreign = foreignEntry({ claim: { pid: process.ppid, at: new Date().toISOString() } });
+  fs.writeFileSync(JOURNAL, JSON.stringify([...readJournal(), foreign]));
+  const mine = journal.beginPayment({ url: 'http://127.0.0.1:9/api/mine', scheme: 'exact', network: 'base-sepolia', amount: 0.001, recipient: foreign.recipient });
+  journal.markFailed(mine.id, 'test');
+  const ids = readJournal().map(e => e.id);
+  assert.ok(ids.includes(foreign.id));
+  assert.ok(ids.includes(mine.id));
+});
+
+test('claims live in the file: a live claimant keeps an entry, a dead one releases it', () => {
+  const held = foreignEntry({ claim: { pid: process.ppid, at: new Date().toISOString() } });
+  const { pid: deadPid } = spawnSync(process.execPath, ['-e', '']); // has exited by now
+  const abandoned = foreignEntry({ claim: { pid: deadPid, at: new Date().toISOString() } });
+  fs.writeFileSync(JOURNAL, JSON.stringify([...readJournal(), held, abandoned]));
+
+  const orphans = journal.getOrphans().map(e => e.id);
+  assert.ok(!orphans.includes(held.id));
+  assert.ok(orphans.includes(abandoned.id));
+  assert.equal(journal.claim(held.id), null);
+
+  const claimed = journal.claim(abandoned.id);
+  assert.equal(claimed.claim.pid, process.pid);
+  assert.equal(readJournal().find(e => e.id === abandoned.id).claim.pid, process.pid);
+  assert.equal(journal.claim(abandoned.id), null); // not twice, even in this process
+  journal.markFailed(abandoned.id, 'test');
+  journal.markFailed(held.id, 'test');
+  assert.equal(readJournal().find(e => e.id === abandoned.id).claim, undefined);
+});
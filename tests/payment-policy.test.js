@@ -0,0 +1,70 @@
+import { startMock } from './helpers.js';
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import { checkPaymentPolicy, refreshPriceCatalog } from '../lib/payment-policy.js';
+import { callApi, clientEvents } from '../lib/x402-client.js';
+
+const MOCK_PAY_TO = '0x4020000000000000000000000000000000004020';
+const OTHER = '0x00000000000000000000000000000000000000aa';
+
+let mock;
+before(async () => {
+  mock = await startMock({ MOCK_PRICES: '/api/search=0.05' });
+  await refreshPriceCatalog();
+});
+after(() => mock.stop());
+
+const policy = { ...config.paymentPolicy };
+afterEach(() => Object.assign(config.paymentPolicy, policy));
+
+const check = (path, cost, recipient = MOCK_PAY_TO) => checkPaymentPolicy({ url: `${mock.url}${path}`, recipient, cost });
+
+test('a listed price to the listed recipient passes', async () => {
+  assert.equal(await check('/api/summarize', 0.005), null);
+  assert.equal(await check('/api/summarize', 0.0055), null); // within the 10% tolerance
+});
+
+test('invalid amounts and recipients are refused', async () => {
+  assert.match(await check('/api/summarize', 0), /invalid quoted amount/);
+  assert.match(await check('/api/summarize', NaN), /invalid quoted amount/);
+  assert.match(await check('/api/summarize', 0.005, '0x1234'), /not a valid address/);
+});
+
+test('a server-sent recipient is sanitized and bounded in the reason', async () => {
+  const reason = await check('/api/summarize', 0.005, `<img src=x onerror=alert(1)>\n${'A'.repeat(500)}`);
+  assert.match(reason, /not a valid address/);
+  assert.ok(!reason.includes('\n'));
+  assert.ok(reason.length < 120);
+});
+
+test('the allowlist, when set, is the only way through', async () => {
+  config.paymentPolicy.allowedRecipients = [OTHER];
+  assert.match(await check('/api/summarize', 0.005), /not in the allowlist/);
+  config.paymentPolicy.allowedRecipients = [MOCK_PAY_TO];
+  assert.equal(await check('/api/summarize', 0.005), null);
+});
+
+test('per-call ceiling and per-endpoint limits', async () => {
+  assert.match(await check('/api/unlisted', 0.2), /exceeds the per-call ceiling of 0.1 USDC/);
+  // The mock lists /api/search at 0.05, above the 0.02 limit set for it
+  assert.match(await check('/api/search', 0.05), /exceeds the 0.02 USDC limit for \/api\/search/);
+});
+
+test('inflated prices and a swapped recipient are caught against the catalog', async () => {
+  assert.match(await check('/api/summarize', 0.009), /above the catalog price of 0.005 USDC/);
+  assert.match(await check('/api/summarize', 0.005, OTHER), /differs from the catalog recipient/);
+});
+
+test('a refused demand is reported and nothing is paid', async () => {
+  const rejected = [];
+  const onRejected = e => rejected.push(e);
+  clientEvents.on('payment-rejected', onRejected);
+  try {
+    await assert.rejects(callApi('/api/search?q=x402', { noCache: true }), /Payment refused: quoted 0.05 USDC exceeds the 0.02 USDC limit/);
+  } finally { clientEvents.off('payment-rejected', onRejected); }
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].recipient, MOCK_PAY_TO);
+  assert.equal(rejected[0].amount, 0.05);
+  assert.equal((await mock.status()).stats.paid, 0);
+});
@@ -0,0 +1,55 @@
+import { startMock } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import * as cache from '../lib/response-cache.js';
+import { callApi, getSpending } from '../lib/x402-client.js';
+
+let mock;
+before(async () => { mock = await startMock(); });
+after(() => mock.stop());
+
+const paid = async () => (await mock.status()).stats.paid;
+
+test('an identical paid call is served from the cache and counted as saved', async () => {
+  const first = await callApi('/api/summarize?text=cache%20me');
+  const again = await callApi('/api/summarize?text=cache%20me');
+  assert.deepEqual(again, first);
+  assert.equal(await paid(), 1);
+  const stats = getSpending().cache;
+  assert.equal(stats.hits, 1);
+  assert.equal(stats.savedUsdc, 0.005);
+  assert.equal(stats.sessionSavedUsdc, 0.005);
+});
+
+test('another body, noCache or a zero TTL pays again', async () => {
+  const before = await paid();
+  await callApi('/api/summarize?text=something%20else');
+  await callApi('/api/summarize?text=cache%20me', { noCache: true });
+  config.cache.ttlSeconds['/api/sentiment'] = 0;
+  try {
+    await callApi('/api/sentiment?text=fine');
+    await callApi('/api/sentiment?text=fine');
+  } finally { config.cache.ttlSeconds['/api/sentiment'] = 7 * 86400; }
+  assert.equal(await paid(), before + 4);
+});
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5)); // distinct lastUsedAt
+
+test('over the size limit, the least recently used entries go first', async () => {
+  cache.clear();
+  const maxBytes = config.cache.maxBytes;
+  config.cache.maxBytes = 120;
+  try {
+    cache.set('a', 'http://x/api/summarize', { text: 'a'.repeat(40) }, 0.005);
+    await tick();
+    cache.set('b', 'http://x/api/summarize', { text: 'b'.repeat(40) }, 0.005);
+    await tick();
+    assert.ok(cache.get('a')); // a is now the most recently used
+    await tick();
+    cache.set('c', 'http://x/api/summarize', { text: 'c'.repeat(40) }, 0.005);
+    assert.ok(cache.get('a'));
+    assert.equal(cache.get('b'), null);
+    assert.ok(cache.get('c'));
+  } finally { config.cache.maxBytes = maxBytes; }
+});
@@ -0,0 +1,57 @@
+import { STATS } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import { paragraph, heading, list, bold, code, link, render, toPlainText, formatFor, toDocument } from '../lib/rich-text.js';
+import { adaptForTelegram } from '../lib/content-gen.js';
+import { measure } from '../lib/text-length.js';
+
+// An API name with the characters that used to break postToChannel
+const announcement = [paragraph('New API: ', bold('get_price*'), ' — ', code('/api/get_price'))];
+
+test('Telegram MarkdownV2 escapes text, marks and link URLs', () => {
+  assert.equal(render(announcement, 'telegram-markdownv2'), 'New API: *get\\_price\\** — `/api/get_price`');
+  assert.equal(
+    render([paragraph(link('docs (v2).', 'https://x.org/a_(b)'))], 'telegram-markdownv2'),
+    '[docs \\(v2\\)\\.](https://x.org/a_(b\\))',
+  );
+});
+
+test('Telegram HTML escapes entities', () => {
+  assert.equal(render([paragraph(bold('<b>&'), ' a<b')], 'telegram-html'), '<b>&lt;b&gt;&amp;</b> a&lt;b');
+  assert.equal(render([paragraph(link('x & y', 'https://x.org/?a=1&b="2"'))], 'telegram-html'), '<a href="https://x.org/?a=1&amp;b=&quot;2&quot;">x &amp; y</a>');
+});
+
+test('markdown flavours escape their own markers, block markers only at line start', () => {
+  assert.equal(render([paragraph('a_b *c* #1')], 'discord'), 'a\\_b \\*c\\* #1');
+  assert.equal(render([paragraph('# not a heading')], 'discord'), '\\# not a heading');
+  assert.equal(render([paragraph('2^10 a_b')], 'reddit'), '2\\^10 a\\_b');
+  assert.equal(render([heading('Stats'), list('one', ['two ', bold('bold')])], 'markdown'), '## Stats\n\n- one\n- two **bold**');
+});
+
+test('headings drawn in bold do not nest bold marks', () => {
+  assert.equal(render([heading('New ', bold('API'))], 'telegram-markdownv2'), '*New API*');
+  assert.equal(render([heading('New ', bold('API'))], 'discord'), '**New API**');
+});
+
+test('plain text drops marks and spells links out', () => {
+  assert.equal(toPlainText(announcement), 'New API: get_price* — /api/get_price');
+  assert.equal(toPlainText([paragraph(link('site', 'https://x.org'), ' and ', link('https://y.org', 'https://y.org'))]), 'site (https://x.org) and https://y.org');
+  assert.deepEqual(toDocument('one\n\ntwo'), [paragraph('one'), paragraph('two')]);
+});
+
+test('each network gets its format', () => {
+  assert.equal(formatFor('telegram'), 'telegram-markdownv2');
+  const parseMode = config.platforms.telegram.parseMode;
+  config.platforms.telegram.parseMode = 'HTML';
+  try { assert.equal(formatFor('telegram'), 'telegram-html'); } finally { config.platforms.telegram.parseMode = parseMode; }
+  assert.deepEqual(['discord', 'reddit', 'devto', 'linkedin', 'farcaster'].map(formatFor), ['discord', 'reddit', 'markdown', 'plain', 'plain']);
+});
+
+test('a Telegram caption is cut before escaping, within the caption limit', () => {
+  const { text, parseMode } = adaptForTelegram('Agents pay per_call. '.repeat(120), STATS, 'https://x.org/card.png');
+  assert.equal(parseMode, 'MarkdownV2');
+  assert.ok(measure(text, 'telegram') <= config.limits.telegram.maxCaptionChars);
+  assert.doesNotMatch(text, /\\(?![_*[\]()~`>#+\-=|{}.!\\])/); // no escape split from its character
+  assert.match(text, /x402bazaar\\\.org\]/); // the footer survived
+});
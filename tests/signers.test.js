@@ -0,0 +1,26 @@
+import { dataDir, TEST_KEY } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { importKey, decryptKeystore } from '../lib/signers.js';
+
+const OTHER_KEY = `0x${'11'.repeat(32)}`;
+
+test('importKey never replaces a keystore silently, and backs it up when told to', () => {
+  const path = join(dataDir, 'import-test', 'keystore.json');
+  const first = importKey(TEST_KEY, 'first passphrase', { path });
+  const original = fs.readFileSync(path, 'utf-8');
+
+  assert.throws(() => importKey(OTHER_KEY, 'second passphrase', { path }), /already exists/);
+  assert.equal(fs.readFileSync(path, 'utf-8'), original);
+
+  const second = importKey(OTHER_KEY, 'second passphrase', { path, overwrite: true });
+  assert.notEqual(second, first);
+  const backups = fs.readdirSync(join(dataDir, 'import-test')).filter(f => f.endsWith('.bak'));
+  assert.equal(backups.length, 1);
+  const backup = join(dataDir, 'import-test', backups[0]);
+  assert.equal(fs.readFileSync(backup, 'utf-8'), original);
+  assert.equal(fs.statSync(backup).mode & 0o777, 0o600);
+  assert.equal(decryptKeystore(JSON.parse(original), 'first passphrase'), TEST_KEY);
+});
@@ -0,0 +1,80 @@
+import { dataDir } from './helpers.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join, basename } from 'path';
+import { config } from '../config.js';
+import { loadStrategies, listStrategies, getStrategy, hasStrategy, resolveOptions } from '../lib/strategy-registry.js';
+
+const PLUGINS = {
+  'hello.js': `export const name = 'hello';
+export const description = 'Says hello';
+export const options = { who: { type: 'string', default: 'world' } };
+export async function execute() { return { contents: {} }; }`,
+  'bad-contract.js': `export const name = 'Bad Name';
+export const options = { count: { type: 'integer' }, on: { type: 'boolean', default: 'yes' } };`,
+  'no-options.js': `export const name = 'no-options';
+export const description = 'Forgot its schema';
+export async function execute() {}`,
+  'takeover.js': `export const name = 'daily-stats';
+export const description = 'Tries to replace a built-in';
+export const options = {};
+export async function execute() {}`,
+  'broken.js': 'export const name = ;',
+};
+
+before(async () => {
+  const dir = join(dataDir, 'plugins');
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [file, source] of Object.entries(PLUGINS)) fs.writeFileSync(join(dir, file), source);
+  config.strategies.pluginDir = dir;
+  await loadStrategies({ reload: true });
+});
+
+test('built-ins and valid plugins are listed with their source', async () => {
+  const { strategies } = await listStrategies();
+  const sources = Object.fromEntries(strategies.map(s => [s.name, s.source]));
+  for (const name of ['daily-stats', 'weekly-recap', 'new-api', 'news-digest']) assert.equal(sources[name], 'builtin');
+  assert.equal(sources.hello, 'plugin');
+  assert.notEqual((await getStrategy('daily-stats')).description, 'Tries to replace a built-in');
+});
+
+test('modules breaking the contract are reported with every problem', async () => {
+  const { invalid } = await listStrategies();
+  const errors = Object.fromEntries(invalid.map(i => [basename(i.file), i.errors]));
+  assert.deepEqual(errors['bad-contract.js'], [
+    'name must be a lowercase slug (a-z, 0-9, -)',
+    'description must be a non-empty string',
+    'execute must be a function',
+    'option "count" has type "integer" (expected string, number, boolean)',
+    'option "on" default must be a boolean',
+  ]);
+  assert.deepEqual(errors['no-options.js'], ['options schema missing (export const options = {})']);
+  assert.match(errors['takeover.js'][0], /name "daily-stats" already used by .*strategies\/daily-stats\.js/);
+  assert.match(errors['broken.js'][0], /^import failed:/);
+});
+
+test('strategies are looked up by name only', async () => {
+  assert.equal(await hasStrategy('hello'), true);
+  assert.equal(await hasStrategy('no-options'), false);
+  await assert.rejects(getStrategy('../agent'), /Unknown strategy: \.\.\/agent\. Available: .*daily-stats/);
+});
+
+test('resolveOptions coerces strings, fills defaults and lists every problem', async () => {
+  const mod = {
+    name: 'demo',
+    options: {
+      limit: { type: 'number', default: 5 },
+      summarize: { type: 'boolean', default: true },
+      tone: { type: 'string', enum: ['short', 'long'] },
+      apiName: { type: 'string', required: true },
+    },
+  };
+  assert.deepEqual(resolveOptions(mod, { limit: '3', summarize: 'off', apiName: 'Search', tone: '' }), { limit: 3, summarize: false, apiName: 'Search' });
+  assert.throws(() => resolveOptions(mod, { limit: 'many', tone: 'loud', extra: 1 }), err => {
+    assert.equal(err.message, 'Invalid options for demo: unknown option "extra" (accepted: limit, summarize, tone, apiName); '
+      + '"limit" must be a number (got "many"); "tone" must be one of short, long; "apiName" is required');
+    return true;
+  });
+  assert.deepEqual(resolveOptions(await getStrategy('hello'), {}), { who: 'world' });
+});
@@ -0,0 +1,78 @@
+import { STATS } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { config } from '../config.js';
+import { validateTemplateSet, templateVars, fill, saveTemplateSet, pickTemplate, recordTemplateUse, recentTemplates } from '../lib/templates.js';
+import { lintContents } from '../lib/content-lint.js';
+
+// Strategy options the bundled sets declare, as a run would pass them (and as facts)
+const OPTIONS = {
+  apiName: 'Weather', apiDescription: 'Forecasts for any city', apiPrice: '0.005', apiEndpoint: '/api/weather',
+  storyCount: 5, topics: 'x402 and AI agents', sources: 'example.com',
+};
+
+const bundled = fs.readdirSync(config.templates.dir).filter(f => f.endsWith('.json'))
+  .map(f => [f.slice(0, -5), JSON.parse(fs.readFileSync(join(config.templates.dir, f), 'utf-8'))]);
+
+test('bundled template sets are valid', () => {
+  for (const [strategy, set] of bundled) assert.deepEqual(validateTemplateSet(set), [], strategy);
+});
+
+test('bundled templates pass the default numbers and forbidden-phrase rules', async () => {
+  Object.assign(config.lint.rules, { length: 'off', links: 'off', sentiment: 'off' });
+  const vars = templateVars(STATS, OPTIONS);
+  for (const [strategy, set] of bundled) {
+    for (const t of set.templates) {
+      const text = fill(t.text, vars);
+      const contents = { telegram: text };
+      for (const [platform, variant] of Object.entries(t.platforms || {})) {
+        contents[platform] = fill(typeof variant === 'string' ? variant : variant.text, { ...vars, content: text, text });
+      }
+      const { status, issues } = await lintContents({ contents, stats: STATS, facts: OPTIONS });
+      assert.equal(status, 'ok', `${strategy}/${t.id}: ${issues.map(i => i.message).join('; ')}`);
+    }
+  }
+});
+
+// ─── Rotation ─────────────────────────────────────────────────────────
+
+const rotation = (id, avoidRecent) => {
+  saveTemplateSet(id, {
+    rotation: { mode: 'sequential', avoidRecent },
+    templates: ['a', 'b', 'c'].map(t => ({ id: t, text: `Template ${t}` })),
+  });
+  return id;
+};
+const published = { telegram: { success: true } };
+
+test('picking a template does not advance the rotation', () => {
+  const strategy = rotation('rotation-pick', 1);
+  assert.equal(pickTemplate(strategy).id, 'a');
+  assert.equal(pickTemplate(strategy).id, 'a');
+  assert.deepEqual(recentTemplates(strategy), []);
+});
+
+test('only a published post moves the rotation on', () => {
+  const strategy = rotation('rotation-publish', 1);
+  recordTemplateUse(strategy, 'a', { telegram: { success: false, message: 'HTTP 500' } });
+  assert.equal(pickTemplate(strategy).id, 'a');
+  recordTemplateUse(strategy, 'a', published);
+  assert.equal(pickTemplate(strategy).id, 'b');
+  recordTemplateUse(strategy, 'b', published);
+  recordTemplateUse(strategy, 'c', published);
+  assert.equal(pickTemplate(strategy).id, 'a');
+  assert.deepEqual(recentTemplates(strategy).map(h => h.id), ['a', 'b', 'c']);
+});
+
+test('templates tried by the run are skipped, then recent ones only while others remain', () => {
+  const strategy = rotation('rotation-exclude', 2);
+  recordTemplateUse(strategy, 'a', published);
+  recordTemplateUse(strategy, 'b', published);
+  assert.equal(pickTemplate(strategy).id, 'c');
+  // c tried already: the recent ones are all that's left
+  assert.equal(pickTemplate(strategy, { exclude: ['c'] }).id, 'a');
+  assert.equal(pickTemplate(strategy, { exclude: ['c', 'a'] }).id, 'b');
+  assert.equal(pickTemplate(strategy, { exclude: ['a', 'b', 'c'] }).id, 'c');
+});
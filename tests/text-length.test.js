@@ -0,0 +1,55 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measure, fits, truncate } from '../lib/text-length.js';
+import { adaptForTwitter, adaptForTwitterThread, adaptForFarcaster } from '../lib/content-gen.js';
+
+const loneSurrogate = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+test('Twitter weighs CJK and emoji double, and every link as 23', () => {
+  assert.equal(measure('hello', 'twitter'), 5);
+  assert.equal(measure('こんにちは', 'twitter'), 10);
+  assert.equal(measure('👍🏽', 'twitter'), 2); // one grapheme, whatever its code points
+  assert.equal(measure('👨‍👩‍👧', 'twitter'), 2);
+  assert.equal(measure('see https://example.com/a/very/long/path/that/goes/on', 'twitter'), 4 + 23);
+  assert.equal(measure('x402bazaar.org', 'twitter'), 23);
+});
+
+test('other networks count bytes, UTF-16 units or code points', () => {
+  assert.equal(measure('é€', 'farcaster'), 5);
+  assert.equal(measure('👨‍👩‍👧', 'telegram'), 8);
+  assert.equal(measure('👨‍👩‍👧', 'reddit'), 5);
+  assert.ok(fits('x'.repeat(80), 'hn', 'maxTitleChars'));
+  assert.ok(!fits('x'.repeat(81), 'hn', 'maxTitleChars'));
+});
+
+test('truncate prefers sentence, then word boundaries', () => {
+  assert.equal(truncate('First sentence. Second one is longer here.', 30, { boundary: 'sentence' }), 'First sentence.');
+  assert.equal(truncate('The quick brown fox jumps', 15, { platform: 'linkedin' }), 'The quick…');
+  assert.equal(truncate('Short enough', 20), 'Short enough');
+});
+
+test('truncate never splits a grapheme or a link', () => {
+  const cut = truncate('a👍🏽👍🏽👍🏽', 6, { platform: 'telegram', boundary: 'grapheme' });
+  assert.equal(cut, 'a👍🏽…');
+  assert.doesNotMatch(cut, loneSurrogate);
+
+  const url = 'https://example.com/some/long/path';
+  const linked = truncate(`Read ${url} today and tomorrow`, 30, { platform: 'twitter' });
+  assert.equal(linked, `Read ${url}…`);
+  assert.ok(measure(linked, 'twitter') <= 30);
+});
+
+test('adapters stay within each network limit', () => {
+  const tweet = adaptForTwitter('あ'.repeat(200), {});
+  assert.ok(measure(tweet, 'twitter') <= 280);
+  assert.match(tweet, /#USDC$/);
+
+  for (const post of adaptForTwitterThread(`${'Agents pay per call. '.repeat(40)}`)) {
+    assert.ok(measure(post, 'twitter') <= 280);
+  }
+
+  const cast = adaptForFarcaster('é'.repeat(300));
+  assert.ok(Buffer.byteLength(cast, 'utf-8') <= 320);
+  assert.doesNotMatch(cast, loneSurrogate);
+});
@@ -0,0 +1,53 @@
+import { dataDir } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import crypto from 'crypto';
+import { join } from 'path';
+import { config } from '../config.js';
+import { post } from '../lib/platforms/twitter.js';
+
+const THREADS_FILE = join(dataDir, 'twitter-threads.json');
+const keyOf = posts => crypto.createHash('sha256').update(JSON.stringify(posts)).digest('hex').slice(0, 16);
+const daysAgo = days => new Date(Date.now() - days * 86_400_000).toISOString();
+
+const realFetch = globalThis.fetch;
+let tweets;
+before(() => {
+  Object.assign(config.platforms.twitter, { enabled: true, apiKey: 'k', apiSecret: 's', accessToken: 't', accessSecret: 'a' });
+  // The Twitter API, answering each tweet with the next id
+  globalThis.fetch = async (url, init) => {
+    tweets.push(JSON.parse(init.body));
+    return new Response(JSON.stringify({ data: { id: String(1000 + tweets.length) } }), { status: 201 });
+  };
+});
+after(() => { globalThis.fetch = realFetch; });
+
+test('a thread posted in full is refused as a duplicate, not reported as posted', async () => {
+  tweets = [];
+  const posts = ['First of two', 'Second of two'];
+  assert.equal((await post(posts)).success, true);
+  assert.deepEqual(tweets.map(t => t.reply?.in_reply_to_tweet_id ?? null), [null, '1001']);
+
+  const again = await post(posts);
+  assert.equal(again.success, false);
+  assert.equal(again.duplicate, true);
+  assert.match(again.message, /^Already posted on \d{4}-\d{2}-\d{2}: 1001$/);
+  assert.equal(tweets.length, 2);
+});
+
+test('completed threads are forgotten after the retention window', async () => {
+  tweets = [];
+  const old = ['Posted long ago'];
+  const unfinished = ['Stopped at the first', 'of two'];
+  fs.writeFileSync(THREADS_FILE, JSON.stringify({
+    [keyOf(old)]: { posts: old, tweetIds: ['1'], startedAt: daysAgo(40), completedAt: daysAgo(40) },
+    [keyOf(unfinished)]: { posts: unfinished, tweetIds: ['2'], startedAt: daysAgo(40), completedAt: null },
+  }));
+
+  assert.equal((await post(old)).success, true);
+  assert.equal(tweets.length, 1);
+  const threads = JSON.parse(fs.readFileSync(THREADS_FILE, 'utf-8'));
+  assert.deepEqual(threads[keyOf(old)].tweetIds, ['1001']);
+  assert.deepEqual(threads[keyOf(unfinished)].tweetIds, ['2']);
+});
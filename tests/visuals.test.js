@@ -0,0 +1,35 @@
+import { STATS } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVisuals, cardTexts, localizeCards, imagesFor } from '../lib/visuals.js';
+import { CARD_LABELS } from '../lib/stat-cards.js';
+
+const FRENCH = { apisLive: 'APIs en ligne', uptime: 'Disponibilite', topEndpoints: 'Endpoints les plus appeles', statCard: 'carte de stats' };
+
+test('cards are drawn again with the labels of each language', async () => {
+  const media = await createVisuals('daily-stats', { stats: STATS, preferred: 'cards', title: 'Daily stats' });
+  assert.deepEqual(cardTexts(media), { ...CARD_LABELS, title: 'Daily stats' });
+  assert.match(media.visuals.cardAlt, /stat card: 42 APIs live/);
+
+  localizeCards(media, { ...cardTexts(media), ...FRENCH, title: 'Stats du jour' }, 'fr');
+  const fr = media.visuals.localized.fr;
+  assert.notEqual(fr.cards.default, media.visuals.cards.default);
+  assert.match(fr.cardAlt, /carte de stats: 42 APIs en ligne, 99\.7% disponibilite/);
+
+  // Keys in French get the French card, the others the source one
+  assert.deepEqual(imagesFor(media, 'telegram:fr'), { urls: [fr.cards.telegram || fr.cards.default], alts: [fr.cardAlt] });
+  assert.deepEqual(imagesFor(media, 'telegram', 'fr').urls, imagesFor(media, 'telegram:fr').urls);
+  assert.deepEqual(imagesFor(media, 'telegram').alts, [media.visuals.cardAlt]);
+});
+
+test('the source language keeps its cards, runs without cards are left alone', async () => {
+  const media = await createVisuals('daily-stats', { stats: STATS, preferred: 'cards', title: 'Daily stats' });
+  localizeCards(media, cardTexts(media), 'en');
+  assert.deepEqual(media.visuals.localized, {});
+
+  const none = await createVisuals('news-digest', { stats: STATS, preferred: 'none', title: 'News digest' });
+  assert.equal(cardTexts(none), null);
+  localizeCards(none, null, 'fr');
+  assert.deepEqual(none.visuals.localized, {});
+  assert.deepEqual(imagesFor(none, 'telegram:fr'), { urls: [], alts: [] });
+});
@@ -0,0 +1,90 @@
+import { dataDir, startMock, serve } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { config } from '../config.js';
+import { callApi, getSpending } from '../lib/x402-client.js';
+import { getAccount } from '../lib/signers.js';
+
+const readJson = name => JSON.parse(fs.readFileSync(join(dataDir, name), 'utf-8'));
+const PAY_TO = '0x4020000000000000000000000000000000000001';
+
+let mock;
+before(async () => { mock = await startMock(); });
+after(() => mock.stop());
+
+// 402 challenge in the standard x402 shape, for `price` atomic units
+function accepts(resource, price = '1000') {
+  return {
+    x402Version: 1,
+    accepts: [{
+      scheme: 'exact', network: 'base-sepolia', maxAmountRequired: price, resource, payTo: PAY_TO,
+      maxTimeoutSeconds: 60, asset: config.networks['base-sepolia'].usdcAddress, extra: { name: 'USD Coin', version: '2' },
+    }],
+  };
+}
+
+const decode = header => JSON.parse(Buffer.from(header, 'base64').toString('utf-8'));
+
+test('an `accepts` challenge is paid with a signed authorization the server verifies', async () => {
+  const data = await callApi('/api/sentiment?text=great', { noCache: true });
+  assert.equal(data.sentiment, 'positive');
+  const { stats } = await mock.status();
+  assert.equal(stats.challenges, 1);
+  assert.equal(stats.paid, 1);
+
+  const payment = readJson('spend-ledger.json').find(e => e.endpoint.endsWith('/api/sentiment?text=great'));
+  assert.equal(payment.scheme, 'exact');
+  assert.equal(payment.network, 'base-sepolia');
+  assert.equal(payment.amount, 0.005);
+  assert.match(payment.txHash, /^0x[0-9a-f]{64}$/);
+  const entry = readJson('payment-journal.json').find(e => e.ledgerId === payment.id);
+  assert.equal(entry.status, 'settled');
+  assert.equal(entry.txHash, payment.txHash); // from X-PAYMENT-RESPONSE
+});
+
+test('X-PAYMENT carries the exact requirement, signed by the wallet', async () => {
+  const account = await getAccount();
+  let payment;
+  const server = await serve((req, res) => {
+    if (!req.headers['x-payment']) {
+      res.writeHead(402, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(accepts(req.url)));
+    }
+    payment = decode(req.headers['x-payment']);
+    res.writeHead(200, { 'Content-Type': 'application/json', 'X-PAYMENT-RESPONSE': Buffer.from(JSON.stringify({ success: true, transaction: `0x${'ab'.repeat(32)}` })).toString('base64') });
+    res.end(JSON.stringify({ ok: true }));
+  });
+  try {
+    assert.deepEqual(await callApi(`${server.url}/api/exact`, { noCache: true }), { ok: true });
+  } finally { await server.close(); }
+
+  assert.equal(payment.scheme, 'exact');
+  assert.equal(payment.network, 'base-sepolia');
+  const { authorization, signature } = payment.payload;
+  assert.equal(authorization.from, account.address);
+  assert.equal(authorization.to, PAY_TO);
+  assert.equal(authorization.value, '1000');
+  assert.ok(Number(authorization.validBefore) > Date.now() / 1000);
+  assert.match(signature, /^0x[0-9a-f]{130}$/);
+});
+
+test('a settlement failure in X-PAYMENT-RESPONSE fails the payment and books nothing', async () => {
+  const server = await serve((req, res) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (req.headers['x-payment']) headers['X-PAYMENT-RESPONSE'] = Buffer.from(JSON.stringify({ success: false, errorReason: 'insufficient_funds' })).toString('base64');
+    res.writeHead(402, headers);
+    res.end(JSON.stringify(accepts(req.url)));
+  });
+  const before = getSpending().spent;
+  try {
+    await assert.rejects(callApi(`${server.url}/api/rejected`, { noCache: true }), /x402 payment rejected by server: insufficient_funds/);
+  } finally { await server.close(); }
+
+  const entry = readJson('payment-journal.json').find(e => e.url.endsWith('/api/rejected'));
+  assert.equal(entry.status, 'failed');
+  assert.equal(entry.error, 'insufficient_funds');
+  assert.equal(getSpending().spent, before);
+  assert.equal(getSpending().windows.daily.reserved, 0);
+});